@@ -1010,76 +1010,1066 @@ export class SettlementStrategy extends Entity {
     }
   }
 
+  get url(): string | null {
+    let value = this.get('url');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set url(value: string | null) {
+    if (!value) {
+      this.unset('url');
+    } else {
+      this.set('url', Value.fromString(<string>value));
+    }
+  }
+
   get settlementReward(): BigInt | null {
     let value = this.get('settlementReward');
     if (!value || value.kind == ValueKind.NULL) {
-      return null;
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set settlementReward(value: BigInt | null) {
+    if (!value) {
+      this.unset('settlementReward');
+    } else {
+      this.set('settlementReward', Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get minimumUsdExchangeAmount(): BigInt | null {
+    let value = this.get('minimumUsdExchangeAmount');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set minimumUsdExchangeAmount(value: BigInt | null) {
+    if (!value) {
+      this.unset('minimumUsdExchangeAmount');
+    } else {
+      this.set('minimumUsdExchangeAmount', Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get maxRoundingLoss(): BigInt | null {
+    let value = this.get('maxRoundingLoss');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set maxRoundingLoss(value: BigInt | null) {
+    if (!value) {
+      this.unset('maxRoundingLoss');
+    } else {
+      this.set('maxRoundingLoss', Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get commitmentPriceDelay(): BigInt | null {
+    let value = this.get('commitmentPriceDelay');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set commitmentPriceDelay(value: BigInt | null) {
+    if (!value) {
+      this.unset('commitmentPriceDelay');
+    } else {
+      this.set('commitmentPriceDelay', Value.fromBigInt(<BigInt>value));
+    }
+  }
+}
+
+export class ReferrerShare extends Entity {
+  constructor(id: string) {
+    super();
+    this.set('id', Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get('id');
+    assert(id != null, 'Cannot save ReferrerShare entity without an ID');
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type ReferrerShare must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+      );
+      store.set('ReferrerShare', id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): ReferrerShare | null {
+    return changetype<ReferrerShare | null>(store.get_in_block('ReferrerShare', id));
+  }
+
+  static load(id: string): ReferrerShare | null {
+    return changetype<ReferrerShare | null>(store.get('ReferrerShare', id));
+  }
+
+  get id(): string {
+    let value = this.get('id');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set('id', Value.fromString(value));
+  }
+
+  get referrer(): string | null {
+    let value = this.get('referrer');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set referrer(value: string | null) {
+    if (!value) {
+      this.unset('referrer');
+    } else {
+      this.set('referrer', Value.fromString(<string>value));
+    }
+  }
+
+  get shareRatioD18(): BigInt | null {
+    let value = this.get('shareRatioD18');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set shareRatioD18(value: BigInt | null) {
+    if (!value) {
+      this.unset('shareRatioD18');
+    } else {
+      this.set('shareRatioD18', Value.fromBigInt(<BigInt>value));
+    }
+  }
+}
+
+export class GlobalConfiguration extends Entity {
+  constructor(id: string) {
+    super();
+    this.set('id', Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get('id');
+    assert(id != null, 'Cannot save GlobalConfiguration entity without an ID');
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type GlobalConfiguration must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+      );
+      store.set('GlobalConfiguration', id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): GlobalConfiguration | null {
+    return changetype<GlobalConfiguration | null>(store.get_in_block('GlobalConfiguration', id));
+  }
+
+  static load(id: string): GlobalConfiguration | null {
+    return changetype<GlobalConfiguration | null>(store.get('GlobalConfiguration', id));
+  }
+
+  get id(): string {
+    let value = this.get('id');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set('id', Value.fromString(value));
+  }
+
+  get feeCollector(): string | null {
+    let value = this.get('feeCollector');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set feeCollector(value: string | null) {
+    if (!value) {
+      this.unset('feeCollector');
+    } else {
+      this.set('feeCollector', Value.fromString(<string>value));
+    }
+  }
+}
+
+export class Position extends Entity {
+  constructor(id: string) {
+    super();
+    this.set('id', Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get('id');
+    assert(id != null, 'Cannot save Position entity without an ID');
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type Position must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+      );
+      store.set('Position', id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): Position | null {
+    return changetype<Position | null>(store.get_in_block('Position', id));
+  }
+
+  static load(id: string): Position | null {
+    return changetype<Position | null>(store.get('Position', id));
+  }
+
+  get id(): string {
+    let value = this.get('id');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set('id', Value.fromString(value));
+  }
+
+  get marketId(): BigInt {
+    let value = this.get('marketId');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set marketId(value: BigInt) {
+    this.set('marketId', Value.fromBigInt(value));
+  }
+
+  get accountId(): BigInt {
+    let value = this.get('accountId');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set accountId(value: BigInt) {
+    this.set('accountId', Value.fromBigInt(value));
+  }
+
+  get isOpen(): boolean {
+    let value = this.get('isOpen');
+    if (!value || value.kind == ValueKind.NULL) {
+      return false;
+    } else {
+      return value.toBoolean();
+    }
+  }
+
+  set isOpen(value: boolean) {
+    this.set('isOpen', Value.fromBoolean(value));
+  }
+
+  get isLiquidated(): boolean {
+    let value = this.get('isLiquidated');
+    if (!value || value.kind == ValueKind.NULL) {
+      return false;
+    } else {
+      return value.toBoolean();
+    }
+  }
+
+  set isLiquidated(value: boolean) {
+    this.set('isLiquidated', Value.fromBoolean(value));
+  }
+
+  get size(): BigInt {
+    let value = this.get('size');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set size(value: BigInt) {
+    this.set('size', Value.fromBigInt(value));
+  }
+
+  get maxSize(): BigInt {
+    let value = this.get('maxSize');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set maxSize(value: BigInt) {
+    this.set('maxSize', Value.fromBigInt(value));
+  }
+
+  get entryPrice(): BigInt {
+    let value = this.get('entryPrice');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set entryPrice(value: BigInt) {
+    this.set('entryPrice', Value.fromBigInt(value));
+  }
+
+  get realizedPnl(): BigInt {
+    let value = this.get('realizedPnl');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set realizedPnl(value: BigInt) {
+    this.set('realizedPnl', Value.fromBigInt(value));
+  }
+
+  get accruedFunding(): BigInt {
+    let value = this.get('accruedFunding');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set accruedFunding(value: BigInt) {
+    this.set('accruedFunding', Value.fromBigInt(value));
+  }
+
+  get totalFees(): BigInt {
+    let value = this.get('totalFees');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set totalFees(value: BigInt) {
+    this.set('totalFees', Value.fromBigInt(value));
+  }
+
+  get trades(): BigInt {
+    let value = this.get('trades');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set trades(value: BigInt) {
+    this.set('trades', Value.fromBigInt(value));
+  }
+
+  get amountLiquidated(): BigInt {
+    let value = this.get('amountLiquidated');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set amountLiquidated(value: BigInt) {
+    this.set('amountLiquidated', Value.fromBigInt(value));
+  }
+
+  get openedAt(): BigInt {
+    let value = this.get('openedAt');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set openedAt(value: BigInt) {
+    this.set('openedAt', Value.fromBigInt(value));
+  }
+
+  get openedAtBlock(): BigInt {
+    let value = this.get('openedAtBlock');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set openedAtBlock(value: BigInt) {
+    this.set('openedAtBlock', Value.fromBigInt(value));
+  }
+
+  get updatedAt(): BigInt {
+    let value = this.get('updatedAt');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updatedAt(value: BigInt) {
+    this.set('updatedAt', Value.fromBigInt(value));
+  }
+
+  get updatedAtBlock(): BigInt {
+    let value = this.get('updatedAtBlock');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updatedAtBlock(value: BigInt) {
+    this.set('updatedAtBlock', Value.fromBigInt(value));
+  }
+
+  get closedAt(): BigInt | null {
+    let value = this.get('closedAt');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set closedAt(value: BigInt | null) {
+    if (!value) {
+      this.unset('closedAt');
+    } else {
+      this.set('closedAt', Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get closedAtBlock(): BigInt | null {
+    let value = this.get('closedAtBlock');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set closedAtBlock(value: BigInt | null) {
+    if (!value) {
+      this.unset('closedAtBlock');
+    } else {
+      this.set('closedAtBlock', Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get snapshots(): PositionSnapshotLoader {
+    return new PositionSnapshotLoader('Position', this.get('id')!.toString(), 'snapshots');
+  }
+}
+
+export class OpenPosition extends Entity {
+  constructor(id: string) {
+    super();
+    this.set('id', Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get('id');
+    assert(id != null, 'Cannot save OpenPosition entity without an ID');
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type OpenPosition must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+      );
+      store.set('OpenPosition', id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): OpenPosition | null {
+    return changetype<OpenPosition | null>(store.get_in_block('OpenPosition', id));
+  }
+
+  static load(id: string): OpenPosition | null {
+    return changetype<OpenPosition | null>(store.get('OpenPosition', id));
+  }
+
+  get id(): string {
+    let value = this.get('id');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set('id', Value.fromString(value));
+  }
+
+  get position(): string {
+    let value = this.get('position');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set position(value: string) {
+    this.set('position', Value.fromString(value));
+  }
+}
+
+export class PositionSnapshot extends Entity {
+  constructor(id: string) {
+    super();
+    this.set('id', Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get('id');
+    assert(id != null, 'Cannot save PositionSnapshot entity without an ID');
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type PositionSnapshot must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+      );
+      store.set('PositionSnapshot', id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): PositionSnapshot | null {
+    return changetype<PositionSnapshot | null>(store.get_in_block('PositionSnapshot', id));
+  }
+
+  static load(id: string): PositionSnapshot | null {
+    return changetype<PositionSnapshot | null>(store.get('PositionSnapshot', id));
+  }
+
+  get id(): string {
+    let value = this.get('id');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set('id', Value.fromString(value));
+  }
+
+  get position(): string {
+    let value = this.get('position');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set position(value: string) {
+    this.set('position', Value.fromString(value));
+  }
+
+  get marketId(): BigInt {
+    let value = this.get('marketId');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set marketId(value: BigInt) {
+    this.set('marketId', Value.fromBigInt(value));
+  }
+
+  get accountId(): BigInt {
+    let value = this.get('accountId');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set accountId(value: BigInt) {
+    this.set('accountId', Value.fromBigInt(value));
+  }
+
+  get trigger(): string {
+    let value = this.get('trigger');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set trigger(value: string) {
+    this.set('trigger', Value.fromString(value));
+  }
+
+  get timestamp(): BigInt {
+    let value = this.get('timestamp');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set timestamp(value: BigInt) {
+    this.set('timestamp', Value.fromBigInt(value));
+  }
+
+  get block(): BigInt {
+    let value = this.get('block');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set block(value: BigInt) {
+    this.set('block', Value.fromBigInt(value));
+  }
+
+  get size(): BigInt {
+    let value = this.get('size');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set size(value: BigInt) {
+    this.set('size', Value.fromBigInt(value));
+  }
+
+  get sizeDelta(): BigInt {
+    let value = this.get('sizeDelta');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set sizeDelta(value: BigInt) {
+    this.set('sizeDelta', Value.fromBigInt(value));
+  }
+
+  get entryPrice(): BigInt {
+    let value = this.get('entryPrice');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set entryPrice(value: BigInt) {
+    this.set('entryPrice', Value.fromBigInt(value));
+  }
+
+  get fillPrice(): BigInt | null {
+    let value = this.get('fillPrice');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set fillPrice(value: BigInt | null) {
+    if (!value) {
+      this.unset('fillPrice');
+    } else {
+      this.set('fillPrice', Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get pnl(): BigInt | null {
+    let value = this.get('pnl');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set pnl(value: BigInt | null) {
+    if (!value) {
+      this.unset('pnl');
+    } else {
+      this.set('pnl', Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get accruedFunding(): BigInt | null {
+    let value = this.get('accruedFunding');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set accruedFunding(value: BigInt | null) {
+    if (!value) {
+      this.unset('accruedFunding');
+    } else {
+      this.set('accruedFunding', Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get fees(): BigInt | null {
+    let value = this.get('fees');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set fees(value: BigInt | null) {
+    if (!value) {
+      this.unset('fees');
+    } else {
+      this.set('fees', Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get amountLiquidated(): BigInt | null {
+    let value = this.get('amountLiquidated');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set amountLiquidated(value: BigInt | null) {
+    if (!value) {
+      this.unset('amountLiquidated');
+    } else {
+      this.set('amountLiquidated', Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get realizedPnl(): BigInt {
+    let value = this.get('realizedPnl');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set realizedPnl(value: BigInt) {
+    this.set('realizedPnl', Value.fromBigInt(value));
+  }
+
+  get isOpen(): boolean {
+    let value = this.get('isOpen');
+    if (!value || value.kind == ValueKind.NULL) {
+      return false;
+    } else {
+      return value.toBoolean();
+    }
+  }
+
+  set isOpen(value: boolean) {
+    this.set('isOpen', Value.fromBoolean(value));
+  }
+}
+
+export class MarketSnapshotByHour extends Entity {
+  constructor(id: string) {
+    super();
+    this.set('id', Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get('id');
+    assert(id != null, 'Cannot save MarketSnapshotByHour entity without an ID');
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type MarketSnapshotByHour must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+      );
+      store.set('MarketSnapshotByHour', id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): MarketSnapshotByHour | null {
+    return changetype<MarketSnapshotByHour | null>(store.get_in_block('MarketSnapshotByHour', id));
+  }
+
+  static load(id: string): MarketSnapshotByHour | null {
+    return changetype<MarketSnapshotByHour | null>(store.get('MarketSnapshotByHour', id));
+  }
+
+  get id(): string {
+    let value = this.get('id');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set('id', Value.fromString(value));
+  }
+
+  get marketId(): BigInt {
+    let value = this.get('marketId');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set marketId(value: BigInt) {
+    this.set('marketId', Value.fromBigInt(value));
+  }
+
+  get period(): BigInt {
+    let value = this.get('period');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set period(value: BigInt) {
+    this.set('period', Value.fromBigInt(value));
+  }
+
+  get volume(): BigInt {
+    let value = this.get('volume');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set volume(value: BigInt) {
+    this.set('volume', Value.fromBigInt(value));
+  }
+
+  get collectedFees(): BigInt {
+    let value = this.get('collectedFees');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set collectedFees(value: BigInt) {
+    this.set('collectedFees', Value.fromBigInt(value));
+  }
+
+  get trades(): BigInt {
+    let value = this.get('trades');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set trades(value: BigInt) {
+    this.set('trades', Value.fromBigInt(value));
+  }
+
+  get openInterest(): BigInt {
+    let value = this.get('openInterest');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
     } else {
       return value.toBigInt();
     }
   }
 
-  set settlementReward(value: BigInt | null) {
-    if (!value) {
-      this.unset('settlementReward');
+  set openInterest(value: BigInt) {
+    this.set('openInterest', Value.fromBigInt(value));
+  }
+
+  get skew(): BigInt {
+    let value = this.get('skew');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
     } else {
-      this.set('settlementReward', Value.fromBigInt(<BigInt>value));
+      return value.toBigInt();
     }
   }
 
-  get minimumUsdExchangeAmount(): BigInt | null {
-    let value = this.get('minimumUsdExchangeAmount');
+  set skew(value: BigInt) {
+    this.set('skew', Value.fromBigInt(value));
+  }
+
+  get price(): BigInt {
+    let value = this.get('price');
     if (!value || value.kind == ValueKind.NULL) {
-      return null;
+      throw new Error('Cannot return null for a required field.');
     } else {
       return value.toBigInt();
     }
   }
 
-  set minimumUsdExchangeAmount(value: BigInt | null) {
-    if (!value) {
-      this.unset('minimumUsdExchangeAmount');
+  set price(value: BigInt) {
+    this.set('price', Value.fromBigInt(value));
+  }
+
+  get fundingRate(): BigInt {
+    let value = this.get('fundingRate');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
     } else {
-      this.set('minimumUsdExchangeAmount', Value.fromBigInt(<BigInt>value));
+      return value.toBigInt();
     }
   }
 
-  get maxRoundingLoss(): BigInt | null {
-    let value = this.get('maxRoundingLoss');
+  set fundingRate(value: BigInt) {
+    this.set('fundingRate', Value.fromBigInt(value));
+  }
+
+  get fundingVelocity(): BigInt {
+    let value = this.get('fundingVelocity');
     if (!value || value.kind == ValueKind.NULL) {
-      return null;
+      throw new Error('Cannot return null for a required field.');
     } else {
       return value.toBigInt();
     }
   }
 
-  set maxRoundingLoss(value: BigInt | null) {
-    if (!value) {
-      this.unset('maxRoundingLoss');
+  set fundingVelocity(value: BigInt) {
+    this.set('fundingVelocity', Value.fromBigInt(value));
+  }
+
+  get updatesInPeriod(): BigInt {
+    let value = this.get('updatesInPeriod');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
     } else {
-      this.set('maxRoundingLoss', Value.fromBigInt(<BigInt>value));
+      return value.toBigInt();
     }
   }
 
-  get commitmentPriceDelay(): BigInt | null {
-    let value = this.get('commitmentPriceDelay');
+  set updatesInPeriod(value: BigInt) {
+    this.set('updatesInPeriod', Value.fromBigInt(value));
+  }
+
+  get createdAt(): BigInt {
+    let value = this.get('createdAt');
     if (!value || value.kind == ValueKind.NULL) {
-      return null;
+      throw new Error('Cannot return null for a required field.');
     } else {
       return value.toBigInt();
     }
   }
 
-  set commitmentPriceDelay(value: BigInt | null) {
-    if (!value) {
-      this.unset('commitmentPriceDelay');
+  set createdAt(value: BigInt) {
+    this.set('createdAt', Value.fromBigInt(value));
+  }
+
+  get createdAtBlock(): BigInt {
+    let value = this.get('createdAtBlock');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
     } else {
-      this.set('commitmentPriceDelay', Value.fromBigInt(<BigInt>value));
+      return value.toBigInt();
+    }
+  }
+
+  set createdAtBlock(value: BigInt) {
+    this.set('createdAtBlock', Value.fromBigInt(value));
+  }
+
+  get updatedAt(): BigInt {
+    let value = this.get('updatedAt');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updatedAt(value: BigInt) {
+    this.set('updatedAt', Value.fromBigInt(value));
+  }
+
+  get updatedAtBlock(): BigInt {
+    let value = this.get('updatedAtBlock');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
     }
   }
+
+  set updatedAtBlock(value: BigInt) {
+    this.set('updatedAtBlock', Value.fromBigInt(value));
+  }
 }
 
-export class ReferrerShare extends Entity {
+export class MarketSnapshotByDay extends Entity {
   constructor(id: string) {
     super();
     this.set('id', Value.fromString(id));
@@ -1087,22 +2077,22 @@ export class ReferrerShare extends Entity {
 
   save(): void {
     let id = this.get('id');
-    assert(id != null, 'Cannot save ReferrerShare entity without an ID');
+    assert(id != null, 'Cannot save MarketSnapshotByDay entity without an ID');
     if (id) {
       assert(
         id.kind == ValueKind.STRING,
-        `Entities of type ReferrerShare must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+        `Entities of type MarketSnapshotByDay must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
       );
-      store.set('ReferrerShare', id.toString(), this);
+      store.set('MarketSnapshotByDay', id.toString(), this);
     }
   }
 
-  static loadInBlock(id: string): ReferrerShare | null {
-    return changetype<ReferrerShare | null>(store.get_in_block('ReferrerShare', id));
+  static loadInBlock(id: string): MarketSnapshotByDay | null {
+    return changetype<MarketSnapshotByDay | null>(store.get_in_block('MarketSnapshotByDay', id));
   }
 
-  static load(id: string): ReferrerShare | null {
-    return changetype<ReferrerShare | null>(store.get('ReferrerShare', id));
+  static load(id: string): MarketSnapshotByDay | null {
+    return changetype<MarketSnapshotByDay | null>(store.get('MarketSnapshotByDay', id));
   }
 
   get id(): string {
@@ -1118,96 +2108,200 @@ export class ReferrerShare extends Entity {
     this.set('id', Value.fromString(value));
   }
 
-  get referrer(): string | null {
-    let value = this.get('referrer');
+  get marketId(): BigInt {
+    let value = this.get('marketId');
     if (!value || value.kind == ValueKind.NULL) {
-      return null;
+      throw new Error('Cannot return null for a required field.');
     } else {
-      return value.toString();
+      return value.toBigInt();
     }
   }
 
-  set referrer(value: string | null) {
-    if (!value) {
-      this.unset('referrer');
+  set marketId(value: BigInt) {
+    this.set('marketId', Value.fromBigInt(value));
+  }
+
+  get period(): BigInt {
+    let value = this.get('period');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
     } else {
-      this.set('referrer', Value.fromString(<string>value));
+      return value.toBigInt();
     }
   }
 
-  get shareRatioD18(): BigInt | null {
-    let value = this.get('shareRatioD18');
+  set period(value: BigInt) {
+    this.set('period', Value.fromBigInt(value));
+  }
+
+  get volume(): BigInt {
+    let value = this.get('volume');
     if (!value || value.kind == ValueKind.NULL) {
-      return null;
+      throw new Error('Cannot return null for a required field.');
     } else {
       return value.toBigInt();
     }
   }
 
-  set shareRatioD18(value: BigInt | null) {
-    if (!value) {
-      this.unset('shareRatioD18');
+  set volume(value: BigInt) {
+    this.set('volume', Value.fromBigInt(value));
+  }
+
+  get collectedFees(): BigInt {
+    let value = this.get('collectedFees');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
     } else {
-      this.set('shareRatioD18', Value.fromBigInt(<BigInt>value));
+      return value.toBigInt();
     }
   }
-}
 
-export class GlobalConfiguration extends Entity {
-  constructor(id: string) {
-    super();
-    this.set('id', Value.fromString(id));
+  set collectedFees(value: BigInt) {
+    this.set('collectedFees', Value.fromBigInt(value));
   }
 
-  save(): void {
-    let id = this.get('id');
-    assert(id != null, 'Cannot save GlobalConfiguration entity without an ID');
-    if (id) {
-      assert(
-        id.kind == ValueKind.STRING,
-        `Entities of type GlobalConfiguration must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
-      );
-      store.set('GlobalConfiguration', id.toString(), this);
+  get trades(): BigInt {
+    let value = this.get('trades');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
     }
   }
 
-  static loadInBlock(id: string): GlobalConfiguration | null {
-    return changetype<GlobalConfiguration | null>(store.get_in_block('GlobalConfiguration', id));
+  set trades(value: BigInt) {
+    this.set('trades', Value.fromBigInt(value));
   }
 
-  static load(id: string): GlobalConfiguration | null {
-    return changetype<GlobalConfiguration | null>(store.get('GlobalConfiguration', id));
+  get openInterest(): BigInt {
+    let value = this.get('openInterest');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
   }
 
-  get id(): string {
-    let value = this.get('id');
+  set openInterest(value: BigInt) {
+    this.set('openInterest', Value.fromBigInt(value));
+  }
+
+  get skew(): BigInt {
+    let value = this.get('skew');
     if (!value || value.kind == ValueKind.NULL) {
       throw new Error('Cannot return null for a required field.');
     } else {
-      return value.toString();
+      return value.toBigInt();
     }
   }
 
-  set id(value: string) {
-    this.set('id', Value.fromString(value));
+  set skew(value: BigInt) {
+    this.set('skew', Value.fromBigInt(value));
   }
 
-  get feeCollector(): string | null {
-    let value = this.get('feeCollector');
+  get price(): BigInt {
+    let value = this.get('price');
     if (!value || value.kind == ValueKind.NULL) {
-      return null;
+      throw new Error('Cannot return null for a required field.');
     } else {
-      return value.toString();
+      return value.toBigInt();
     }
   }
 
-  set feeCollector(value: string | null) {
-    if (!value) {
-      this.unset('feeCollector');
+  set price(value: BigInt) {
+    this.set('price', Value.fromBigInt(value));
+  }
+
+  get fundingRate(): BigInt {
+    let value = this.get('fundingRate');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
     } else {
-      this.set('feeCollector', Value.fromString(<string>value));
+      return value.toBigInt();
+    }
+  }
+
+  set fundingRate(value: BigInt) {
+    this.set('fundingRate', Value.fromBigInt(value));
+  }
+
+  get fundingVelocity(): BigInt {
+    let value = this.get('fundingVelocity');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set fundingVelocity(value: BigInt) {
+    this.set('fundingVelocity', Value.fromBigInt(value));
+  }
+
+  get updatesInPeriod(): BigInt {
+    let value = this.get('updatesInPeriod');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updatesInPeriod(value: BigInt) {
+    this.set('updatesInPeriod', Value.fromBigInt(value));
+  }
+
+  get createdAt(): BigInt {
+    let value = this.get('createdAt');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set createdAt(value: BigInt) {
+    this.set('createdAt', Value.fromBigInt(value));
+  }
+
+  get createdAtBlock(): BigInt {
+    let value = this.get('createdAtBlock');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set createdAtBlock(value: BigInt) {
+    this.set('createdAtBlock', Value.fromBigInt(value));
+  }
+
+  get updatedAt(): BigInt {
+    let value = this.get('updatedAt');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updatedAt(value: BigInt) {
+    this.set('updatedAt', Value.fromBigInt(value));
+  }
+
+  get updatedAtBlock(): BigInt {
+    let value = this.get('updatedAtBlock');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
     }
   }
+
+  set updatedAtBlock(value: BigInt) {
+    this.set('updatedAtBlock', Value.fromBigInt(value));
+  }
 }
 
 export class AccountLiquidated extends Entity {
@@ -2165,3 +3259,21 @@ export class MarketUpdated extends Entity {
     this.set('currentFundingVelocity', Value.fromBigInt(value));
   }
 }
+
+export class PositionSnapshotLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): PositionSnapshot[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<PositionSnapshot[]>(value);
+  }
+}
@@ -1,18 +0,0 @@
-export * from '../optimism-goerli/handleAccountCreated';
-export * from '../optimism-goerli/handleAccountLiquidated';
-export * from '../optimism-goerli/handleCollateralModified';
-export * from '../optimism-goerli/handleFundingParametersSet';
-export * from '../optimism-goerli/handleLiquidationParametersSet';
-export * from '../optimism-goerli/handleLockedOiRatioSet';
-export * from '../optimism-goerli/handleMarketCreated';
-export * from '../optimism-goerli/handleMarketPriceDataUpdated';
-export * from '../optimism-goerli/handleMarketUpdated';
-export * from '../optimism-goerli/handleMaxLiquidationParametersSet';
-export * from '../optimism-goerli/handleOrderCommitted';
-export * from '../optimism-goerli/handleOrderFeesSet';
-export * from '../optimism-goerli/handleOrderSettled';
-export * from '../optimism-goerli/handlePositionLiquidated';
-export * from '../optimism-goerli/handlePreviousOrderExpired';
-export * from '../optimism-goerli/handleReferrerShareUpdated';
-export * from './handleSettlementStrategyAdded';
-export * from '../optimism-goerli/handleSettlementStrategyEnabled';
@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+
+const { generate } = require('@synthetixio/subgraph-tools');
+
+// Builds subgraph.<namespace>.yaml from template.yaml for every network in networks.json
+generate.cli({ dirname: __dirname }).catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,5 +1,7 @@
-import { MarketUpdated as MarketUpdatedEvent } from './generated/PerpsMarketProxy/PerpsMarketProxy';
-import { Market, MarketUpdated } from './generated/schema';
+import { MarketUpdated as MarketUpdatedEvent } from '../optimism-goerli/generated/PerpsMarketProxy/PerpsMarketProxy';
+import { Market, MarketUpdated } from '../optimism-goerli/generated/schema';
+import { loadMarketSnapshotByDay } from './marketSnapshotByDay';
+import { loadMarketSnapshotByHour } from './marketSnapshotByHour';
 
 export function handleMarketUpdated(event: MarketUpdatedEvent): void {
   const id = event.params.marketId.toString();
@@ -38,4 +40,20 @@ export function handleMarketUpdated(event: MarketUpdatedEvent): void {
   marketUpdated.currentFundingVelocity = event.params.currentFundingVelocity;
 
   marketUpdated.save();
+  // update market snapshots
+  const snapshotByHour = loadMarketSnapshotByHour(event.params.marketId, event);
+  snapshotByHour.openInterest = event.params.size;
+  snapshotByHour.skew = event.params.skew;
+  snapshotByHour.price = event.params.price;
+  snapshotByHour.fundingRate = event.params.currentFundingRate;
+  snapshotByHour.fundingVelocity = event.params.currentFundingVelocity;
+  snapshotByHour.save();
+
+  const snapshotByDay = loadMarketSnapshotByDay(event.params.marketId, event);
+  snapshotByDay.openInterest = event.params.size;
+  snapshotByDay.skew = event.params.skew;
+  snapshotByDay.price = event.params.price;
+  snapshotByDay.fundingRate = event.params.currentFundingRate;
+  snapshotByDay.fundingVelocity = event.params.currentFundingVelocity;
+  snapshotByDay.save();
 }
@@ -1,5 +1,5 @@
-import { MaxLiquidationParametersSet } from './generated/PerpsMarketProxy/PerpsMarketProxy';
-import { Market } from './generated/schema';
+import { MaxLiquidationParametersSet } from '../optimism-goerli/generated/PerpsMarketProxy/PerpsMarketProxy';
+import { Market } from '../optimism-goerli/generated/schema';
 
 export function handleMaxLiquidationParametersSet(event: MaxLiquidationParametersSet): void {
   const id = event.params.marketId.toString();
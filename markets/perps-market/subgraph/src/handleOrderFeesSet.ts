@@ -1,5 +1,5 @@
-import { OrderFeesSet } from './generated/PerpsMarketProxy/PerpsMarketProxy';
-import { Market } from './generated/schema';
+import { OrderFeesSet } from '../optimism-goerli/generated/PerpsMarketProxy/PerpsMarketProxy';
+import { Market } from '../optimism-goerli/generated/schema';
 
 export function handleOrderFeesSet(event: OrderFeesSet): void {
   const id = event.params.marketId.toString();
@@ -0,0 +1,161 @@
+import { BigInt } from '@graphprotocol/graph-ts';
+import { OrderSettled as OrderSettledEvent } from '../optimism-goerli/generated/PerpsMarketProxy/PerpsMarketProxy';
+import { Order, OrderSettled } from '../optimism-goerli/generated/schema';
+import { loadMarketSnapshotByDay } from './marketSnapshotByDay';
+import { loadMarketSnapshotByHour } from './marketSnapshotByHour';
+import {
+  calculateEntryPrice,
+  closePosition,
+  createPositionSnapshot,
+  loadOpenPosition,
+  openPosition,
+} from './position';
+
+export function handleOrderSettled(event: OrderSettledEvent): void {
+  const orderId = event.params.marketId.toString() + '-' + event.params.accountId.toString();
+  const orderSettledId =
+    event.params.marketId.toString() +
+    '-' +
+    event.params.accountId.toString() +
+    '-' +
+    event.block.number.toString();
+
+  // update Order entity
+  let order = Order.load(orderId);
+
+  if (!order) {
+    order = new Order(orderId);
+    order.size = BigInt.fromI32(0);
+    order.newSize = BigInt.fromI32(0);
+  }
+
+  order.marketId = event.params.marketId;
+  order.accountId = event.params.accountId;
+  order.newSize = event.params.newSize;
+  order.fillPrice = event.params.fillPrice;
+  order.settlementReward = event.params.settlementReward;
+  order.collectedFees = event.params.collectedFees;
+  order.settler = event.params.settler.toHexString();
+
+  order.block = event.block.number;
+  order.timestamp = event.block.timestamp;
+
+  order.save();
+
+  // create OrderSettled entity
+  let orderSettled = new OrderSettled(orderSettledId);
+  orderSettled.timestamp = event.block.timestamp;
+  orderSettled.marketId = event.params.marketId;
+  orderSettled.accountId = event.params.accountId;
+  orderSettled.fillPrice = event.params.fillPrice;
+  orderSettled.accruedFunding = event.params.accruedFunding;
+  orderSettled.sizeDelta = event.params.sizeDelta;
+  orderSettled.newSize = event.params.newSize;
+  orderSettled.totalFees = event.params.totalFees;
+  orderSettled.referralFees = event.params.referralFees;
+  orderSettled.collectedFees = event.params.collectedFees;
+  orderSettled.settlementReward = event.params.settlementReward;
+  orderSettled.trackingCode = event.params.trackingCode;
+  orderSettled.settler = event.params.settler;
+
+  orderSettled.save();
+
+  // update market snapshots, volume is the USD notional of the filled size
+  const volume = event.params.sizeDelta
+    .abs()
+    .times(event.params.fillPrice)
+    .div(BigInt.fromI32(10).pow(18));
+
+  const snapshotByHour = loadMarketSnapshotByHour(event.params.marketId, event);
+  snapshotByHour.volume = snapshotByHour.volume.plus(volume);
+  snapshotByHour.collectedFees = snapshotByHour.collectedFees.plus(event.params.collectedFees);
+  snapshotByHour.trades = snapshotByHour.trades.plus(BigInt.fromI32(1));
+  snapshotByHour.save();
+
+  const snapshotByDay = loadMarketSnapshotByDay(event.params.marketId, event);
+  snapshotByDay.volume = snapshotByDay.volume.plus(volume);
+  snapshotByDay.collectedFees = snapshotByDay.collectedFees.plus(event.params.collectedFees);
+  snapshotByDay.trades = snapshotByDay.trades.plus(BigInt.fromI32(1));
+  snapshotByDay.save();
+
+  // update Position entities, PnL, funding and fees of the order belong to the position it changed
+  let position = loadOpenPosition(event.params.marketId, event.params.accountId);
+  if (!position) {
+    if (event.params.newSize.isZero()) {
+      return;
+    }
+    position = openPosition(
+      event.params.marketId,
+      event.params.accountId,
+      event.params.fillPrice,
+      event
+    );
+  }
+
+  const isFlipped =
+    !position.size.isZero() &&
+    !event.params.newSize.isZero() &&
+    position.size.lt(BigInt.zero()) != event.params.newSize.lt(BigInt.zero());
+
+  position.realizedPnl = position.realizedPnl.plus(event.params.pnl);
+  position.accruedFunding = position.accruedFunding.plus(event.params.accruedFunding);
+  position.totalFees = position.totalFees.plus(event.params.totalFees);
+  position.trades = position.trades.plus(BigInt.fromI32(1));
+  position.updatedAt = event.block.timestamp;
+  position.updatedAtBlock = event.block.number;
+
+  const sizeDelta = isFlipped
+    ? BigInt.zero().minus(position.size)
+    : event.params.newSize.minus(position.size);
+  if (event.params.newSize.isZero() || isFlipped) {
+    position.size = BigInt.zero();
+    closePosition(position, event);
+  } else {
+    position.entryPrice = calculateEntryPrice(
+      position.size,
+      position.entryPrice,
+      event.params.newSize,
+      event.params.fillPrice
+    );
+    position.size = event.params.newSize;
+    if (position.size.abs().gt(position.maxSize)) {
+      position.maxSize = position.size.abs();
+    }
+  }
+  position.save();
+
+  const snapshot = createPositionSnapshot(position, 'OrderSettled', sizeDelta, event);
+  snapshot.fillPrice = event.params.fillPrice;
+  snapshot.pnl = event.params.pnl;
+  snapshot.accruedFunding = event.params.accruedFunding;
+  snapshot.fees = event.params.totalFees;
+  snapshot.save();
+
+  if (!isFlipped) {
+    return;
+  }
+
+  // order flipped the side, the rest of it opens a new position
+  const newPosition = openPosition(
+    event.params.marketId,
+    event.params.accountId,
+    event.params.fillPrice,
+    event
+  );
+  newPosition.size = event.params.newSize;
+  newPosition.maxSize = event.params.newSize.abs();
+  newPosition.trades = BigInt.fromI32(1);
+  newPosition.save();
+
+  const newSnapshot = createPositionSnapshot(
+    newPosition,
+    'OrderSettled',
+    event.params.newSize,
+    event
+  );
+  newSnapshot.fillPrice = event.params.fillPrice;
+  newSnapshot.pnl = BigInt.zero();
+  newSnapshot.accruedFunding = BigInt.zero();
+  newSnapshot.fees = BigInt.zero();
+  newSnapshot.save();
+}
@@ -0,0 +1,40 @@
+import { PositionLiquidated as PositionLiquidatedEvent } from '../optimism-goerli/generated/PerpsMarketProxy/PerpsMarketProxy';
+import { PositionLiquidated } from '../optimism-goerli/generated/schema';
+import { closePosition, createPositionSnapshot, loadOpenPosition } from './position';
+
+export function handlePositionLiquidated(event: PositionLiquidatedEvent): void {
+  const id =
+    event.params.marketId.toString() +
+    '-' +
+    event.params.accountId.toString() +
+    '-' +
+    event.block.number.toString();
+
+  const positionLiquidated = new PositionLiquidated(id);
+
+  positionLiquidated.accountId = event.params.accountId;
+  positionLiquidated.timestamp = event.block.timestamp;
+  positionLiquidated.marketId = event.params.marketId;
+  positionLiquidated.amountLiquidated = event.params.amountLiquidated;
+  positionLiquidated.currentPositionSize = event.params.currentPositionSize;
+
+  positionLiquidated.save();
+  const position = loadOpenPosition(event.params.marketId, event.params.accountId);
+  if (!position) {
+    return;
+  }
+  const sizeDelta = event.params.currentPositionSize.minus(position.size);
+  position.size = event.params.currentPositionSize;
+  position.amountLiquidated = position.amountLiquidated.plus(event.params.amountLiquidated);
+  position.updatedAt = event.block.timestamp;
+  position.updatedAtBlock = event.block.number;
+  if (position.size.isZero()) {
+    position.isLiquidated = true;
+    closePosition(position, event);
+  }
+  position.save();
+
+  const snapshot = createPositionSnapshot(position, 'PositionLiquidated', sizeDelta, event);
+  snapshot.amountLiquidated = event.params.amountLiquidated;
+  snapshot.save();
+}
@@ -1,7 +1,8 @@
-import { SettlementStrategyAdded } from './generated/PerpsMarketProxy/PerpsMarketProxy';
-import { SettlementStrategy } from './generated/schema';
+import { SettlementStrategyAdded } from '../base-mainnet-andromeda/generated/PerpsMarketProxy/PerpsMarketProxy';
+import { SettlementStrategy } from '../optimism-goerli/generated/schema';
 
-export function handleSettlementStrategyAdded(event: SettlementStrategyAdded): void {
+// Strategy struct of andromeda has commitmentPriceDelay instead of url
+export function handleSettlementStrategyAddedAndromeda(event: SettlementStrategyAdded): void {
   const id = event.params.strategyId.toString() + '-' + event.params.marketId.toString();
   const strategy = new SettlementStrategy(id);
 
@@ -9,10 +9,15 @@ export * from './handleMarketPriceDataUpdated';
 export * from './handleMarketUpdated';
 export * from './handleMaxLiquidationParametersSet';
 export * from './handleOrderCommitted';
+export * from './handleOrderCommittedAndromeda';
 export * from './handleOrderFeesSet';
 export * from './handleOrderSettled';
 export * from './handlePositionLiquidated';
 export * from './handlePreviousOrderExpired';
 export * from './handleReferrerShareUpdated';
 export * from './handleSettlementStrategyAdded';
+export * from './handleSettlementStrategyAddedAndromeda';
 export * from './handleSettlementStrategyEnabled';
+export * from './marketSnapshotByDay';
+export * from './marketSnapshotByHour';
+export * from './position';
@@ -0,0 +1,53 @@
+import { BigInt, ethereum } from '@graphprotocol/graph-ts';
+import { Market, MarketSnapshotByDay } from '../optimism-goerli/generated/schema';
+
+function valueOrZero(value: BigInt | null): BigInt {
+  if (!value) {
+    return BigInt.fromI32(0);
+  }
+  return value;
+}
+
+// Handlers add their amounts to the snapshot and save it, market values are carried over
+// from the latest MarketUpdated
+export function loadMarketSnapshotByDay(
+  marketId: BigInt,
+  event: ethereum.Event
+): MarketSnapshotByDay {
+  const date = new Date(<i64>parseInt(event.block.timestamp.toString()) * 1000);
+
+  const snapshotId = marketId.toString().concat('-').concat(date.toISOString().slice(0, 10));
+  let snapshot = MarketSnapshotByDay.load(snapshotId);
+
+  if (!snapshot) {
+    // If we have two events in the same day update the data fields
+    snapshot = new MarketSnapshotByDay(snapshotId);
+    snapshot.marketId = marketId;
+    snapshot.period = event.block.timestamp.div(BigInt.fromI32(86400)).times(BigInt.fromI32(86400));
+    snapshot.volume = BigInt.fromI32(0);
+    snapshot.collectedFees = BigInt.fromI32(0);
+    snapshot.trades = BigInt.fromI32(0);
+    snapshot.openInterest = BigInt.fromI32(0);
+    snapshot.skew = BigInt.fromI32(0);
+    snapshot.price = BigInt.fromI32(0);
+    snapshot.fundingRate = BigInt.fromI32(0);
+    snapshot.fundingVelocity = BigInt.fromI32(0);
+    snapshot.updatesInPeriod = BigInt.fromI32(0);
+    snapshot.createdAt = event.block.timestamp;
+    snapshot.createdAtBlock = event.block.number;
+
+    const market = Market.load(marketId.toString());
+    if (market) {
+      snapshot.openInterest = valueOrZero(market.size);
+      snapshot.skew = valueOrZero(market.skew);
+      snapshot.price = valueOrZero(market.price);
+      snapshot.fundingRate = valueOrZero(market.currentFundingRate);
+      snapshot.fundingVelocity = valueOrZero(market.currentFundingVelocity);
+    }
+  }
+  snapshot.updatedAt = event.block.timestamp;
+  snapshot.updatedAtBlock = event.block.number;
+  snapshot.updatesInPeriod = snapshot.updatesInPeriod.plus(BigInt.fromI32(1));
+
+  return snapshot;
+}
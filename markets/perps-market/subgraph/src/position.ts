@@ -0,0 +1,98 @@
+import { BigInt, ethereum, store } from '@graphprotocol/graph-ts';
+import { OpenPosition, Position, PositionSnapshot } from '../optimism-goerli/generated/schema';
+
+function openPositionId(marketId: BigInt, accountId: BigInt): string {
+  return marketId.toString() + '-' + accountId.toString();
+}
+
+export function loadOpenPosition(marketId: BigInt, accountId: BigInt): Position | null {
+  const openPosition = OpenPosition.load(openPositionId(marketId, accountId));
+  if (!openPosition) {
+    return null;
+  }
+  return Position.load(openPosition.position);
+}
+
+export function openPosition(
+  marketId: BigInt,
+  accountId: BigInt,
+  entryPrice: BigInt,
+  event: ethereum.Event
+): Position {
+  const position = new Position(
+    openPositionId(marketId, accountId) +
+      '-' +
+      event.block.number.toString() +
+      '-' +
+      event.logIndex.toString()
+  );
+  position.marketId = marketId;
+  position.accountId = accountId;
+  position.isOpen = true;
+  position.isLiquidated = false;
+  position.size = BigInt.fromI32(0);
+  position.maxSize = BigInt.fromI32(0);
+  position.entryPrice = entryPrice;
+  position.realizedPnl = BigInt.fromI32(0);
+  position.accruedFunding = BigInt.fromI32(0);
+  position.totalFees = BigInt.fromI32(0);
+  position.trades = BigInt.fromI32(0);
+  position.amountLiquidated = BigInt.fromI32(0);
+  position.openedAt = event.block.timestamp;
+  position.openedAtBlock = event.block.number;
+  position.updatedAt = event.block.timestamp;
+  position.updatedAtBlock = event.block.number;
+
+  const openPosition = new OpenPosition(openPositionId(marketId, accountId));
+  openPosition.position = position.id;
+  openPosition.save();
+
+  return position;
+}
+
+export function closePosition(position: Position, event: ethereum.Event): void {
+  position.isOpen = false;
+  position.closedAt = event.block.timestamp;
+  position.closedAtBlock = event.block.number;
+  store.remove('OpenPosition', openPositionId(position.marketId, position.accountId));
+}
+
+// Average fill price of the orders that increased the position, reducing orders keep it
+export function calculateEntryPrice(
+  size: BigInt,
+  entryPrice: BigInt,
+  newSize: BigInt,
+  fillPrice: BigInt
+): BigInt {
+  if (size.isZero() || newSize.isZero() || size.lt(BigInt.zero()) != newSize.lt(BigInt.zero())) {
+    return fillPrice;
+  }
+  if (newSize.abs().le(size.abs())) {
+    return entryPrice;
+  }
+  const sizeDelta = newSize.abs().minus(size.abs());
+  return size.abs().times(entryPrice).plus(sizeDelta.times(fillPrice)).div(newSize.abs());
+}
+
+export function createPositionSnapshot(
+  position: Position,
+  trigger: string,
+  sizeDelta: BigInt,
+  event: ethereum.Event
+): PositionSnapshot {
+  const snapshot = new PositionSnapshot(
+    position.id + '-' + event.block.number.toString() + '-' + event.logIndex.toString()
+  );
+  snapshot.position = position.id;
+  snapshot.marketId = position.marketId;
+  snapshot.accountId = position.accountId;
+  snapshot.trigger = trigger;
+  snapshot.timestamp = event.block.timestamp;
+  snapshot.block = event.block.number;
+  snapshot.size = position.size;
+  snapshot.sizeDelta = sizeDelta;
+  snapshot.entryPrice = position.entryPrice;
+  snapshot.realizedPnl = position.realizedPnl;
+  snapshot.isOpen = position.isOpen;
+  return snapshot;
+}
@@ -11,13 +11,18 @@ import handleMarketPriceDataUpdated from './handleMarketPriceDataUpdated';
 import handleMarketUpdated from './handleMarketUpdated';
 import handleMaxLiquidationParametersSet from './handleMaxLiquidationParametersSet';
 import handleOrderCommitted from './handleOrderCommitted';
+import handleOrderCommittedAndromeda from './handleOrderCommittedAndromeda';
 import handleOrderFeesSet from './handleOrderFeesSet';
 import handleOrderSettled from './handleOrderSettled';
 import handlePositionLiquidated from './handlePositionLiquidated';
 import handlePreviousOrderExpired from './handlePreviousOrderExpired';
 import handleReferrerShareUpdated from './handleReferrerShareUpdated';
 import handleSettlementStrategyAdded from './handleSettlementStrategyAdded';
+import handleSettlementStrategyAddedAndromeda from './handleSettlementStrategyAddedAndromeda';
 import handleSettlementStrategyEnabled from './handleSettlementStrategyEnabled';
+import marketSnapshotByDay from './marketSnapshotByDay';
+import marketSnapshotByHour from './marketSnapshotByHour';
+import position from './position';
 
 describe('PerpsMarketProxy', () => {
   beforeEach(() => {
@@ -39,11 +44,16 @@ describe('PerpsMarketProxy', () => {
   test('handleMarketUpdated', handleMarketUpdated);
   test('handleMaxLiquidationParametersSet', handleMaxLiquidationParametersSet);
   test('handleOrderCommitted', handleOrderCommitted);
+  test('handleOrderCommittedAndromeda', handleOrderCommittedAndromeda);
   test('handleOrderFeesSet', handleOrderFeesSet);
   test('handleOrderSettled', handleOrderSettled);
   test('handlePositionLiquidated', handlePositionLiquidated);
   test('handlePreviousOrderExpired', handlePreviousOrderExpired);
   test('handleReferrerShareUpdated', handleReferrerShareUpdated);
   test('handleSettlementStrategyAdded', handleSettlementStrategyAdded);
+  test('handleSettlementStrategyAddedAndromeda', handleSettlementStrategyAddedAndromeda);
   test('handleSettlementStrategyEnabled', handleSettlementStrategyEnabled);
+  test('marketSnapshotByDay', marketSnapshotByDay);
+  test('marketSnapshotByHour', marketSnapshotByHour);
+  test('position', position);
 });
@@ -0,0 +1,774 @@
+// THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+// Replays tests/e2e/fixtures/flows.json, run "yarn e2e:replay" to update
+
+import { Address, BigInt, Bytes, ethereum } from '@graphprotocol/graph-ts';
+import { assert, clearStore, describe, newTypedMockEvent, test } from 'matchstick-as';
+import {
+  MarketCreated as PerpsMarketProxyMarketCreated,
+  AccountCreated as PerpsMarketProxyAccountCreated,
+  CollateralModified as PerpsMarketProxyCollateralModified,
+  OrderCommitted as PerpsMarketProxyOrderCommitted,
+  OrderSettled as PerpsMarketProxyOrderSettled,
+  PositionLiquidated as PerpsMarketProxyPositionLiquidated,
+  AccountLiquidated as PerpsMarketProxyAccountLiquidated,
+} from '../../optimism-goerli/generated/PerpsMarketProxy/PerpsMarketProxy';
+import {
+  handleMarketCreated,
+  handleAccountCreated,
+  handleCollateralModified,
+  handleOrderCommitted,
+  handleOrderSettled,
+  handlePositionLiquidated,
+  handleAccountLiquidated,
+} from '../../src';
+
+describe('flows', () => {
+  test('replays 13 recorded events', () => {
+    // PerpsMarketProxy MarketCreated(indexed uint128,string,string)
+    {
+      const event = newTypedMockEvent<PerpsMarketProxyMarketCreated>();
+      event.address = Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9');
+      event.transaction.hash = Bytes.fromHexString(
+        '0xa7f5693ebe019e1dbaf298a232d53ea1ad1832953be094dfdee2b7084e396fb2'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(55);
+      event.block.timestamp = BigInt.fromI64(1700000030);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'perpsMarketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('25'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam('marketName', ethereum.Value.fromString('Ether'))
+      );
+      event.parameters.push(
+        new ethereum.EventParam('marketSymbol', ethereum.Value.fromString('ETH'))
+      );
+      handleMarketCreated(event);
+    }
+    // PerpsMarketProxy AccountCreated(indexed uint128,indexed address)
+    {
+      const event = newTypedMockEvent<PerpsMarketProxyAccountCreated>();
+      event.address = Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x8dbf12e3405501d8d32fa105fe7738f12a77dd16e5fd50d7374010aaecb74297'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(56);
+      event.block.timestamp = BigInt.fromI64(1700000032);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'owner',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC')
+          )
+        )
+      );
+      handleAccountCreated(event);
+    }
+    // PerpsMarketProxy AccountCreated(indexed uint128,indexed address)
+    {
+      const event = newTypedMockEvent<PerpsMarketProxyAccountCreated>();
+      event.address = Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9');
+      event.transaction.hash = Bytes.fromHexString(
+        '0xd1ac8b1d514545080ee0d276a63676f9114ef946cffabafdd7b1692213510641'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(57);
+      event.block.timestamp = BigInt.fromI64(1700000034);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('3'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'owner',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x90F79bf6EB2c4f870365E785982E1f101E93b906')
+          )
+        )
+      );
+      handleAccountCreated(event);
+    }
+    // PerpsMarketProxy CollateralModified(indexed uint128,indexed uint128,int256,indexed address)
+    {
+      const event = newTypedMockEvent<PerpsMarketProxyCollateralModified>();
+      event.address = Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x37f523c6fad689cfa6cfe06ca14ec566849cacfb447b46f80e59c491ed49388a'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(58);
+      event.block.timestamp = BigInt.fromI64(1700000036);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'synthMarketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'amountDelta',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('5000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sender',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC')
+          )
+        )
+      );
+      handleCollateralModified(event);
+    }
+    // PerpsMarketProxy CollateralModified(indexed uint128,indexed uint128,int256,indexed address)
+    {
+      const event = newTypedMockEvent<PerpsMarketProxyCollateralModified>();
+      event.address = Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x1b326ba50cc2c47fc874f277e16518191e0c7fe21c695483373320338ce32d45'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(59);
+      event.block.timestamp = BigInt.fromI64(1700000038);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('3'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'synthMarketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'amountDelta',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('1000000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sender',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x90F79bf6EB2c4f870365E785982E1f101E93b906')
+          )
+        )
+      );
+      handleCollateralModified(event);
+    }
+    // PerpsMarketProxy OrderCommitted(indexed uint128,indexed uint128,uint8,int128,uint256,uint256,uint256,indexed bytes32,address)
+    {
+      const event = newTypedMockEvent<PerpsMarketProxyOrderCommitted>();
+      event.address = Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x46c5bd4a98bb78b8ec106383ea3edbd1e30c27c13b85f60594148f51e2b97bfc'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(60);
+      event.block.timestamp = BigInt.fromI64(1700000040);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'marketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('25'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'orderType',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sizeDelta',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('5000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'acceptablePrice',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2050000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'settlementTime',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1700000045'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'expirationTime',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1700000645'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'trackingCode',
+          ethereum.Value.fromFixedBytes(
+            Bytes.fromHexString(
+              '0x0000000000000000000000000000000000000000000000000000000000000000'
+            )
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sender',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC')
+          )
+        )
+      );
+      handleOrderCommitted(event);
+    }
+    // PerpsMarketProxy OrderSettled(indexed uint128,indexed uint128,uint256,int256,int256,int128,int128,uint256,uint256,uint256,uint256,indexed bytes32,address)
+    {
+      const event = newTypedMockEvent<PerpsMarketProxyOrderSettled>();
+      event.address = Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x63e5bf20a7f9b74c5df2ac4ec15c8d3ca8cbec69f57058bc6764703120ed69ef'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(61);
+      event.block.timestamp = BigInt.fromI64(1700000042);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'marketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('25'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'fillPrice',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2005000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam('pnl', ethereum.Value.fromSignedBigInt(BigInt.fromString('0')))
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accruedFunding',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sizeDelta',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('5000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'newSize',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('5000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'totalFees',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'referralFees',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'collectedFees',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'settlementReward',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'trackingCode',
+          ethereum.Value.fromFixedBytes(
+            Bytes.fromHexString(
+              '0x0000000000000000000000000000000000000000000000000000000000000000'
+            )
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'settler',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65')
+          )
+        )
+      );
+      handleOrderSettled(event);
+    }
+    // PerpsMarketProxy OrderCommitted(indexed uint128,indexed uint128,uint8,int128,uint256,uint256,uint256,indexed bytes32,address)
+    {
+      const event = newTypedMockEvent<PerpsMarketProxyOrderCommitted>();
+      event.address = Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9');
+      event.transaction.hash = Bytes.fromHexString(
+        '0xd116637606b869aac5871025f82dbd5f32617de5510dac68997a54fdd4f60299'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(62);
+      event.block.timestamp = BigInt.fromI64(1700000044);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'marketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('25'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'orderType',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sizeDelta',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('-2000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'acceptablePrice',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1950000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'settlementTime',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1700000049'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'expirationTime',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1700000649'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'trackingCode',
+          ethereum.Value.fromFixedBytes(
+            Bytes.fromHexString(
+              '0x0000000000000000000000000000000000000000000000000000000000000000'
+            )
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sender',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC')
+          )
+        )
+      );
+      handleOrderCommitted(event);
+    }
+    // PerpsMarketProxy OrderSettled(indexed uint128,indexed uint128,uint256,int256,int256,int128,int128,uint256,uint256,uint256,uint256,indexed bytes32,address)
+    {
+      const event = newTypedMockEvent<PerpsMarketProxyOrderSettled>();
+      event.address = Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x23fb9b9521731afc90be78a9d7c6be98c444a355c2dbacda4d4e4d7898db74e8'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(63);
+      event.block.timestamp = BigInt.fromI64(1700000046);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'marketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('25'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'fillPrice',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2008000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'pnl',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('6000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accruedFunding',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sizeDelta',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('-2000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'newSize',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('3000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'totalFees',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'referralFees',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'collectedFees',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'settlementReward',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'trackingCode',
+          ethereum.Value.fromFixedBytes(
+            Bytes.fromHexString(
+              '0x0000000000000000000000000000000000000000000000000000000000000000'
+            )
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'settler',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65')
+          )
+        )
+      );
+      handleOrderSettled(event);
+    }
+    // PerpsMarketProxy OrderCommitted(indexed uint128,indexed uint128,uint8,int128,uint256,uint256,uint256,indexed bytes32,address)
+    {
+      const event = newTypedMockEvent<PerpsMarketProxyOrderCommitted>();
+      event.address = Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x5838bf13118729b00220104628cb7789388f700798c8bd52d8c7090d49e09e90'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(64);
+      event.block.timestamp = BigInt.fromI64(1700000048);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'marketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('25'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('3'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'orderType',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sizeDelta',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('2000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'acceptablePrice',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2050000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'settlementTime',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1700000053'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'expirationTime',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1700000653'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'trackingCode',
+          ethereum.Value.fromFixedBytes(
+            Bytes.fromHexString(
+              '0x0000000000000000000000000000000000000000000000000000000000000000'
+            )
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sender',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x90F79bf6EB2c4f870365E785982E1f101E93b906')
+          )
+        )
+      );
+      handleOrderCommitted(event);
+    }
+    // PerpsMarketProxy OrderSettled(indexed uint128,indexed uint128,uint256,int256,int256,int128,int128,uint256,uint256,uint256,uint256,indexed bytes32,address)
+    {
+      const event = newTypedMockEvent<PerpsMarketProxyOrderSettled>();
+      event.address = Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9');
+      event.transaction.hash = Bytes.fromHexString(
+        '0xcfd3460274b5d706167a59b91e1788e434df492766360f92f298c75344cc301b'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(65);
+      event.block.timestamp = BigInt.fromI64(1700000050);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'marketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('25'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('3'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'fillPrice',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2008000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam('pnl', ethereum.Value.fromSignedBigInt(BigInt.fromString('0')))
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accruedFunding',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sizeDelta',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('2000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'newSize',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('2000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'totalFees',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'referralFees',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'collectedFees',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'settlementReward',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'trackingCode',
+          ethereum.Value.fromFixedBytes(
+            Bytes.fromHexString(
+              '0x0000000000000000000000000000000000000000000000000000000000000000'
+            )
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'settler',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65')
+          )
+        )
+      );
+      handleOrderSettled(event);
+    }
+    // PerpsMarketProxy PositionLiquidated(indexed uint128,indexed uint128,uint256,int128)
+    {
+      const event = newTypedMockEvent<PerpsMarketProxyPositionLiquidated>();
+      event.address = Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9');
+      event.transaction.hash = Bytes.fromHexString(
+        '0xd023d68fa18d4bbce2a6d26b3f4b5b280a2b8a50deaf3e8bd457132c4d68f047'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(66);
+      event.block.timestamp = BigInt.fromI64(1700000052);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('3'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'marketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('25'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'amountLiquidated',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'currentPositionSize',
+          ethereum.Value.fromSignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      handlePositionLiquidated(event);
+    }
+    // PerpsMarketProxy AccountLiquidated(indexed uint128,uint256,bool)
+    {
+      const event = newTypedMockEvent<PerpsMarketProxyAccountLiquidated>();
+      event.address = Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9');
+      event.transaction.hash = Bytes.fromHexString(
+        '0xd023d68fa18d4bbce2a6d26b3f4b5b280a2b8a50deaf3e8bd457132c4d68f047'
+      );
+      event.logIndex = BigInt.fromI32(1);
+      event.block.number = BigInt.fromI32(66);
+      event.block.timestamp = BigInt.fromI64(1700000052);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('3'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'reward',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('150000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam('fullLiquidation', ethereum.Value.fromBoolean(true))
+      );
+      handleAccountLiquidated(event);
+    }
+    assert.entityCount('Account', 2);
+    assert.entityCount('Market', 1);
+    assert.entityCount('CollateralModified', 2);
+    assert.entityCount('OrderCommitted', 3);
+    assert.entityCount('OrderSettled', 3);
+    assert.entityCount('Position', 2);
+    assert.entityCount('OpenPosition', 1);
+    assert.entityCount('PositionSnapshot', 4);
+    assert.entityCount('PositionLiquidated', 1);
+    assert.entityCount('AccountLiquidated', 1);
+    assert.fieldEquals('Account', '3', 'owner', '0x90f79bf6eb2c4f870365e785982e1f101e93b906');
+    assert.fieldEquals('Market', '25', 'marketSymbol', 'ETH');
+    assert.fieldEquals('Order', '25-2', 'size', '-2000000000000000000');
+    assert.fieldEquals('Order', '25-2', 'newSize', '3000000000000000000');
+    assert.fieldEquals('Order', '25-2', 'fillPrice', '2008000000000000000000');
+    assert.fieldEquals('OpenPosition', '25-2', 'position', '25-2-61-0');
+    assert.fieldEquals('Position', '25-2-61-0', 'isOpen', 'true');
+    assert.fieldEquals('Position', '25-2-61-0', 'size', '3000000000000000000');
+    assert.fieldEquals('Position', '25-2-61-0', 'maxSize', '5000000000000000000');
+    assert.fieldEquals('Position', '25-2-61-0', 'entryPrice', '2005000000000000000000');
+    assert.fieldEquals('Position', '25-2-61-0', 'realizedPnl', '6000000000000000000');
+    assert.fieldEquals('Position', '25-2-61-0', 'trades', '2');
+    assert.fieldEquals('Position', '25-3-65-0', 'isOpen', 'false');
+    assert.fieldEquals('Position', '25-3-65-0', 'isLiquidated', 'true');
+    assert.fieldEquals('Position', '25-3-65-0', 'size', '0');
+    assert.fieldEquals('Position', '25-3-65-0', 'entryPrice', '2008000000000000000000');
+    assert.fieldEquals('Position', '25-3-65-0', 'amountLiquidated', '2000000000000000000');
+    assert.fieldEquals('Position', '25-3-65-0', 'closedAtBlock', '66');
+    assert.fieldEquals('MarketSnapshotByDay', '25-2023-11-14', 'volume', '18057000000000000000000');
+    assert.fieldEquals('MarketSnapshotByDay', '25-2023-11-14', 'trades', '3');
+    assert.fieldEquals('AccountLiquidated', '3-66', 'fullyLiquidated', 'true');
+    assert.fieldEquals('AccountLiquidated', '3-66', 'liquidationReward', '150000000000000000000');
+    clearStore();
+  });
+});
@@ -3,9 +3,9 @@ import { newTypedMockEvent } from 'matchstick-as';
 import {
   SettlementStrategyAdded as SettlementStrategyAddedEvent,
   SettlementStrategyAddedStrategyStruct,
-} from '../../../base-sepolia-andromeda/generated/PerpsMarketProxy/PerpsMarketProxy';
+} from '../../base-mainnet-andromeda/generated/PerpsMarketProxy/PerpsMarketProxy';
 
-export function createSettlementStrategyAddedEvent(
+export function createSettlementStrategyAddedAndromedaEvent(
   marketId: i32,
   // strategy struct
   strategyType: i32,
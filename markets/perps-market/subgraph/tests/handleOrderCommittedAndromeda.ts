@@ -0,0 +1,73 @@
+import { assert, log } from 'matchstick-as';
+import { handleOrderCommittedAndromeda } from '../src';
+import { createOrderCommittedAndromedaEvent } from './event-factories/createOrderCommittedAndromedaEvent';
+
+export default function test(): void {
+  assert.entityCount('Order', 0);
+  assert.entityCount('OrderCommitted', 0);
+
+  log.info('Should read the andromeda OrderCommitted parameters after the commitment times', []);
+
+  const marketId = 1;
+  const accountId = 1;
+  const orderType = 2;
+  const sizeDelta = 300;
+  const acceptablePrice = 400;
+  const commitmentTime = 450;
+  const expectedPriceTime = 460;
+  const settlementTime = 500;
+  const expirationTime = 600;
+  const trackingCode = '0xbebebe';
+  const sender = '0x6900000000000000000000000000000000000000';
+  const timestamp = 10_000;
+  const blockNumber = 10;
+  const logIndex = 1;
+
+  handleOrderCommittedAndromeda(
+    createOrderCommittedAndromedaEvent(
+      marketId,
+      accountId,
+      orderType,
+      sizeDelta,
+      acceptablePrice,
+      commitmentTime,
+      expectedPriceTime,
+      settlementTime,
+      expirationTime,
+      trackingCode,
+      sender,
+      timestamp,
+      blockNumber,
+      logIndex
+    )
+  );
+
+  assert.entityCount('Order', 1);
+  assert.entityCount('OrderCommitted', 1);
+
+  const orderId = marketId.toString() + '-' + accountId.toString();
+  assert.fieldEquals('Order', orderId, 'size', sizeDelta.toString());
+  assert.fieldEquals('Order', orderId, 'acceptablePrice', acceptablePrice.toString());
+  assert.fieldEquals('Order', orderId, 'settlementTime', settlementTime.toString());
+  assert.fieldEquals('Order', orderId, 'expirationTime', expirationTime.toString());
+  assert.fieldEquals('Order', orderId, 'trackingCode', trackingCode);
+  assert.fieldEquals('Order', orderId, 'owner', sender);
+
+  const orderCommittedId =
+    marketId.toString() + '-' + accountId.toString() + '-' + blockNumber.toString();
+  assert.fieldEquals('OrderCommitted', orderCommittedId, 'sizeDelta', sizeDelta.toString());
+  assert.fieldEquals(
+    'OrderCommitted',
+    orderCommittedId,
+    'settlementTime',
+    settlementTime.toString()
+  );
+  assert.fieldEquals(
+    'OrderCommitted',
+    orderCommittedId,
+    'expirationTime',
+    expirationTime.toString()
+  );
+  assert.fieldEquals('OrderCommitted', orderCommittedId, 'trackingCode', trackingCode);
+  assert.fieldEquals('OrderCommitted', orderCommittedId, 'sender', sender);
+}
@@ -1,5 +1,5 @@
 import { assert, log } from 'matchstick-as';
-import { handleSettlementStrategyAdded } from '../optimism-goerli';
+import { handleSettlementStrategyAdded } from '../src';
 import { createSettlementStrategyAddedEvent } from './event-factories/createSettlementStrategyAddedEvent';
 
 export default function test(): void {
@@ -1,6 +1,6 @@
 import { assert, log } from 'matchstick-as';
-import { handleSettlementStrategyAdded } from '../../base-sepolia-andromeda';
-import { createSettlementStrategyAddedEvent } from './event-factories/createSettlementStrategyAddedEvent';
+import { handleSettlementStrategyAddedAndromeda } from '../src';
+import { createSettlementStrategyAddedAndromedaEvent } from './event-factories/createSettlementStrategyAddedAndromedaEvent';
 
 export default function test(): void {
   assert.entityCount('SettlementStrategy', 0);
@@ -22,8 +22,8 @@ export default function test(): void {
   const blockNumber = 10;
   const logIndex = 1;
 
-  handleSettlementStrategyAdded(
-    createSettlementStrategyAddedEvent(
+  handleSettlementStrategyAddedAndromeda(
+    createSettlementStrategyAddedAndromedaEvent(
       marketId,
       strategyType,
       settlementDelay,
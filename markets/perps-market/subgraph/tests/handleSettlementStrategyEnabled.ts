@@ -1,5 +1,5 @@
 import { assert, log } from 'matchstick-as';
-import { handleSettlementStrategyAdded, handleSettlementStrategyEnabled } from '../optimism-goerli';
+import { handleSettlementStrategyAdded, handleSettlementStrategyEnabled } from '../src';
 import { createSettlementStrategyAddedEvent } from './event-factories/createSettlementStrategyAddedEvent';
 import { createSettlementStrategyEnabledEvent } from './event-factories/createSettlementStrategyEnabledEvent';
 
@@ -0,0 +1,113 @@
+import { assert, log } from 'matchstick-as';
+import { handleMarketCreated, handleMarketUpdated, handleOrderSettled } from '../src';
+import { createMarketCreatedEvent } from './event-factories/createMarketCreatedEvent';
+import { createMarketUpdatedEvent } from './event-factories/createMarketUpdatedEvent';
+import { createOrderSettledEvent } from './event-factories/createOrderSettledEvent';
+
+export default function test(): void {
+  assert.entityCount('MarketSnapshotByDay', 0);
+
+  const timestamp = 1640998800; // 2022-01-01T01:00:00.000Z;
+  const oneDay = 24 * 60 * 60;
+  const price = 2_000_000_000_000_000_000; // 2 USD
+  const settler = '0x6900000000000000000000000000000000000000';
+
+  handleMarketCreated(createMarketCreatedEvent(1, 'Test Market', 'TM', timestamp, 1, 1));
+
+  log.info('Should record market values from MarketUpdated', []);
+  handleMarketUpdated(createMarketUpdatedEvent(1, price, 50, 150, 100, 5, 6, timestamp, 2, 1));
+
+  const snapshotId = '1-2022-01-01';
+  assert.entityCount('MarketSnapshotByDay', 1);
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'marketId', '1');
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'period', '1640995200');
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'openInterest', '150');
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'skew', '50');
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'price', price.toString());
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'fundingRate', '5');
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'fundingVelocity', '6');
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'volume', '0');
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'trades', '0');
+
+  log.info('Should add settled orders as USD volume', []);
+  handleOrderSettled(
+    createOrderSettledEvent(
+      1,
+      1,
+      price,
+      0,
+      0,
+      100,
+      100,
+      10,
+      0,
+      10,
+      0,
+      '0xbebebe',
+      settler,
+      timestamp + 600,
+      3,
+      1
+    )
+  );
+  handleOrderSettled(
+    createOrderSettledEvent(
+      1,
+      2,
+      price,
+      0,
+      0,
+      -50,
+      -50,
+      5,
+      0,
+      5,
+      0,
+      '0xbebebe',
+      settler,
+      timestamp + 1200,
+      4,
+      1
+    )
+  );
+
+  assert.entityCount('MarketSnapshotByDay', 1);
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'volume', '300');
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'collectedFees', '15');
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'trades', '2');
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'updatesInPeriod', '3');
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'createdAt', `${timestamp}`);
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'updatedAt', `${timestamp + 1200}`);
+  assert.fieldEquals('MarketSnapshotByDay', snapshotId, 'updatedAtBlock', '4');
+
+  log.info('Should carry market values over to the next period', []);
+  handleOrderSettled(
+    createOrderSettledEvent(
+      1,
+      1,
+      price,
+      0,
+      0,
+      10,
+      110,
+      1,
+      0,
+      1,
+      0,
+      '0xbebebe',
+      settler,
+      timestamp + oneDay,
+      5,
+      1
+    )
+  );
+
+  const nextSnapshotId = '1-2022-01-02';
+  assert.entityCount('MarketSnapshotByDay', 2);
+  assert.fieldEquals('MarketSnapshotByDay', nextSnapshotId, 'volume', '20');
+  assert.fieldEquals('MarketSnapshotByDay', nextSnapshotId, 'trades', '1');
+  assert.fieldEquals('MarketSnapshotByDay', nextSnapshotId, 'openInterest', '150');
+  assert.fieldEquals('MarketSnapshotByDay', nextSnapshotId, 'price', price.toString());
+  assert.fieldEquals('MarketSnapshotByDay', nextSnapshotId, 'fundingRate', '5');
+  assert.fieldEquals('MarketSnapshotByDay', nextSnapshotId, 'updatesInPeriod', '1');
+}
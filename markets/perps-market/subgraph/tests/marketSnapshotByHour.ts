@@ -0,0 +1,113 @@
+import { assert, log } from 'matchstick-as';
+import { handleMarketCreated, handleMarketUpdated, handleOrderSettled } from '../src';
+import { createMarketCreatedEvent } from './event-factories/createMarketCreatedEvent';
+import { createMarketUpdatedEvent } from './event-factories/createMarketUpdatedEvent';
+import { createOrderSettledEvent } from './event-factories/createOrderSettledEvent';
+
+export default function test(): void {
+  assert.entityCount('MarketSnapshotByHour', 0);
+
+  const timestamp = 1640998800; // 2022-01-01T01:00:00.000Z;
+  const oneHour = 60 * 60;
+  const price = 2_000_000_000_000_000_000; // 2 USD
+  const settler = '0x6900000000000000000000000000000000000000';
+
+  handleMarketCreated(createMarketCreatedEvent(1, 'Test Market', 'TM', timestamp, 1, 1));
+
+  log.info('Should record market values from MarketUpdated', []);
+  handleMarketUpdated(createMarketUpdatedEvent(1, price, 50, 150, 100, 5, 6, timestamp, 2, 1));
+
+  const snapshotId = '1-2022-01-01T01';
+  assert.entityCount('MarketSnapshotByHour', 1);
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'marketId', '1');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'period', '1640998800');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'openInterest', '150');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'skew', '50');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'price', price.toString());
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'fundingRate', '5');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'fundingVelocity', '6');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'volume', '0');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'trades', '0');
+
+  log.info('Should add settled orders as USD volume', []);
+  handleOrderSettled(
+    createOrderSettledEvent(
+      1,
+      1,
+      price,
+      0,
+      0,
+      100,
+      100,
+      10,
+      0,
+      10,
+      0,
+      '0xbebebe',
+      settler,
+      timestamp + 600,
+      3,
+      1
+    )
+  );
+  handleOrderSettled(
+    createOrderSettledEvent(
+      1,
+      2,
+      price,
+      0,
+      0,
+      -50,
+      -50,
+      5,
+      0,
+      5,
+      0,
+      '0xbebebe',
+      settler,
+      timestamp + 1200,
+      4,
+      1
+    )
+  );
+
+  assert.entityCount('MarketSnapshotByHour', 1);
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'volume', '300');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'collectedFees', '15');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'trades', '2');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'updatesInPeriod', '3');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'createdAt', `${timestamp}`);
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'updatedAt', `${timestamp + 1200}`);
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'updatedAtBlock', '4');
+
+  log.info('Should carry market values over to the next period', []);
+  handleOrderSettled(
+    createOrderSettledEvent(
+      1,
+      1,
+      price,
+      0,
+      0,
+      10,
+      110,
+      1,
+      0,
+      1,
+      0,
+      '0xbebebe',
+      settler,
+      timestamp + oneHour,
+      5,
+      1
+    )
+  );
+
+  const nextSnapshotId = '1-2022-01-01T02';
+  assert.entityCount('MarketSnapshotByHour', 2);
+  assert.fieldEquals('MarketSnapshotByHour', nextSnapshotId, 'volume', '20');
+  assert.fieldEquals('MarketSnapshotByHour', nextSnapshotId, 'trades', '1');
+  assert.fieldEquals('MarketSnapshotByHour', nextSnapshotId, 'openInterest', '150');
+  assert.fieldEquals('MarketSnapshotByHour', nextSnapshotId, 'price', price.toString());
+  assert.fieldEquals('MarketSnapshotByHour', nextSnapshotId, 'fundingRate', '5');
+  assert.fieldEquals('MarketSnapshotByHour', nextSnapshotId, 'updatesInPeriod', '1');
+}
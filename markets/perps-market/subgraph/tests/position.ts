@@ -0,0 +1,143 @@
+import { assert, log } from 'matchstick-as';
+import { store } from '@graphprotocol/graph-ts';
+import { handleOrderSettled, handlePositionLiquidated } from '../src';
+import { createOrderSettledEvent } from './event-factories/createOrderSettledEvent';
+import { createPositionLiquidatedEvent } from './event-factories/createPositionLiquidatedEvent';
+
+function settle(
+  fillPrice: i64,
+  pnl: i64,
+  accruedFunding: i64,
+  sizeDelta: i64,
+  newSize: i64,
+  totalFees: i64,
+  blockNumber: i64
+): void {
+  handleOrderSettled(
+    createOrderSettledEvent(
+      1,
+      1,
+      fillPrice,
+      pnl,
+      accruedFunding,
+      sizeDelta,
+      newSize,
+      totalFees,
+      0,
+      totalFees,
+      0,
+      '0xbebebe',
+      '0x6900000000000000000000000000000000000000',
+      blockNumber * 1000,
+      blockNumber,
+      1
+    )
+  );
+}
+
+export default function test(): void {
+  assert.entityCount('Position', 0);
+  assert.entityCount('PositionSnapshot', 0);
+
+  log.info('Should open a position with the first settled order', []);
+  settle(1000, 0, 0, 100, 100, 10, 10);
+
+  const positionId = '1-1-10-1';
+  assert.entityCount('Position', 1);
+  assert.fieldEquals('OpenPosition', '1-1', 'position', positionId);
+  assert.fieldEquals('Position', positionId, 'marketId', '1');
+  assert.fieldEquals('Position', positionId, 'accountId', '1');
+  assert.fieldEquals('Position', positionId, 'isOpen', 'true');
+  assert.fieldEquals('Position', positionId, 'isLiquidated', 'false');
+  assert.fieldEquals('Position', positionId, 'size', '100');
+  assert.fieldEquals('Position', positionId, 'entryPrice', '1000');
+  assert.fieldEquals('Position', positionId, 'totalFees', '10');
+  assert.fieldEquals('Position', positionId, 'trades', '1');
+  assert.fieldEquals('Position', positionId, 'openedAt', '10000');
+  assert.fieldEquals('Position', positionId, 'openedAtBlock', '10');
+  assert.fieldEquals('PositionSnapshot', positionId + '-10-1', 'trigger', 'OrderSettled');
+  assert.fieldEquals('PositionSnapshot', positionId + '-10-1', 'sizeDelta', '100');
+  assert.fieldEquals('PositionSnapshot', positionId + '-10-1', 'fillPrice', '1000');
+
+  log.info('Should average entry price when the position increases', []);
+  settle(1300, 20, 5, 200, 300, 20, 11);
+
+  assert.entityCount('Position', 1);
+  assert.fieldEquals('Position', positionId, 'size', '300');
+  assert.fieldEquals('Position', positionId, 'maxSize', '300');
+  // (100 * 1000 + 200 * 1300) / 300
+  assert.fieldEquals('Position', positionId, 'entryPrice', '1200');
+  assert.fieldEquals('Position', positionId, 'realizedPnl', '20');
+  assert.fieldEquals('Position', positionId, 'accruedFunding', '5');
+  assert.fieldEquals('Position', positionId, 'totalFees', '30');
+  assert.fieldEquals('Position', positionId, 'trades', '2');
+
+  log.info('Should keep entry price when the position decreases', []);
+  settle(1400, 50, 5, -100, 200, 10, 12);
+
+  assert.fieldEquals('Position', positionId, 'size', '200');
+  assert.fieldEquals('Position', positionId, 'maxSize', '300');
+  assert.fieldEquals('Position', positionId, 'entryPrice', '1200');
+  assert.fieldEquals('Position', positionId, 'realizedPnl', '70');
+  assert.fieldEquals('PositionSnapshot', positionId + '-12-1', 'sizeDelta', '-100');
+  assert.fieldEquals('PositionSnapshot', positionId + '-12-1', 'pnl', '50');
+  assert.fieldEquals('PositionSnapshot', positionId + '-12-1', 'realizedPnl', '70');
+
+  log.info('Should close the position and open a new one when the side flips', []);
+  settle(1500, 60, 5, -300, -100, 15, 13);
+
+  assert.entityCount('Position', 2);
+  assert.fieldEquals('Position', positionId, 'isOpen', 'false');
+  assert.fieldEquals('Position', positionId, 'size', '0');
+  assert.fieldEquals('Position', positionId, 'realizedPnl', '130');
+  assert.fieldEquals('Position', positionId, 'accruedFunding', '15');
+  assert.fieldEquals('Position', positionId, 'totalFees', '55');
+  assert.fieldEquals('Position', positionId, 'closedAt', '13000');
+  assert.fieldEquals('Position', positionId, 'closedAtBlock', '13');
+  assert.fieldEquals('PositionSnapshot', positionId + '-13-1', 'sizeDelta', '-200');
+  assert.fieldEquals('PositionSnapshot', positionId + '-13-1', 'isOpen', 'false');
+
+  const shortPositionId = '1-1-13-1';
+  assert.fieldEquals('OpenPosition', '1-1', 'position', shortPositionId);
+  assert.fieldEquals('Position', shortPositionId, 'isOpen', 'true');
+  assert.fieldEquals('Position', shortPositionId, 'size', '-100');
+  assert.fieldEquals('Position', shortPositionId, 'maxSize', '100');
+  assert.fieldEquals('Position', shortPositionId, 'entryPrice', '1500');
+  assert.fieldEquals('Position', shortPositionId, 'realizedPnl', '0');
+  assert.fieldEquals('Position', shortPositionId, 'trades', '1');
+  assert.fieldEquals('PositionSnapshot', shortPositionId + '-13-1', 'sizeDelta', '-100');
+
+  log.info('Should track partial liquidation', []);
+  handlePositionLiquidated(createPositionLiquidatedEvent(1, 1, 40, -60, 14000, 14, 1));
+
+  assert.fieldEquals('Position', shortPositionId, 'isOpen', 'true');
+  assert.fieldEquals('Position', shortPositionId, 'isLiquidated', 'false');
+  assert.fieldEquals('Position', shortPositionId, 'size', '-60');
+  assert.fieldEquals('Position', shortPositionId, 'amountLiquidated', '40');
+  assert.fieldEquals(
+    'PositionSnapshot',
+    shortPositionId + '-14-1',
+    'trigger',
+    'PositionLiquidated'
+  );
+  assert.fieldEquals('PositionSnapshot', shortPositionId + '-14-1', 'sizeDelta', '40');
+  assert.fieldEquals('PositionSnapshot', shortPositionId + '-14-1', 'amountLiquidated', '40');
+
+  log.info('Should close the position when fully liquidated', []);
+  handlePositionLiquidated(createPositionLiquidatedEvent(1, 1, 60, 0, 15000, 15, 1));
+
+  assert.fieldEquals('Position', shortPositionId, 'isOpen', 'false');
+  assert.fieldEquals('Position', shortPositionId, 'isLiquidated', 'true');
+  assert.fieldEquals('Position', shortPositionId, 'size', '0');
+  assert.fieldEquals('Position', shortPositionId, 'amountLiquidated', '100');
+  assert.fieldEquals('Position', shortPositionId, 'closedAtBlock', '15');
+  assert.notInStore('OpenPosition', '1-1');
+  assert.entityCount('PositionSnapshot', 7);
+  assert.assertNull(store.get('PositionSnapshot', shortPositionId + '-15-1')!.get('pnl'));
+
+  log.info('Should open a new position after the previous one is closed', []);
+  settle(1600, 0, 0, 50, 50, 5, 16);
+
+  assert.entityCount('Position', 3);
+  assert.fieldEquals('OpenPosition', '1-1', 'position', '1-1-16-1');
+}
@@ -0,0 +1,132 @@
+import path from 'path';
+import assertBn from '@synthetixio/core-utils/utils/assertions/assert-bignumber';
+import { ethers } from 'ethers';
+import { bn, bootstrapMarkets } from './bootstrap';
+import { depositCollateral, openPosition } from './helpers';
+
+const { fixtures } = require('@synthetixio/subgraph-tools');
+
+// Subgraphs that index the contracts, the flow is recorded for each of them
+const SUBGRAPHS = {
+  core: path.join(__dirname, '..', '..', '..', '..', 'protocol', 'synthetix', 'subgraph'),
+  spot: path.join(__dirname, '..', '..', '..', 'spot-market', 'subgraph'),
+  perps: path.join(__dirname, '..', '..', 'subgraph'),
+};
+
+/*
+  Scripted flow of the whole stack for subgraph e2e tests: staking (account creation, deposit and
+  delegation happen in bootstrap), spot trades, perps orders and a liquidation.
+  Only runs with RECORD_SUBGRAPH_FIXTURES=<flow>, the emitted logs are written to
+  <subgraph>/tests/e2e/fixtures/<flow>.json, run "yarn e2e:replay" in the subgraph afterwards.
+*/
+const flow = process.env.RECORD_SUBGRAPH_FIXTURES;
+
+(flow ? describe : describe.skip)('Subgraph flows', () => {
+  const { systems, provider, trader1, trader2, keeper, perpsMarkets, synthMarkets } =
+    bootstrapMarkets({
+      synthMarkets: [
+        {
+          name: 'Ether',
+          token: 'snxETH',
+          buyPrice: bn(2000),
+          sellPrice: bn(2000),
+        },
+      ],
+      perpsMarkets: [
+        {
+          requestedMarketId: 25,
+          name: 'Ether',
+          token: 'ETH',
+          price: bn(2000),
+          fundingParams: { skewScale: bn(1000), maxFundingVelocity: bn(0) },
+          liquidationParams: {
+            initialMarginFraction: bn(2),
+            minimumInitialMarginRatio: bn(0.01),
+            maintenanceMarginScalar: bn(0.5),
+            maxLiquidationLimitAccumulationMultiplier: bn(1),
+            liquidationRewardRatio: bn(0.05),
+            maxSecondsInLiquidationWindow: ethers.BigNumber.from(10),
+            minimumPositionMargin: bn(0),
+          },
+          settlementStrategy: {
+            settlementReward: bn(0),
+          },
+        },
+      ],
+      traderAccountIds: [2, 3],
+    });
+
+  before('deposit margin', async () => {
+    await depositCollateral({
+      systems,
+      trader: trader1,
+      accountId: () => 2,
+      collaterals: [{ synthMarket: () => synthMarkets()[0], snxUSDAmount: () => bn(10_000) }],
+    });
+    await depositCollateral({
+      systems,
+      trader: trader2,
+      accountId: () => 3,
+      collaterals: [{ snxUSDAmount: () => bn(1000) }],
+    });
+  });
+
+  before('trade', async () => {
+    const commonOpenPositionProps = {
+      systems,
+      provider,
+      keeper: keeper(),
+      marketId: perpsMarkets()[0].marketId(),
+      settlementStrategyId: perpsMarkets()[0].strategyId(),
+      price: bn(2000),
+    };
+    await openPosition({
+      ...commonOpenPositionProps,
+      trader: trader1(),
+      accountId: 2,
+      sizeDelta: bn(5),
+    });
+    await openPosition({
+      ...commonOpenPositionProps,
+      trader: trader1(),
+      accountId: 2,
+      sizeDelta: bn(-2),
+    });
+    await openPosition({
+      ...commonOpenPositionProps,
+      trader: trader2(),
+      accountId: 3,
+      sizeDelta: bn(2),
+    });
+  });
+
+  before('liquidate', async () => {
+    await perpsMarkets()[0].aggregator().mockSetCurrentPrice(bn(1500));
+    await systems().PerpsMarket.connect(keeper()).liquidate(3);
+  });
+
+  after('record logs', async () => {
+    const contracts = {
+      core: { CoreProxy: systems().Core },
+      spot: { SpotMarketProxy: systems().SpotMarket },
+      perps: { PerpsMarketProxy: systems().PerpsMarket },
+    };
+    for (const [subgraph, dirname] of Object.entries(SUBGRAPHS)) {
+      const fixture = await fixtures.recordLogs({
+        provider: provider(),
+        contracts: contracts[subgraph as keyof typeof contracts],
+      });
+      fixtures.writeFixture(dirname, flow, fixture);
+    }
+  });
+
+  it('keeps the open position of the trader', async () => {
+    const [, , size] = await systems().PerpsMarket.getOpenPosition(2, perpsMarkets()[0].marketId());
+    assertBn.equal(size, bn(3));
+  });
+
+  it('liquidates the position of the second trader', async () => {
+    const [, , size] = await systems().PerpsMarket.getOpenPosition(3, perpsMarkets()[0].marketId());
+    assertBn.equal(size, bn(0));
+  });
+});
@@ -3,17 +3,27 @@
 set -e
 export CANNON_IPFS_URL="https://ipfs.synthetix.io"
 
+network() {
+  node -p "require('./networks.json')['$1'].$2"
+}
+
 codegen() {
   namespace=$1
-  chainId=$2
-  cannonPackage=$3
-  cannonPreset=$4
+  chainId=$(network "$namespace" chainId)
+  package=$(network "$namespace" package)
 
   echo
   echo
   echo
-  echo '>' cannon inspect "$cannonPackage" --preset $cannonPreset --chain-id "$chainId" --write-deployments "./$namespace/deployments"
-  yarn cannon inspect "$cannonPackage" --preset $cannonPreset --chain-id "$chainId" --write-deployments "./$namespace/deployments"
+  echo '>' cannon inspect "$package" --chain-id "$chainId" --write-deployments "./$namespace/deployments"
+  yarn cannon inspect "$package" --chain-id "$chainId" --write-deployments "./$namespace/deployments"
+
+  echo
+  echo
+  echo
+  echo '>' node ./generateManifests.js "$namespace"
+  node ./generateManifests.js "$namespace"
+  yarn prettier --write "subgraph.$namespace.yaml"
 
   echo
   echo
@@ -27,15 +37,9 @@ codegen() {
   echo
   echo '>' graph build "subgraph.$namespace.yaml" --output-dir "./build/$namespace"
   yarn graph build "subgraph.$namespace.yaml" --output-dir "./build/$namespace"
-  yarn prettier --write "subgraph.$namespace.yaml"
 }
 
-
-# releaseVersion=$(yarn workspace '@synthetixio/spot-market' node -p 'require(`./package.json`).version')
-releaseVersion="latest"
-
-codegen base-sepolia-andromeda 84532 "synthetix-omnibus:$releaseVersion" andromeda
-codegen base-mainnet-andromeda 8453 "synthetix-omnibus:$releaseVersion" andromeda
-
-codegen optimism-mainnet 10 "synthetix-omnibus:$releaseVersion" main
-codegen optimism-goerli 420 "synthetix-omnibus:$releaseVersion" main
+# Namespaces, chain ids and cannon packages are listed in networks.json
+for namespace in $(node -p "Object.keys(require('./networks.json')).join(' ')"); do
+  codegen "$namespace"
+done
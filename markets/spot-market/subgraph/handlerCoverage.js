@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+
+const { handlerCoverage } = require('@synthetixio/subgraph-tools');
+
+// Reports handlers of every subgraph.<namespace>.yaml without tests
+handlerCoverage.cli({ dirname: __dirname }).catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
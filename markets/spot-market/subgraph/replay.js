@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+
+const { replay } = require('@synthetixio/subgraph-tools');
+
+// Generates tests/e2e/<flow>.test.ts from the logs recorded in tests/e2e/fixtures/<flow>.json,
+// replayed through the mappings of the namespace matchstick runs with
+replay.cli({ dirname: __dirname, namespace: 'optimism-mainnet' }).catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
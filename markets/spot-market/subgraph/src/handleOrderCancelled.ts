@@ -1,5 +1,5 @@
-import { OrderCancelled } from './generated/SpotMarketProxy/SpotMarketProxy';
-import { Order } from './generated/schema';
+import { OrderCancelled } from '../optimism-mainnet/generated/SpotMarketProxy/SpotMarketProxy';
+import { Order } from '../optimism-mainnet/generated/schema';
 
 export function handleOrderCancelled(event: OrderCancelled): void {
   let id = event.params.asyncOrderId.toString();
@@ -1,5 +1,5 @@
-import { OrderCommitted } from './generated/SpotMarketProxy/SpotMarketProxy';
-import { Order } from './generated/schema';
+import { OrderCommitted } from '../optimism-mainnet/generated/SpotMarketProxy/SpotMarketProxy';
+import { Order } from '../optimism-mainnet/generated/schema';
 
 export function handleOrderCommitted(event: OrderCommitted): void {
   let id = event.params.asyncOrderId.toString();
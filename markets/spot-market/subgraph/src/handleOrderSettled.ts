@@ -0,0 +1,65 @@
+import { BigInt } from '@graphprotocol/graph-ts';
+import { OrderSettled } from '../optimism-mainnet/generated/SpotMarketProxy/SpotMarketProxy';
+import { Order } from '../optimism-mainnet/generated/schema';
+import { loadMarketSnapshotByDay } from './marketSnapshotByDay';
+import { loadMarketSnapshotByHour } from './marketSnapshotByHour';
+
+// Transaction.Type of buy orders, they return synth, sell orders return USD
+const BUY = 1;
+const ASYNC_BUY = 3;
+
+function getOrderVolume(event: OrderSettled): BigInt {
+  if (event.params.orderType == BUY || event.params.orderType == ASYNC_BUY) {
+    return event.params.finalOrderAmount.times(event.params.price).div(BigInt.fromI32(10).pow(18));
+  }
+  return event.params.finalOrderAmount;
+}
+
+export function handleOrderSettled(event: OrderSettled): void {
+  const volume = getOrderVolume(event);
+
+  const snapshotByHour = loadMarketSnapshotByHour(event.params.marketId, event);
+  snapshotByHour.volume = snapshotByHour.volume.plus(volume);
+  snapshotByHour.collectedFees = snapshotByHour.collectedFees.plus(event.params.collectedFees);
+  snapshotByHour.trades = snapshotByHour.trades.plus(BigInt.fromI32(1));
+  snapshotByHour.save();
+
+  const snapshotByDay = loadMarketSnapshotByDay(event.params.marketId, event);
+  snapshotByDay.volume = snapshotByDay.volume.plus(volume);
+  snapshotByDay.collectedFees = snapshotByDay.collectedFees.plus(event.params.collectedFees);
+  snapshotByDay.trades = snapshotByDay.trades.plus(BigInt.fromI32(1));
+  snapshotByDay.save();
+
+  let id = event.params.asyncOrderId.toString();
+
+  let order = Order.load(id);
+
+  if (!order) {
+    return;
+  }
+
+  order.asyncOrderId = event.params.asyncOrderId;
+  order.marketId = event.params.marketId;
+  order.finalOrderAmount = event.params.finalOrderAmount;
+  order.collectedFees = event.params.collectedFees;
+  order.settler = event.params.settler.toHexString();
+  order.fixedFees = event.params.fees.fixedFees;
+  order.skewFees = event.params.fees.skewFees;
+  order.utilizationFees = event.params.fees.utilizationFees;
+  order.wrapperFees = event.params.fees.wrapperFees;
+  order.price = event.params.price;
+  order.block = event.block.number;
+  order.timestamp = event.block.timestamp;
+
+  order.status = 'Settled';
+
+  // TODO: order claim may need to be added to OrderSettled event
+  // let claim = event.params.asyncOrderClaim;
+  // order.amountEscrowed = claim.amountEscrowed;
+  // order.settlementStrategyId = claim.settlementStrategyId;
+  // order.settlementTime = claim.settlementTime;
+  // order.minimumSettlementAmount = claim.minimumSettlementAmount;
+  // order.settledAt = claim.settledAt;
+
+  order.save();
+}
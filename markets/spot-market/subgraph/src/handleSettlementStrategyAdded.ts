@@ -1,5 +1,5 @@
-import { SettlementStrategyAdded } from './generated/SpotMarketProxy/SpotMarketProxy';
-import { SettlementStrategy } from './generated/schema';
+import { SettlementStrategyAdded } from '../optimism-mainnet/generated/SpotMarketProxy/SpotMarketProxy';
+import { SettlementStrategy } from '../optimism-mainnet/generated/schema';
 
 export function handleSettlementStrategyAdded(event: SettlementStrategyAdded): void {
   let id = event.params.strategyId.toString();
@@ -1,5 +1,5 @@
-import { SettlementStrategyUpdated } from './generated/SpotMarketProxy/SpotMarketProxy';
-import { SettlementStrategy } from './generated/schema';
+import { SettlementStrategyUpdated } from '../optimism-mainnet/generated/SpotMarketProxy/SpotMarketProxy';
+import { SettlementStrategy } from '../optimism-mainnet/generated/schema';
 
 export function handleSettlementStrategyUpdated(event: SettlementStrategyUpdated): void {
   let id = event.params.strategyId.toString();
@@ -1,5 +1,5 @@
-import { SynthPriceDataUpdated } from './generated/SpotMarketProxy/SpotMarketProxy';
-import { MarketInfo } from './generated/schema';
+import { SynthPriceDataUpdated } from '../optimism-mainnet/generated/SpotMarketProxy/SpotMarketProxy';
+import { MarketInfo } from '../optimism-mainnet/generated/schema';
 
 export function handleSynthPriceDataUpdated(event: SynthPriceDataUpdated): void {
   let id = event.params.synthMarketId.toString();
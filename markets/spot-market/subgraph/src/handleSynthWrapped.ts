@@ -0,0 +1,31 @@
+import { SynthWrapped } from '../optimism-mainnet/generated/SpotMarketProxy/SpotMarketProxy';
+import { BigInt } from '@graphprotocol/graph-ts';
+import { WrappSynth } from '../optimism-mainnet/generated/schema';
+import { loadMarketSnapshotByDay } from './marketSnapshotByDay';
+import { loadMarketSnapshotByHour } from './marketSnapshotByHour';
+
+export function handleSynthWrapped(event: SynthWrapped): void {
+  let id = event.transaction.hash.toHexString() + '/' + event.logIndex.toString();
+  let synth = new WrappSynth(id);
+
+  synth.marketId = event.params.synthMarketId;
+  synth.amount = event.params.amountWrapped;
+  synth.collectedFees = event.params.feesCollected;
+  synth.wrapperFees = event.params.fees.wrapperFees;
+  synth.type = 'Wrapped';
+  synth.block = event.block.number;
+  synth.timestamp = event.block.timestamp;
+
+  synth.save();
+  const snapshotByHour = loadMarketSnapshotByHour(event.params.synthMarketId, event);
+  snapshotByHour.wrappedAmount = snapshotByHour.wrappedAmount.plus(event.params.amountWrapped);
+  snapshotByHour.collectedFees = snapshotByHour.collectedFees.plus(event.params.feesCollected);
+  snapshotByHour.wraps = snapshotByHour.wraps.plus(BigInt.fromI32(1));
+  snapshotByHour.save();
+
+  const snapshotByDay = loadMarketSnapshotByDay(event.params.synthMarketId, event);
+  snapshotByDay.wrappedAmount = snapshotByDay.wrappedAmount.plus(event.params.amountWrapped);
+  snapshotByDay.collectedFees = snapshotByDay.collectedFees.plus(event.params.feesCollected);
+  snapshotByDay.wraps = snapshotByDay.wraps.plus(BigInt.fromI32(1));
+  snapshotByDay.save();
+}
@@ -7,3 +7,5 @@ export * from './handleSynthPriceDataUpdated';
 export * from './handleSynthUnWrapped';
 export * from './handleSynthWrapped';
 export * from './handleWrapperSet';
+export * from './marketSnapshotByDay';
+export * from './marketSnapshotByHour';
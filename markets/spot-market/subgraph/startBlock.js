@@ -1,43 +1,20 @@
 #!/usr/bin/env node
 
-const ethers = require('ethers');
+const { startBlock } = require('@synthetixio/subgraph-tools');
 
-async function getStartBlock({ namespace, networkName }) {
-  const provider = new ethers.providers.JsonRpcProvider(
-    `https://${networkName}.infura.io/v3/${process.env.INFURA_KEY}`
-  );
-  const address = require(`./${namespace}/deployments/spotFactory/SpotMarketProxy.json`).address;
-  const deployTx = require(
-    `./${namespace}/deployments/spotFactory/InitialSpotMarketProxy.json`
-  ).deployTxnHash;
-  const tx = await provider.getTransactionReceipt(deployTx);
-  return { namespace, networkName, address, startBlock: tx.blockNumber };
-}
-exports.findDeploymentBlock = getStartBlock;
-
-async function findAll() {
-  const data = await Promise.all([
-    getStartBlock({ namespace: 'optimism-mainnet', networkName: 'optimism-mainnet' }),
-    getStartBlock({ namespace: 'optimism-goerli', networkName: 'optimism-goerli' }),
-    getStartBlock({ namespace: 'base-sepolia-andromeda', networkName: 'base-sepolia' }),
-    getStartBlock({ namespace: 'base-mainnet-andromeda', networkName: 'base-mainnet' }),
-  ]);
+// Network of every subgraph.<namespace>.yaml is read from the manifest, see utils/subgraph-tools
+const config = {
+  dirname: __dirname,
+  contract: 'SpotMarketProxy',
+  deployment: 'spotFactory/SpotMarketProxy.json',
+  initialDeployment: 'spotFactory/InitialSpotMarketProxy.json',
+};
 
-  return Object.fromEntries(
-    data.map(({ namespace, address, startBlock }) => [
-      namespace,
-      { SpotMarketProxy: { address, startBlock } },
-    ])
-  );
-}
+exports.findDeploymentBlock = (namespace) => startBlock.findDeploymentBlock(config, namespace);
 
 if (require.main === module) {
-  const [namespace, networkName] = process.argv.slice(2);
-  if (namespace && networkName) {
-    getStartBlock({ namespace, networkName }).then(({ address, startBlock }) =>
-      console.log({ SpotMarketProxy: { address, startBlock } })
-    );
-  } else {
-    findAll().then((data) => console.log(data));
-  }
+  startBlock.cli(config).catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
 }
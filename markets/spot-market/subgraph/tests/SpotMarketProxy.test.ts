@@ -9,6 +9,8 @@ import handleSynthPriceDataUpdated from './handleSynthPriceDataUpdated';
 import handleSynthUnWrapped from './handleSynthUnWrapped';
 import handleSynthWrapped from './handleSynthWrapped';
 import handleWrapperSet from './handleWrapperSet';
+import marketSnapshotByDay from './marketSnapshotByDay';
+import marketSnapshotByHour from './marketSnapshotByHour';
 
 describe('PerpsMarketProxy', () => {
   beforeEach(() => {
@@ -28,4 +30,6 @@ describe('PerpsMarketProxy', () => {
   test('handleSynthUnWrapped', handleSynthUnWrapped);
   test('handleSynthWrapped', handleSynthWrapped);
   test('handleWrapperSet', handleWrapperSet);
+  test('marketSnapshotByDay', marketSnapshotByDay);
+  test('marketSnapshotByHour', marketSnapshotByHour);
 });
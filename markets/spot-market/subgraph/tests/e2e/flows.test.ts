@@ -0,0 +1,295 @@
+// THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+// Replays tests/e2e/fixtures/flows.json, run "yarn e2e:replay" to update
+
+import { Address, BigInt, Bytes, ethereum } from '@graphprotocol/graph-ts';
+import { assert, clearStore, describe, newTypedMockEvent, test } from 'matchstick-as';
+import {
+  WrapperSet as SpotMarketProxyWrapperSet,
+  SynthWrapped as SpotMarketProxySynthWrapped,
+  OrderCommitted as SpotMarketProxyOrderCommitted,
+  OrderSettled as SpotMarketProxyOrderSettled,
+  SynthUnwrapped as SpotMarketProxySynthUnwrapped,
+} from '../../optimism-mainnet/generated/SpotMarketProxy/SpotMarketProxy';
+import {
+  handleWrapperSet,
+  handleSynthWrapped,
+  handleOrderCommitted,
+  handleOrderSettled,
+  handleSynthUnWrapped,
+} from '../../src';
+
+describe('flows', () => {
+  test('replays 5 recorded events', () => {
+    // SpotMarketProxy WrapperSet(indexed uint256,indexed address,uint256)
+    {
+      const event = newTypedMockEvent<SpotMarketProxyWrapperSet>();
+      event.address = Address.fromString('0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0');
+      event.transaction.hash = Bytes.fromHexString(
+        '0xe369492d6187f1ee4655ee1a941aed553fd2aa7abb3a64d6cd9529f1cb64d0a2'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(50);
+      event.block.timestamp = BigInt.fromI64(1700000020);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'synthMarketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'wrapCollateralType',
+          ethereum.Value.fromAddress(
+            Address.fromString('0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9')
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'maxWrappableAmount',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('5000000000000000000000'))
+        )
+      );
+      handleWrapperSet(event);
+    }
+    // SpotMarketProxy SynthWrapped(indexed uint256,uint256,(uint256,uint256,int256,int256),uint256)
+    {
+      const event = newTypedMockEvent<SpotMarketProxySynthWrapped>();
+      event.address = Address.fromString('0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0');
+      event.transaction.hash = Bytes.fromHexString(
+        '0xf1e77af506b480830fd020e26f57432d1dc7034f81bd7b994672de75fb83d764'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(51);
+      event.block.timestamp = BigInt.fromI64(1700000022);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'synthMarketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'amountWrapped',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('10000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'fees',
+          ethereum.Value.fromTuple(
+            changetype<ethereum.Tuple>([
+              ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0')),
+              ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0')),
+              ethereum.Value.fromSignedBigInt(BigInt.fromString('0')),
+              ethereum.Value.fromSignedBigInt(BigInt.fromString('0')),
+            ])
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'feesCollected',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      handleSynthWrapped(event);
+    }
+    // SpotMarketProxy OrderCommitted(indexed uint128,indexed uint8,uint256,uint128,indexed address,address)
+    {
+      const event = newTypedMockEvent<SpotMarketProxyOrderCommitted>();
+      event.address = Address.fromString('0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0');
+      event.transaction.hash = Bytes.fromHexString(
+        '0xe54f8a3e8d62ff2fcc3c31079c34c8f0e012d63993575f3d501b1a735125c129'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(52);
+      event.block.timestamp = BigInt.fromI64(1700000024);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'marketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'orderType',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('3'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'amountProvided',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('10000000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'asyncOrderId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sender',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC')
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'referrer',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x0000000000000000000000000000000000000000')
+          )
+        )
+      );
+      handleOrderCommitted(event);
+    }
+    // SpotMarketProxy OrderSettled(indexed uint128,indexed uint128,uint256,(uint256,uint256,int256,int256),uint256,indexed address,uint256,uint8)
+    {
+      const event = newTypedMockEvent<SpotMarketProxyOrderSettled>();
+      event.address = Address.fromString('0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0');
+      event.transaction.hash = Bytes.fromHexString(
+        '0xe48d0fee97b96027046bd86a9e0ccfab948b3e8835d487ca403583c43d42a12f'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(53);
+      event.block.timestamp = BigInt.fromI64(1700000026);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'marketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'asyncOrderId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'finalOrderAmount',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('5000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'fees',
+          ethereum.Value.fromTuple(
+            changetype<ethereum.Tuple>([
+              ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0')),
+              ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0')),
+              ethereum.Value.fromSignedBigInt(BigInt.fromString('0')),
+              ethereum.Value.fromSignedBigInt(BigInt.fromString('0')),
+            ])
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'collectedFees',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'settler',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65')
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'price',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2000000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'orderType',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('3'))
+        )
+      );
+      handleOrderSettled(event);
+    }
+    // SpotMarketProxy SynthUnwrapped(indexed uint256,uint256,(uint256,uint256,int256,int256),uint256)
+    {
+      const event = newTypedMockEvent<SpotMarketProxySynthUnwrapped>();
+      event.address = Address.fromString('0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x2e169fe0eaebfb6c8a1d1e14c52de96e9aebe8cb8bd041a9bbfb0dde8e86d30a'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(54);
+      event.block.timestamp = BigInt.fromI64(1700000028);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'synthMarketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'amountUnwrapped',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('4000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'fees',
+          ethereum.Value.fromTuple(
+            changetype<ethereum.Tuple>([
+              ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0')),
+              ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0')),
+              ethereum.Value.fromSignedBigInt(BigInt.fromString('0')),
+              ethereum.Value.fromSignedBigInt(BigInt.fromString('0')),
+            ])
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'feesCollected',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('0'))
+        )
+      );
+      handleSynthUnWrapped(event);
+    }
+    assert.entityCount('Order', 1);
+    assert.entityCount('Wrapper', 1);
+    assert.entityCount('WrappSynth', 2);
+    assert.fieldEquals(
+      'Wrapper',
+      '2',
+      'wrapCollateralType',
+      '0xdc64a140aa3e981100a9beca4e685f962f0cf6c9'
+    );
+    assert.fieldEquals('Wrapper', '2', 'maxWrappableAmount', '5000000000000000000000');
+    assert.fieldEquals('Order', '1', 'status', 'Settled');
+    assert.fieldEquals('Order', '1', 'owner', '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc');
+    assert.fieldEquals('Order', '1', 'settler', '0x15d34aaf54267db7d7c367839aaf71a00a2c6a65');
+    assert.fieldEquals('Order', '1', 'finalOrderAmount', '5000000000000000000');
+    assert.fieldEquals('Order', '1', 'price', '2000000000000000000000');
+    assert.fieldEquals('MarketSnapshotByDay', '2-2023-11-14', 'volume', '10000000000000000000000');
+    assert.fieldEquals('MarketSnapshotByDay', '2-2023-11-14', 'trades', '1');
+    assert.fieldEquals(
+      'MarketSnapshotByDay',
+      '2-2023-11-14',
+      'wrappedAmount',
+      '10000000000000000000'
+    );
+    assert.fieldEquals(
+      'MarketSnapshotByDay',
+      '2-2023-11-14',
+      'unwrappedAmount',
+      '4000000000000000000'
+    );
+    assert.fieldEquals('MarketSnapshotByDay', '2-2023-11-14', 'wraps', '2');
+    assert.fieldEquals('MarketSnapshotByDay', '2-2023-11-14', 'updatesInPeriod', '3');
+    clearStore();
+  });
+});
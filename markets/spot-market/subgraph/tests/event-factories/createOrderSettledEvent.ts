@@ -18,6 +18,7 @@ export function createOrderSettledEvent(
   collectedFees: i64,
   settler: string,
   price: i64,
+  orderType: i32,
   timestamp: i64,
   blockNumber: i64,
   logIndex: i64
@@ -59,6 +60,7 @@ export function createOrderSettledEvent(
   event.parameters.push(
     new ethereum.EventParam('price', ethereum.Value.fromUnsignedBigInt(BigInt.fromI64(price)))
   );
+  event.parameters.push(new ethereum.EventParam('orderType', ethereum.Value.fromI32(orderType)));
 
   event.block.timestamp = BigInt.fromI64(timestamp);
   event.block.number = BigInt.fromI64(blockNumber);
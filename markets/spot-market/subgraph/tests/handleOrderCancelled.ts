@@ -1,5 +1,5 @@
 import { assert, log } from 'matchstick-as';
-import { handleOrderCommitted, handleOrderCancelled } from '../optimism-mainnet';
+import { handleOrderCommitted, handleOrderCancelled } from '../src';
 import { createOrderCommittedEvent } from './event-factories/createOrderCommittedEvent';
 import { createOrderCancelledEvent } from './event-factories/createOrderCancelledEvent';
 
@@ -1,5 +1,5 @@
 import { assert, log } from 'matchstick-as';
-import { handleOrderCommitted } from '../optimism-mainnet';
+import { handleOrderCommitted } from '../src';
 import { createOrderCommittedEvent } from './event-factories/createOrderCommittedEvent';
 
 export default function test(): void {
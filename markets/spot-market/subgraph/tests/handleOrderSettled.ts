@@ -1,5 +1,5 @@
 import { assert, log } from 'matchstick-as';
-import { handleOrderCommitted, handleOrderSettled } from '../optimism-mainnet';
+import { handleOrderCommitted, handleOrderSettled } from '../src';
 import { createOrderCommittedEvent } from './event-factories/createOrderCommittedEvent';
 import { createOrderSettledEvent } from './event-factories/createOrderSettledEvent';
 
@@ -54,6 +54,7 @@ export default function test(): void {
       collectedFees,
       settler,
       price,
+      orderType,
       timestamp + 40_000,
       blockNumber + 4,
       logIndex + 1
@@ -74,6 +75,7 @@ export default function test(): void {
       collectedFees,
       settler,
       price,
+      orderType,
       timestamp + 10_000,
       blockNumber + 1,
       logIndex + 1
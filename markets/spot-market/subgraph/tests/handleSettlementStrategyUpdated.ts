@@ -1,8 +1,5 @@
 import { assert, log } from 'matchstick-as';
-import {
-  handleSettlementStrategyAdded,
-  handleSettlementStrategyUpdated,
-} from '../optimism-mainnet';
+import { handleSettlementStrategyAdded, handleSettlementStrategyUpdated } from '../src';
 import { createSettlementStrategyAddedEvent } from './event-factories/createSettlementStrategyAddedEvent';
 import { createSettlementStrategyUpdatedEvent } from './event-factories/createSettlementStrategyUpdatedEvent';
 
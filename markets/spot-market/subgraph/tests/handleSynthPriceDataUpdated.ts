@@ -1,5 +1,5 @@
 import { assert, log } from 'matchstick-as';
-import { handleSynthPriceDataUpdated } from '../optimism-mainnet';
+import { handleSynthPriceDataUpdated } from '../src';
 import { createSynthPriceDataUpdatedEvent } from './event-factories/createSynthPriceDataUpdatedEvent';
 
 export default function test(): void {
@@ -1,5 +1,5 @@
 import { assert, log } from 'matchstick-as';
-import { handleSynthWrapped } from '../optimism-mainnet';
+import { handleSynthWrapped } from '../src';
 import { createSynthWrappedEvent } from './event-factories/createSynthWrappedEvent';
 
 const MOCK_EVENT_TXN = '0xa16081f360e3847006db660bae1c6d1b2e17ec2a';
@@ -1,5 +1,5 @@
 import { assert, log } from 'matchstick-as';
-import { handleWrapperSet } from '../optimism-mainnet';
+import { handleWrapperSet } from '../src';
 import { createWrapperSetEvent } from './event-factories/createWrapperSetEvent';
 
 export default function test(): void {
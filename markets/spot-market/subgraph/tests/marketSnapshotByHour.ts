@@ -0,0 +1,75 @@
+import { assert, log } from 'matchstick-as';
+import { handleOrderSettled, handleSynthUnWrapped, handleSynthWrapped } from '../src';
+import { createOrderSettledEvent } from './event-factories/createOrderSettledEvent';
+import { createSynthUnWrappedEvent } from './event-factories/createSynthUnwrappedEvent';
+import { createSynthWrappedEvent } from './event-factories/createSynthWrappedEvent';
+
+export default function test(): void {
+  assert.entityCount('MarketSnapshotByHour', 0);
+
+  const timestamp = 1640998800; // 2022-01-01T01:00:00.000Z;
+  const oneHour = 60 * 60;
+  const settler = '0x6900000000000000000000000000000000000000';
+  const price = 2_000_000_000_000_000_000; // 2 USD
+  const ASYNC_BUY = 3;
+  const ASYNC_SELL = 4;
+
+  log.info('Should add settled buy order as USD volume', []);
+  handleOrderSettled(
+    createOrderSettledEvent(1, 1, 100, 1, 2, 3, 4, 10, settler, price, ASYNC_BUY, timestamp, 1, 1)
+  );
+
+  const snapshotId = '1-2022-01-01T01';
+  assert.entityCount('MarketSnapshotByHour', 1);
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'marketId', '1');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'period', '1640998800');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'volume', '200');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'collectedFees', '10');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'trades', '1');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'createdAt', `${timestamp}`);
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'createdAtBlock', '1');
+
+  log.info('Should add settled sell order, wrap and unwrap in the same period', []);
+  handleOrderSettled(
+    createOrderSettledEvent(
+      1,
+      2,
+      300,
+      1,
+      2,
+      3,
+      4,
+      20,
+      settler,
+      price,
+      ASYNC_SELL,
+      timestamp + 600,
+      2,
+      1
+    )
+  );
+  handleSynthWrapped(createSynthWrappedEvent(1, 1000, 1, 2, 3, 4, 5, timestamp + 1200, 3, 1));
+  handleSynthUnWrapped(createSynthUnWrappedEvent(1, 400, 1, 2, 3, 4, 6, timestamp + 1800, 4, 1));
+
+  assert.entityCount('MarketSnapshotByHour', 1);
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'volume', '500');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'collectedFees', '41');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'trades', '2');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'wrappedAmount', '1000');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'unwrappedAmount', '400');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'wraps', '2');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'updatesInPeriod', '4');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'updatedAt', `${timestamp + 1800}`);
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'updatedAtBlock', '4');
+
+  log.info('Should start a new snapshot in the next period and for other markets', []);
+  handleSynthWrapped(createSynthWrappedEvent(1, 700, 1, 2, 3, 4, 7, timestamp + oneHour, 5, 1));
+  handleSynthWrapped(createSynthWrappedEvent(2, 800, 1, 2, 3, 4, 8, timestamp + oneHour, 5, 2));
+
+  assert.entityCount('MarketSnapshotByHour', 3);
+  assert.fieldEquals('MarketSnapshotByHour', '1-2022-01-01T02', 'wrappedAmount', '700');
+  assert.fieldEquals('MarketSnapshotByHour', '1-2022-01-01T02', 'volume', '0');
+  assert.fieldEquals('MarketSnapshotByHour', '1-2022-01-01T02', 'updatesInPeriod', '1');
+  assert.fieldEquals('MarketSnapshotByHour', '2-2022-01-01T02', 'wrappedAmount', '800');
+  assert.fieldEquals('MarketSnapshotByHour', snapshotId, 'wrappedAmount', '1000');
+}
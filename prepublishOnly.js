@@ -2,36 +2,121 @@
 
 const cp = require('child_process');
 const fs = require('fs');
+const prettier = require('prettier');
 
 const BAD_VERSION_REGEX = /(\.\d+\+[0-9a-f]+)$/;
 
-cp.execSync('yarn workspaces list --json', {
-  encoding: 'utf-8',
-  stdio: 'pipe',
-})
-  .split('\n')
-  .filter(Boolean)
-  .map((line) => JSON.parse(line))
-  .forEach(({ location }) => {
-    const packageJson = require(`./${location}/package.json`);
-    const cleanVersion = packageJson.version.replace(BAD_VERSION_REGEX, '');
-    packageJson.version = cleanVersion;
-
-    if (packageJson.dependencies) {
-      Object.keys(packageJson.dependencies).forEach((name) => {
-        if (BAD_VERSION_REGEX.test(packageJson.dependencies[name])) {
-          packageJson.dependencies[name] = cleanVersion;
-        }
-      });
-    }
+const DEPENDENCY_SECTIONS = [
+  'dependencies',
+  'devDependencies',
+  'peerDependencies',
+  'optionalDependencies',
+];
 
-    if (packageJson.devDependencies) {
-      Object.keys(packageJson.devDependencies).forEach((name) => {
-        if (BAD_VERSION_REGEX.test(packageJson.devDependencies[name])) {
-          packageJson.devDependencies[name] = cleanVersion;
-        }
-      });
-    }
+// --dry-run prints the diff of every manifest that would be changed, without writing anything
+const isDryRun = process.argv.includes('--dry-run');
+
+const prettierOptions = JSON.parse(fs.readFileSync(`${__dirname}/.prettierrc`, 'utf8'));
+
+function cleanPackageJson(packageJson) {
+  const cleanVersion = packageJson.version.replace(BAD_VERSION_REGEX, '');
+  const result = { ...packageJson, version: cleanVersion };
 
-    fs.writeFileSync(`./${location}/package.json`, `${JSON.stringify(packageJson, null, 2)}\n`);
+  DEPENDENCY_SECTIONS.filter((section) => packageJson[section]).forEach((section) => {
+    result[section] = Object.fromEntries(
+      Object.entries(packageJson[section]).map(([name, version]) => [
+        name,
+        BAD_VERSION_REGEX.test(version) ? cleanVersion : version,
+      ])
+    );
   });
+
+  return result;
+}
+
+// Lists the fields of the manifest that would be published with a build suffixed prerelease,
+// or with a dependency on a workspace that does not match the version of that workspace
+function findBadVersions(packageJson, workspaceVersions) {
+  const badVersions = BAD_VERSION_REGEX.test(packageJson.version)
+    ? [['version', packageJson.version, packageJson.version.replace(BAD_VERSION_REGEX, '')]]
+    : [];
+
+  return badVersions.concat(
+    DEPENDENCY_SECTIONS.flatMap((section) =>
+      Object.entries(packageJson[section] || {})
+        .filter(([name, version]) => name in workspaceVersions && !version.startsWith('workspace:'))
+        .filter(([name, version]) => version.replace(/^[\^~]/, '') !== workspaceVersions[name])
+        .map(([name, version]) => [`${section}.${name}`, version, workspaceVersions[name]])
+    )
+  );
+}
+
+function unifiedDiff(file, content) {
+  const { stdout } = cp.spawnSync(
+    'diff',
+    ['-u', '--label', `a/${file}`, '--label', `b/${file}`, file, '-'],
+    { input: content, encoding: 'utf-8', cwd: __dirname }
+  );
+  return stdout;
+}
+
+async function run() {
+  const workspaces = cp
+    .execSync('yarn workspaces list --json', {
+      encoding: 'utf-8',
+      stdio: 'pipe',
+    })
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+  const manifests = await Promise.all(
+    workspaces.map(async ({ location }) => {
+      const file = `${location}/package.json`;
+      const original = fs.readFileSync(`${__dirname}/${file}`, 'utf-8');
+      const packageJson = cleanPackageJson(JSON.parse(original));
+      const content = await prettier.format(JSON.stringify(packageJson, null, 2), {
+        // same parser prettier itself picks for package.json files
+        parser: 'json-stringify',
+        ...prettierOptions,
+      });
+      return { file, original, content, packageJson };
+    })
+  );
+
+  manifests
+    .filter(({ original, content }) => original !== content)
+    .forEach(({ file, content }) => {
+      if (isDryRun) {
+        process.stdout.write(unifiedDiff(file, content));
+        return;
+      }
+      console.log(`Cleaned ${file}`);
+      fs.writeFileSync(`${__dirname}/${file}`, content);
+    });
+
+  // Verify the manifests to be published against the versions the workspaces resolve to,
+  // re-reading the written files so anything the cleanup missed is caught
+  const written = manifests.map(({ file, packageJson }) => ({
+    file,
+    packageJson: isDryRun
+      ? packageJson
+      : JSON.parse(fs.readFileSync(`${__dirname}/${file}`, 'utf-8')),
+  }));
+  const workspaceVersions = Object.fromEntries(
+    written.map(({ packageJson }) => [packageJson.name, packageJson.version])
+  );
+  const badVersions = written.flatMap(({ file, packageJson }) =>
+    findBadVersions(packageJson, workspaceVersions).map(
+      ([field, version, expected]) => `${file}: "${field}": "${version}", expected "${expected}"`
+    )
+  );
+  if (badVersions.length > 0) {
+    throw new Error(`Unexpected versions left:\n${badVersions.join('\n')}`);
+  }
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -202,6 +202,10 @@ export class Pool extends Entity {
   get configurations(): MarketConfigurationLoader {
     return new MarketConfigurationLoader('Pool', this.get('id')!.toString(), 'configurations');
   }
+
+  get protocol_events(): ProtocolEventLoader {
+    return new ProtocolEventLoader('Pool', this.get('id')!.toString(), 'protocol_events');
+  }
 }
 
 export class Market extends Entity {
@@ -379,6 +383,10 @@ export class Market extends Entity {
   set reported_debt(value: BigDecimal) {
     this.set('reported_debt', Value.fromBigDecimal(value));
   }
+
+  get protocol_events(): ProtocolEventLoader {
+    return new ProtocolEventLoader('Market', this.get('id')!.toString(), 'protocol_events');
+  }
 }
 
 export class MarketSnapshotByDay extends Entity {
@@ -1172,6 +1180,27 @@ export class Account extends Entity {
       this.set('permissions', Value.fromStringArray(<Array<string>>value));
     }
   }
+
+  get positions(): Array<string> | null {
+    let value = this.get('positions');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toStringArray();
+    }
+  }
+
+  set positions(value: Array<string> | null) {
+    if (!value) {
+      this.unset('positions');
+    } else {
+      this.set('positions', Value.fromStringArray(<Array<string>>value));
+    }
+  }
+
+  get protocol_events(): ProtocolEventLoader {
+    return new ProtocolEventLoader('Account', this.get('id')!.toString(), 'protocol_events');
+  }
 }
 
 export class AccountPermissionUsers extends Entity {
@@ -1372,6 +1401,36 @@ export class Position extends Entity {
     this.set('leverage', Value.fromBigDecimal(value));
   }
 
+  get debt(): BigDecimal {
+    let value = this.get('debt');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set debt(value: BigDecimal) {
+    this.set('debt', Value.fromBigDecimal(value));
+  }
+
+  get liquidation_price(): BigDecimal | null {
+    let value = this.get('liquidation_price');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set liquidation_price(value: BigDecimal | null) {
+    if (!value) {
+      this.unset('liquidation_price');
+    } else {
+      this.set('liquidation_price', Value.fromBigDecimal(<BigDecimal>value));
+    }
+  }
+
   get created_at(): BigInt {
     let value = this.get('created_at');
     if (!value || value.kind == ValueKind.NULL) {
@@ -1513,9 +1572,25 @@ export class Position extends Entity {
       this.set('total_burned', Value.fromBigDecimal(<BigDecimal>value));
     }
   }
+
+  get position_snapshots_by_day(): PositionSnapshotByDayLoader {
+    return new PositionSnapshotByDayLoader(
+      'Position',
+      this.get('id')!.toString(),
+      'position_snapshots_by_day'
+    );
+  }
+
+  get position_snapshots_by_week(): PositionSnapshotByWeekLoader {
+    return new PositionSnapshotByWeekLoader(
+      'Position',
+      this.get('id')!.toString(),
+      'position_snapshots_by_week'
+    );
+  }
 }
 
-export class Vault extends Entity {
+export class PositionSnapshotByDay extends Entity {
   constructor(id: string) {
     super();
     this.set('id', Value.fromString(id));
@@ -1523,22 +1598,24 @@ export class Vault extends Entity {
 
   save(): void {
     let id = this.get('id');
-    assert(id != null, 'Cannot save Vault entity without an ID');
+    assert(id != null, 'Cannot save PositionSnapshotByDay entity without an ID');
     if (id) {
       assert(
         id.kind == ValueKind.STRING,
-        `Entities of type Vault must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+        `Entities of type PositionSnapshotByDay must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
       );
-      store.set('Vault', id.toString(), this);
+      store.set('PositionSnapshotByDay', id.toString(), this);
     }
   }
 
-  static loadInBlock(id: string): Vault | null {
-    return changetype<Vault | null>(store.get_in_block('Vault', id));
+  static loadInBlock(id: string): PositionSnapshotByDay | null {
+    return changetype<PositionSnapshotByDay | null>(
+      store.get_in_block('PositionSnapshotByDay', id)
+    );
   }
 
-  static load(id: string): Vault | null {
-    return changetype<Vault | null>(store.get('Vault', id));
+  static load(id: string): PositionSnapshotByDay | null {
+    return changetype<PositionSnapshotByDay | null>(store.get('PositionSnapshotByDay', id));
   }
 
   get id(): string {
@@ -1554,43 +1631,30 @@ export class Vault extends Entity {
     this.set('id', Value.fromString(value));
   }
 
-  get collateral_amount(): BigDecimal {
-    let value = this.get('collateral_amount');
-    if (!value || value.kind == ValueKind.NULL) {
-      throw new Error('Cannot return null for a required field.');
-    } else {
-      return value.toBigDecimal();
-    }
-  }
-
-  set collateral_amount(value: BigDecimal) {
-    this.set('collateral_amount', Value.fromBigDecimal(value));
-  }
-
-  get collateral_type(): string {
-    let value = this.get('collateral_type');
+  get updated_at(): BigInt {
+    let value = this.get('updated_at');
     if (!value || value.kind == ValueKind.NULL) {
       throw new Error('Cannot return null for a required field.');
     } else {
-      return value.toString();
+      return value.toBigInt();
     }
   }
 
-  set collateral_type(value: string) {
-    this.set('collateral_type', Value.fromString(value));
+  set updated_at(value: BigInt) {
+    this.set('updated_at', Value.fromBigInt(value));
   }
 
-  get pool(): string {
-    let value = this.get('pool');
+  get updated_at_block(): BigInt {
+    let value = this.get('updated_at_block');
     if (!value || value.kind == ValueKind.NULL) {
       throw new Error('Cannot return null for a required field.');
     } else {
-      return value.toString();
+      return value.toBigInt();
     }
   }
 
-  set pool(value: string) {
-    this.set('pool', Value.fromString(value));
+  set updated_at_block(value: BigInt) {
+    this.set('updated_at_block', Value.fromBigInt(value));
   }
 
   get created_at(): BigInt {
@@ -1619,8 +1683,8 @@ export class Vault extends Entity {
     this.set('created_at_block', Value.fromBigInt(value));
   }
 
-  get updated_at(): BigInt {
-    let value = this.get('updated_at');
+  get updates_in_period(): BigInt {
+    let value = this.get('updates_in_period');
     if (!value || value.kind == ValueKind.NULL) {
       throw new Error('Cannot return null for a required field.');
     } else {
@@ -1628,25 +1692,90 @@ export class Vault extends Entity {
     }
   }
 
-  set updated_at(value: BigInt) {
-    this.set('updated_at', Value.fromBigInt(value));
+  set updates_in_period(value: BigInt) {
+    this.set('updates_in_period', Value.fromBigInt(value));
   }
 
-  get updated_at_block(): BigInt {
-    let value = this.get('updated_at_block');
+  get position(): string {
+    let value = this.get('position');
     if (!value || value.kind == ValueKind.NULL) {
       throw new Error('Cannot return null for a required field.');
     } else {
-      return value.toBigInt();
+      return value.toString();
     }
   }
 
-  set updated_at_block(value: BigInt) {
-    this.set('updated_at_block', Value.fromBigInt(value));
+  set position(value: string) {
+    this.set('position', Value.fromString(value));
+  }
+
+  get account(): string {
+    let value = this.get('account');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set account(value: string) {
+    this.set('account', Value.fromString(value));
+  }
+
+  get pool(): string {
+    let value = this.get('pool');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set pool(value: string) {
+    this.set('pool', Value.fromString(value));
+  }
+
+  get collateral_type(): string {
+    let value = this.get('collateral_type');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set collateral_type(value: string) {
+    this.set('collateral_type', Value.fromString(value));
+  }
+
+  get collateral_amount(): BigDecimal {
+    let value = this.get('collateral_amount');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set collateral_amount(value: BigDecimal) {
+    this.set('collateral_amount', Value.fromBigDecimal(value));
+  }
+
+  get leverage(): BigDecimal {
+    let value = this.get('leverage');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set leverage(value: BigDecimal) {
+    this.set('leverage', Value.fromBigDecimal(value));
   }
 }
 
-export class RewardsDistributor extends Entity {
+export class PositionSnapshotByWeek extends Entity {
   constructor(id: string) {
     super();
     this.set('id', Value.fromString(id));
@@ -1654,22 +1783,24 @@ export class RewardsDistributor extends Entity {
 
   save(): void {
     let id = this.get('id');
-    assert(id != null, 'Cannot save RewardsDistributor entity without an ID');
+    assert(id != null, 'Cannot save PositionSnapshotByWeek entity without an ID');
     if (id) {
       assert(
         id.kind == ValueKind.STRING,
-        `Entities of type RewardsDistributor must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+        `Entities of type PositionSnapshotByWeek must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
       );
-      store.set('RewardsDistributor', id.toString(), this);
+      store.set('PositionSnapshotByWeek', id.toString(), this);
     }
   }
 
-  static loadInBlock(id: string): RewardsDistributor | null {
-    return changetype<RewardsDistributor | null>(store.get_in_block('RewardsDistributor', id));
+  static loadInBlock(id: string): PositionSnapshotByWeek | null {
+    return changetype<PositionSnapshotByWeek | null>(
+      store.get_in_block('PositionSnapshotByWeek', id)
+    );
   }
 
-  static load(id: string): RewardsDistributor | null {
-    return changetype<RewardsDistributor | null>(store.get('RewardsDistributor', id));
+  static load(id: string): PositionSnapshotByWeek | null {
+    return changetype<PositionSnapshotByWeek | null>(store.get('PositionSnapshotByWeek', id));
   }
 
   get id(): string {
@@ -1685,30 +1816,30 @@ export class RewardsDistributor extends Entity {
     this.set('id', Value.fromString(value));
   }
 
-  get total_distributed(): BigDecimal {
-    let value = this.get('total_distributed');
+  get updated_at(): BigInt {
+    let value = this.get('updated_at');
     if (!value || value.kind == ValueKind.NULL) {
       throw new Error('Cannot return null for a required field.');
     } else {
-      return value.toBigDecimal();
+      return value.toBigInt();
     }
   }
 
-  set total_distributed(value: BigDecimal) {
-    this.set('total_distributed', Value.fromBigDecimal(value));
+  set updated_at(value: BigInt) {
+    this.set('updated_at', Value.fromBigInt(value));
   }
 
-  get total_claimed(): BigDecimal {
-    let value = this.get('total_claimed');
+  get updated_at_block(): BigInt {
+    let value = this.get('updated_at_block');
     if (!value || value.kind == ValueKind.NULL) {
       throw new Error('Cannot return null for a required field.');
     } else {
-      return value.toBigDecimal();
+      return value.toBigInt();
     }
   }
 
-  set total_claimed(value: BigDecimal) {
-    this.set('total_claimed', Value.fromBigDecimal(value));
+  set updated_at_block(value: BigInt) {
+    this.set('updated_at_block', Value.fromBigInt(value));
   }
 
   get created_at(): BigInt {
@@ -1737,8 +1868,8 @@ export class RewardsDistributor extends Entity {
     this.set('created_at_block', Value.fromBigInt(value));
   }
 
-  get updated_at(): BigInt {
-    let value = this.get('updated_at');
+  get updates_in_period(): BigInt {
+    let value = this.get('updates_in_period');
     if (!value || value.kind == ValueKind.NULL) {
       throw new Error('Cannot return null for a required field.');
     } else {
@@ -1746,21 +1877,34 @@ export class RewardsDistributor extends Entity {
     }
   }
 
-  set updated_at(value: BigInt) {
-    this.set('updated_at', Value.fromBigInt(value));
+  set updates_in_period(value: BigInt) {
+    this.set('updates_in_period', Value.fromBigInt(value));
   }
 
-  get updated_at_block(): BigInt {
-    let value = this.get('updated_at_block');
+  get position(): string {
+    let value = this.get('position');
     if (!value || value.kind == ValueKind.NULL) {
       throw new Error('Cannot return null for a required field.');
     } else {
-      return value.toBigInt();
+      return value.toString();
     }
   }
 
-  set updated_at_block(value: BigInt) {
-    this.set('updated_at_block', Value.fromBigInt(value));
+  set position(value: string) {
+    this.set('position', Value.fromString(value));
+  }
+
+  get account(): string {
+    let value = this.get('account');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set account(value: string) {
+    this.set('account', Value.fromString(value));
   }
 
   get pool(): string {
@@ -1776,32 +1920,663 @@ export class RewardsDistributor extends Entity {
     this.set('pool', Value.fromString(value));
   }
 
-  get isActive(): boolean {
-    let value = this.get('isActive');
+  get collateral_type(): string {
+    let value = this.get('collateral_type');
     if (!value || value.kind == ValueKind.NULL) {
-      return false;
+      throw new Error('Cannot return null for a required field.');
     } else {
-      return value.toBoolean();
+      return value.toString();
     }
   }
 
-  set isActive(value: boolean) {
-    this.set('isActive', Value.fromBoolean(value));
+  set collateral_type(value: string) {
+    this.set('collateral_type', Value.fromString(value));
   }
 
-  get rewards_distributions(): RewardsDistributionLoader {
-    return new RewardsDistributionLoader(
-      'RewardsDistributor',
-      this.get('id')!.toString(),
-      'rewards_distributions'
-    );
+  get collateral_amount(): BigDecimal {
+    let value = this.get('collateral_amount');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigDecimal();
+    }
   }
-}
 
-export class RewardsDistribution extends Entity {
-  constructor(id: string) {
-    super();
-    this.set('id', Value.fromString(id));
+  set collateral_amount(value: BigDecimal) {
+    this.set('collateral_amount', Value.fromBigDecimal(value));
+  }
+
+  get leverage(): BigDecimal {
+    let value = this.get('leverage');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set leverage(value: BigDecimal) {
+    this.set('leverage', Value.fromBigDecimal(value));
+  }
+}
+
+export class Vault extends Entity {
+  constructor(id: string) {
+    super();
+    this.set('id', Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get('id');
+    assert(id != null, 'Cannot save Vault entity without an ID');
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type Vault must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+      );
+      store.set('Vault', id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): Vault | null {
+    return changetype<Vault | null>(store.get_in_block('Vault', id));
+  }
+
+  static load(id: string): Vault | null {
+    return changetype<Vault | null>(store.get('Vault', id));
+  }
+
+  get id(): string {
+    let value = this.get('id');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set('id', Value.fromString(value));
+  }
+
+  get collateral_amount(): BigDecimal {
+    let value = this.get('collateral_amount');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set collateral_amount(value: BigDecimal) {
+    this.set('collateral_amount', Value.fromBigDecimal(value));
+  }
+
+  get collateral_type(): string {
+    let value = this.get('collateral_type');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set collateral_type(value: string) {
+    this.set('collateral_type', Value.fromString(value));
+  }
+
+  get pool(): string {
+    let value = this.get('pool');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set pool(value: string) {
+    this.set('pool', Value.fromString(value));
+  }
+
+  get created_at(): BigInt {
+    let value = this.get('created_at');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set created_at(value: BigInt) {
+    this.set('created_at', Value.fromBigInt(value));
+  }
+
+  get created_at_block(): BigInt {
+    let value = this.get('created_at_block');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set created_at_block(value: BigInt) {
+    this.set('created_at_block', Value.fromBigInt(value));
+  }
+
+  get updated_at(): BigInt {
+    let value = this.get('updated_at');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updated_at(value: BigInt) {
+    this.set('updated_at', Value.fromBigInt(value));
+  }
+
+  get updated_at_block(): BigInt {
+    let value = this.get('updated_at_block');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updated_at_block(value: BigInt) {
+    this.set('updated_at_block', Value.fromBigInt(value));
+  }
+
+  get vault_snapshots_by_day(): VaultSnapshotByDayLoader {
+    return new VaultSnapshotByDayLoader(
+      'Vault',
+      this.get('id')!.toString(),
+      'vault_snapshots_by_day'
+    );
+  }
+
+  get vault_snapshots_by_week(): VaultSnapshotByWeekLoader {
+    return new VaultSnapshotByWeekLoader(
+      'Vault',
+      this.get('id')!.toString(),
+      'vault_snapshots_by_week'
+    );
+  }
+}
+
+export class VaultSnapshotByDay extends Entity {
+  constructor(id: string) {
+    super();
+    this.set('id', Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get('id');
+    assert(id != null, 'Cannot save VaultSnapshotByDay entity without an ID');
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type VaultSnapshotByDay must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+      );
+      store.set('VaultSnapshotByDay', id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): VaultSnapshotByDay | null {
+    return changetype<VaultSnapshotByDay | null>(store.get_in_block('VaultSnapshotByDay', id));
+  }
+
+  static load(id: string): VaultSnapshotByDay | null {
+    return changetype<VaultSnapshotByDay | null>(store.get('VaultSnapshotByDay', id));
+  }
+
+  get id(): string {
+    let value = this.get('id');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set('id', Value.fromString(value));
+  }
+
+  get updated_at(): BigInt {
+    let value = this.get('updated_at');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updated_at(value: BigInt) {
+    this.set('updated_at', Value.fromBigInt(value));
+  }
+
+  get updated_at_block(): BigInt {
+    let value = this.get('updated_at_block');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updated_at_block(value: BigInt) {
+    this.set('updated_at_block', Value.fromBigInt(value));
+  }
+
+  get created_at(): BigInt {
+    let value = this.get('created_at');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set created_at(value: BigInt) {
+    this.set('created_at', Value.fromBigInt(value));
+  }
+
+  get created_at_block(): BigInt {
+    let value = this.get('created_at_block');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set created_at_block(value: BigInt) {
+    this.set('created_at_block', Value.fromBigInt(value));
+  }
+
+  get updates_in_period(): BigInt {
+    let value = this.get('updates_in_period');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updates_in_period(value: BigInt) {
+    this.set('updates_in_period', Value.fromBigInt(value));
+  }
+
+  get vault(): string {
+    let value = this.get('vault');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set vault(value: string) {
+    this.set('vault', Value.fromString(value));
+  }
+
+  get pool(): string {
+    let value = this.get('pool');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set pool(value: string) {
+    this.set('pool', Value.fromString(value));
+  }
+
+  get collateral_type(): string {
+    let value = this.get('collateral_type');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set collateral_type(value: string) {
+    this.set('collateral_type', Value.fromString(value));
+  }
+
+  get collateral_amount(): BigDecimal {
+    let value = this.get('collateral_amount');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set collateral_amount(value: BigDecimal) {
+    this.set('collateral_amount', Value.fromBigDecimal(value));
+  }
+}
+
+export class VaultSnapshotByWeek extends Entity {
+  constructor(id: string) {
+    super();
+    this.set('id', Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get('id');
+    assert(id != null, 'Cannot save VaultSnapshotByWeek entity without an ID');
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type VaultSnapshotByWeek must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+      );
+      store.set('VaultSnapshotByWeek', id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): VaultSnapshotByWeek | null {
+    return changetype<VaultSnapshotByWeek | null>(store.get_in_block('VaultSnapshotByWeek', id));
+  }
+
+  static load(id: string): VaultSnapshotByWeek | null {
+    return changetype<VaultSnapshotByWeek | null>(store.get('VaultSnapshotByWeek', id));
+  }
+
+  get id(): string {
+    let value = this.get('id');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set('id', Value.fromString(value));
+  }
+
+  get updated_at(): BigInt {
+    let value = this.get('updated_at');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updated_at(value: BigInt) {
+    this.set('updated_at', Value.fromBigInt(value));
+  }
+
+  get updated_at_block(): BigInt {
+    let value = this.get('updated_at_block');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updated_at_block(value: BigInt) {
+    this.set('updated_at_block', Value.fromBigInt(value));
+  }
+
+  get created_at(): BigInt {
+    let value = this.get('created_at');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set created_at(value: BigInt) {
+    this.set('created_at', Value.fromBigInt(value));
+  }
+
+  get created_at_block(): BigInt {
+    let value = this.get('created_at_block');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set created_at_block(value: BigInt) {
+    this.set('created_at_block', Value.fromBigInt(value));
+  }
+
+  get updates_in_period(): BigInt {
+    let value = this.get('updates_in_period');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updates_in_period(value: BigInt) {
+    this.set('updates_in_period', Value.fromBigInt(value));
+  }
+
+  get vault(): string {
+    let value = this.get('vault');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set vault(value: string) {
+    this.set('vault', Value.fromString(value));
+  }
+
+  get pool(): string {
+    let value = this.get('pool');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set pool(value: string) {
+    this.set('pool', Value.fromString(value));
+  }
+
+  get collateral_type(): string {
+    let value = this.get('collateral_type');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set collateral_type(value: string) {
+    this.set('collateral_type', Value.fromString(value));
+  }
+
+  get collateral_amount(): BigDecimal {
+    let value = this.get('collateral_amount');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set collateral_amount(value: BigDecimal) {
+    this.set('collateral_amount', Value.fromBigDecimal(value));
+  }
+}
+
+export class RewardsDistributor extends Entity {
+  constructor(id: string) {
+    super();
+    this.set('id', Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get('id');
+    assert(id != null, 'Cannot save RewardsDistributor entity without an ID');
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type RewardsDistributor must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+      );
+      store.set('RewardsDistributor', id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): RewardsDistributor | null {
+    return changetype<RewardsDistributor | null>(store.get_in_block('RewardsDistributor', id));
+  }
+
+  static load(id: string): RewardsDistributor | null {
+    return changetype<RewardsDistributor | null>(store.get('RewardsDistributor', id));
+  }
+
+  get id(): string {
+    let value = this.get('id');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set('id', Value.fromString(value));
+  }
+
+  get total_distributed(): BigDecimal {
+    let value = this.get('total_distributed');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set total_distributed(value: BigDecimal) {
+    this.set('total_distributed', Value.fromBigDecimal(value));
+  }
+
+  get total_claimed(): BigDecimal {
+    let value = this.get('total_claimed');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set total_claimed(value: BigDecimal) {
+    this.set('total_claimed', Value.fromBigDecimal(value));
+  }
+
+  get created_at(): BigInt {
+    let value = this.get('created_at');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set created_at(value: BigInt) {
+    this.set('created_at', Value.fromBigInt(value));
+  }
+
+  get created_at_block(): BigInt {
+    let value = this.get('created_at_block');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set created_at_block(value: BigInt) {
+    this.set('created_at_block', Value.fromBigInt(value));
+  }
+
+  get updated_at(): BigInt {
+    let value = this.get('updated_at');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updated_at(value: BigInt) {
+    this.set('updated_at', Value.fromBigInt(value));
+  }
+
+  get updated_at_block(): BigInt {
+    let value = this.get('updated_at_block');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updated_at_block(value: BigInt) {
+    this.set('updated_at_block', Value.fromBigInt(value));
+  }
+
+  get pool(): string {
+    let value = this.get('pool');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set pool(value: string) {
+    this.set('pool', Value.fromString(value));
+  }
+
+  get isActive(): boolean {
+    let value = this.get('isActive');
+    if (!value || value.kind == ValueKind.NULL) {
+      return false;
+    } else {
+      return value.toBoolean();
+    }
+  }
+
+  set isActive(value: boolean) {
+    this.set('isActive', Value.fromBoolean(value));
+  }
+
+  get rewards_distributions(): RewardsDistributionLoader {
+    return new RewardsDistributionLoader(
+      'RewardsDistributor',
+      this.get('id')!.toString(),
+      'rewards_distributions'
+    );
+  }
+}
+
+export class RewardsDistribution extends Entity {
+  constructor(id: string) {
+    super();
+    this.set('id', Value.fromString(id));
   }
 
   save(): void {
@@ -2628,6 +3403,192 @@ export class VaultLiquidation extends Entity {
   }
 }
 
+export class ProtocolEvent extends Entity {
+  constructor(id: string) {
+    super();
+    this.set('id', Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get('id');
+    assert(id != null, 'Cannot save ProtocolEvent entity without an ID');
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type ProtocolEvent must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`
+      );
+      store.set('ProtocolEvent', id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): ProtocolEvent | null {
+    return changetype<ProtocolEvent | null>(store.get_in_block('ProtocolEvent', id));
+  }
+
+  static load(id: string): ProtocolEvent | null {
+    return changetype<ProtocolEvent | null>(store.get('ProtocolEvent', id));
+  }
+
+  get id(): string {
+    let value = this.get('id');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set('id', Value.fromString(value));
+  }
+
+  get name(): string {
+    let value = this.get('name');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set name(value: string) {
+    this.set('name', Value.fromString(value));
+  }
+
+  get transaction_hash(): Bytes {
+    let value = this.get('transaction_hash');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set transaction_hash(value: Bytes) {
+    this.set('transaction_hash', Value.fromBytes(value));
+  }
+
+  get log_index(): BigInt {
+    let value = this.get('log_index');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set log_index(value: BigInt) {
+    this.set('log_index', Value.fromBigInt(value));
+  }
+
+  get created_at(): BigInt {
+    let value = this.get('created_at');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set created_at(value: BigInt) {
+    this.set('created_at', Value.fromBigInt(value));
+  }
+
+  get created_at_block(): BigInt {
+    let value = this.get('created_at_block');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set created_at_block(value: BigInt) {
+    this.set('created_at_block', Value.fromBigInt(value));
+  }
+
+  get account(): string | null {
+    let value = this.get('account');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set account(value: string | null) {
+    if (!value) {
+      this.unset('account');
+    } else {
+      this.set('account', Value.fromString(<string>value));
+    }
+  }
+
+  get pool(): string | null {
+    let value = this.get('pool');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set pool(value: string | null) {
+    if (!value) {
+      this.unset('pool');
+    } else {
+      this.set('pool', Value.fromString(<string>value));
+    }
+  }
+
+  get market(): string | null {
+    let value = this.get('market');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set market(value: string | null) {
+    if (!value) {
+      this.unset('market');
+    } else {
+      this.set('market', Value.fromString(<string>value));
+    }
+  }
+
+  get collateral_type(): string | null {
+    let value = this.get('collateral_type');
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set collateral_type(value: string | null) {
+    if (!value) {
+      this.unset('collateral_type');
+    } else {
+      this.set('collateral_type', Value.fromString(<string>value));
+    }
+  }
+
+  get payload(): string {
+    let value = this.get('payload');
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error('Cannot return null for a required field.');
+    } else {
+      return value.toString();
+    }
+  }
+
+  set payload(value: string) {
+    this.set('payload', Value.fromString(value));
+  }
+}
+
 export class RewardsDistributorLoader extends Entity {
   _entity: string;
   _field: string;
@@ -2664,6 +3625,24 @@ export class MarketConfigurationLoader extends Entity {
   }
 }
 
+export class ProtocolEventLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): ProtocolEvent[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<ProtocolEvent[]>(value);
+  }
+}
+
 export class MarketSnapshotByDayLoader extends Entity {
   _entity: string;
   _field: string;
@@ -2700,6 +3679,78 @@ export class MarketSnapshotByWeekLoader extends Entity {
   }
 }
 
+export class PositionSnapshotByDayLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): PositionSnapshotByDay[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<PositionSnapshotByDay[]>(value);
+  }
+}
+
+export class PositionSnapshotByWeekLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): PositionSnapshotByWeek[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<PositionSnapshotByWeek[]>(value);
+  }
+}
+
+export class VaultSnapshotByDayLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): VaultSnapshotByDay[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<VaultSnapshotByDay[]>(value);
+  }
+}
+
+export class VaultSnapshotByWeekLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): VaultSnapshotByWeek[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<VaultSnapshotByWeek[]>(value);
+  }
+}
+
 export class RewardsDistributionLoader extends Entity {
   _entity: string;
   _field: string;
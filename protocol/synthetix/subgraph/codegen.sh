@@ -3,10 +3,14 @@
 set -e
 export CANNON_IPFS_URL="https://ipfs.synthetix.io"
 
+network() {
+  node -p "require('./networks.json')['$1'].$2"
+}
+
 codegen() {
   namespace=$1
-  chainId=$2
-  package=$3
+  chainId=$(network "$namespace" chainId)
+  package=$(network "$namespace" package)
 
   echo
   echo
@@ -14,6 +18,13 @@ codegen() {
   echo '>' cannon inspect "$package" --chain-id "$chainId" --write-deployments "./$namespace/deployments"
   yarn cannon inspect "$package" --chain-id "$chainId" --write-deployments "./$namespace/deployments"
 
+  echo
+  echo
+  echo
+  echo '>' node ./generateManifests.js "$namespace"
+  node ./generateManifests.js "$namespace"
+  yarn prettier --write "subgraph.$namespace.yaml"
+
   echo
   echo
   echo
@@ -26,15 +37,9 @@ codegen() {
   echo
   echo '>' graph build "subgraph.$namespace.yaml" --output-dir "./build/$namespace"
   yarn graph build "subgraph.$namespace.yaml" --output-dir "./build/$namespace"
-  yarn prettier --write "subgraph.$namespace.yaml"
 }
 
-
-# releaseVersion=$(yarn workspace "@synthetixio/main" node -p 'require(`./package.json`).version')
-codegen base-sepolia-andromeda 84532 "synthetix-omnibus:latest@andromeda"
-codegen base-mainnet-andromeda 8453 "synthetix-omnibus:latest@andromeda"
-
-codegen mainnet 1 "synthetix-omnibus:latest@main"
-codegen goerli 5 "synthetix-omnibus:latest@main"
-codegen optimism-mainnet 10 "synthetix-omnibus:latest@main"
-codegen optimism-goerli 420 "synthetix-omnibus:latest@main"
+# Namespaces, chain ids and cannon packages are listed in networks.json
+for namespace in $(node -p "Object.keys(require('./networks.json')).join(' ')"); do
+  codegen "$namespace"
+done
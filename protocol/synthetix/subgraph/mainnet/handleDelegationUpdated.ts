@@ -1,54 +0,0 @@
-import { DelegationUpdated } from './generated/CoreProxy/CoreProxy';
-import { Position, Vault } from './generated/schema';
-
-export function handleDelegationUpdated(event: DelegationUpdated): void {
-  const id = event.params.accountId
-    .toString()
-    .concat('-')
-    .concat(event.params.poolId.toString())
-    .concat('-')
-    .concat(event.params.collateralType.toHex());
-  let position = Position.load(id);
-  if (position === null) {
-    position = new Position(id);
-    position.created_at = event.block.timestamp;
-    position.created_at_block = event.block.number;
-    position.account = event.params.accountId.toString();
-    position.collateral_amount = event.params.amount.toBigDecimal();
-  }
-  const collateralAmountChange = position.collateral_amount.minus(
-    event.params.amount.toBigDecimal()
-  );
-  position.pool = event.params.poolId.toString();
-  position.collateral_type = event.params.collateralType.toHex();
-  position.collateral_amount = event.params.amount.toBigDecimal();
-  position.updated_at = event.block.timestamp;
-  position.updated_at_block = event.block.number;
-  // position.c_ratio = VaultModule.bind(event.address)
-  //   .getPositionCollateralizationRatio(
-  //     event.params.accountId,
-  //     event.params.poolId,
-  //     event.params.collateralType
-  //   )
-  //   .toBigDecimal();
-  position.leverage = event.params.leverage.toBigDecimal();
-  let vault = Vault.load(
-    event.params.poolId.toString().concat('-').concat(event.params.collateralType.toHex())
-  );
-  if (vault === null) {
-    vault = new Vault(
-      event.params.poolId.toString().concat('-').concat(event.params.collateralType.toHex())
-    );
-    vault.created_at = event.block.timestamp;
-    vault.created_at_block = event.block.number;
-    vault.collateral_amount = event.params.amount.toBigDecimal();
-    vault.collateral_type = event.params.collateralType.toHex();
-    vault.pool = event.params.poolId.toString();
-  } else {
-    vault.collateral_amount = vault.collateral_amount.plus(collateralAmountChange);
-  }
-  vault.updated_at = event.block.timestamp;
-  vault.updated_at_block = event.block.number;
-  vault.save();
-  position.save();
-}
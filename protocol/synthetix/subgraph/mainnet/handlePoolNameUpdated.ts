@@ -1,12 +0,0 @@
-import { PoolNameUpdated } from './generated/CoreProxy/CoreProxy';
-import { Pool } from './generated/schema';
-
-export function handlePoolNameUpdated(event: PoolNameUpdated): void {
-  const pool = Pool.load(event.params.poolId.toString());
-  if (pool !== null) {
-    pool.name = event.params.name.toString();
-    pool.updated_at_block = event.block.number;
-    pool.updated_at = event.block.timestamp;
-    pool.save();
-  }
-}
@@ -1,7 +1,12 @@
-import { AccountCreated } from './generated/CoreProxy/CoreProxy';
-import { Account } from './generated/schema';
+import { AccountCreated } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Account } from '../mainnet/generated/schema';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handleAccountCreated(event: AccountCreated): void {
+  const protocolEvent = newProtocolEvent(event, 'AccountCreated');
+  protocolEvent.account = event.params.accountId.toString();
+  protocolEvent.save();
+
   const account = new Account(event.params.accountId.toString());
   account.owner = event.params.owner;
   account.created_at = event.block.timestamp;
@@ -1,8 +1,13 @@
-import { CollateralConfigured } from './generated/CoreProxy/CoreProxy';
-import { CollateralType } from './generated/schema';
+import { CollateralConfigured } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { CollateralType } from '../mainnet/generated/schema';
 import { BigInt } from '@graphprotocol/graph-ts';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handleCollateralConfigured(event: CollateralConfigured): void {
+  const protocolEvent = newProtocolEvent(event, 'CollateralConfigured');
+  protocolEvent.collateral_type = event.params.collateralType.toHex();
+  protocolEvent.save();
+
   let collateralType = CollateralType.load(event.params.collateralType.toHex());
   if (collateralType === null) {
     collateralType = new CollateralType(event.params.collateralType.toHex());
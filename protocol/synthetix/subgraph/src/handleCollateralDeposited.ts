@@ -0,0 +1,47 @@
+import { Deposited } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Account, CollateralType, Position } from '../mainnet/generated/schema';
+import { createPositionSnapshotByDay } from './positionSnapshotByDay';
+import { createPositionSnapshotByWeek } from './positionSnapshotByWeek';
+import { newProtocolEvent } from './protocolEvent';
+
+export function handleCollateralDeposited(event: Deposited): void {
+  const protocolEvent = newProtocolEvent(event, 'Deposited');
+  protocolEvent.account = event.params.accountId.toString();
+  protocolEvent.collateral_type = event.params.collateralType.toHex();
+  protocolEvent.save();
+
+  let collateralType = CollateralType.load(event.params.collateralType.toHex());
+  if (collateralType) {
+    collateralType.updated_at = event.block.timestamp;
+    collateralType.updated_at_block = event.block.number;
+    if (collateralType.total_amount_deposited !== null) {
+      // @dev we could also account for every account how much they deposited and withdrawn
+      collateralType.total_amount_deposited = collateralType.total_amount_deposited!.plus(
+        event.params.tokenAmount.toBigDecimal()
+      );
+    } else {
+      collateralType.total_amount_deposited = event.params.tokenAmount.toBigDecimal();
+    }
+    collateralType.save();
+  }
+
+  // Deposited collateral is not delegated yet, so vaults and positions keep their amounts, but
+  // the positions of the account with the same collateral type record the update
+  const account = Account.load(event.params.accountId.toString());
+  if (account === null || account.positions === null) {
+    return;
+  }
+  const positions = account.positions!;
+  for (let i = 0; i < positions.length; i++) {
+    const position = Position.load(positions[i]);
+    if (position === null || position.collateral_type != event.params.collateralType.toHex()) {
+      continue;
+    }
+    position.updated_at = event.block.timestamp;
+    position.updated_at_block = event.block.number;
+    position.save();
+
+    createPositionSnapshotByDay(position);
+    createPositionSnapshotByWeek(position);
+  }
+}
@@ -1,7 +1,13 @@
-import { Withdrawn } from './generated/CoreProxy/CoreProxy';
-import { CollateralType } from './generated/schema';
+import { Withdrawn } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { CollateralType } from '../mainnet/generated/schema';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handleCollateralWithdrawn(event: Withdrawn): void {
+  const protocolEvent = newProtocolEvent(event, 'Withdrawn');
+  protocolEvent.account = event.params.accountId.toString();
+  protocolEvent.collateral_type = event.params.collateralType.toHex();
+  protocolEvent.save();
+
   let collateralType = CollateralType.load(event.params.collateralType.toHex());
   if (collateralType) {
     collateralType.updated_at = event.block.timestamp;
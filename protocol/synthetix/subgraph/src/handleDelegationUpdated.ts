@@ -0,0 +1,80 @@
+import { BigDecimal } from '@graphprotocol/graph-ts';
+import { DelegationUpdated } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Account, Position, Vault } from '../mainnet/generated/schema';
+import { createPositionSnapshotByDay } from './positionSnapshotByDay';
+import { createPositionSnapshotByWeek } from './positionSnapshotByWeek';
+import { createVaultSnapshotByDay } from './vaultSnapshotByDay';
+import { createVaultSnapshotByWeek } from './vaultSnapshotByWeek';
+import { newProtocolEvent } from './protocolEvent';
+import { updatePositionCollateralization } from './positionCollateralization';
+
+export function handleDelegationUpdated(event: DelegationUpdated): void {
+  const protocolEvent = newProtocolEvent(event, 'DelegationUpdated');
+  protocolEvent.account = event.params.accountId.toString();
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.collateral_type = event.params.collateralType.toHex();
+  protocolEvent.save();
+
+  const id = event.params.accountId
+    .toString()
+    .concat('-')
+    .concat(event.params.poolId.toString())
+    .concat('-')
+    .concat(event.params.collateralType.toHex());
+  let position = Position.load(id);
+  // collateral delegated before this update, nothing for a new position
+  let previousCollateralAmount = BigDecimal.zero();
+  if (position === null) {
+    position = new Position(id);
+    position.created_at = event.block.timestamp;
+    position.created_at_block = event.block.number;
+    position.account = event.params.accountId.toString();
+    position.debt = BigDecimal.zero();
+    addAccountPosition(event.params.accountId.toString(), id);
+  } else {
+    previousCollateralAmount = position.collateral_amount;
+  }
+  const collateralAmountChange = event.params.amount.toBigDecimal().minus(previousCollateralAmount);
+  position.pool = event.params.poolId.toString();
+  position.collateral_type = event.params.collateralType.toHex();
+  position.collateral_amount = event.params.amount.toBigDecimal();
+  position.updated_at = event.block.timestamp;
+  position.updated_at_block = event.block.number;
+  position.leverage = event.params.leverage.toBigDecimal();
+  updatePositionCollateralization(position);
+  let vault = Vault.load(
+    event.params.poolId.toString().concat('-').concat(event.params.collateralType.toHex())
+  );
+  if (vault === null) {
+    vault = new Vault(
+      event.params.poolId.toString().concat('-').concat(event.params.collateralType.toHex())
+    );
+    vault.created_at = event.block.timestamp;
+    vault.created_at_block = event.block.number;
+    vault.collateral_amount = event.params.amount.toBigDecimal();
+    vault.collateral_type = event.params.collateralType.toHex();
+    vault.pool = event.params.poolId.toString();
+  } else {
+    vault.collateral_amount = vault.collateral_amount.plus(collateralAmountChange);
+  }
+  vault.updated_at = event.block.timestamp;
+  vault.updated_at_block = event.block.number;
+  vault.save();
+  position.save();
+
+  createVaultSnapshotByDay(vault);
+  createVaultSnapshotByWeek(vault);
+  createPositionSnapshotByDay(position);
+  createPositionSnapshotByWeek(position);
+}
+
+function addAccountPosition(accountId: string, positionId: string): void {
+  const account = Account.load(accountId);
+  if (account === null) {
+    return;
+  }
+  const positions = account.positions === null ? new Array<string>() : account.positions!;
+  positions.push(positionId);
+  account.positions = positions;
+  account.save();
+}
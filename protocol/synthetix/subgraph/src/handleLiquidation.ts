@@ -0,0 +1,77 @@
+import { BigDecimal } from '@graphprotocol/graph-ts';
+import { Liquidation } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Liquidation as LiquidationEntity, Position, Vault } from '../mainnet/generated/schema';
+import { createPositionSnapshotByDay } from './positionSnapshotByDay';
+import { createPositionSnapshotByWeek } from './positionSnapshotByWeek';
+import { createVaultSnapshotByDay } from './vaultSnapshotByDay';
+import { createVaultSnapshotByWeek } from './vaultSnapshotByWeek';
+import { newProtocolEvent } from './protocolEvent';
+import { updatePositionCollateralization } from './positionCollateralization';
+
+export function handleLiquidation(event: Liquidation): void {
+  const protocolEvent = newProtocolEvent(event, 'Liquidation');
+  protocolEvent.account = event.params.accountId.toString();
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.collateral_type = event.params.collateralType.toHex();
+  protocolEvent.save();
+
+  const newLiquidation = new LiquidationEntity(
+    event.params.accountId
+      .toString()
+      .concat('-')
+      .concat(event.params.poolId.toString())
+      .concat('-')
+      .concat(event.params.collateralType.toHex())
+      .concat('-')
+      .concat(event.logIndex.toString())
+  );
+  newLiquidation.created_at = event.block.timestamp;
+  newLiquidation.created_at_block = event.block.number;
+  newLiquidation.updated_at = event.block.timestamp;
+  newLiquidation.updated_at_block = event.block.number;
+  newLiquidation.account = event.params.accountId.toString();
+  newLiquidation.pool = event.params.poolId.toString();
+  newLiquidation.collateral_type = event.params.collateralType;
+  newLiquidation.debt_liquidated = event.params.liquidationData.debtLiquidated.toBigDecimal();
+  newLiquidation.collateral_liquidated =
+    event.params.liquidationData.collateralLiquidated.toBigDecimal();
+  newLiquidation.amount_rewarded = event.params.liquidationData.amountRewarded.toBigDecimal();
+  newLiquidation.sender = event.params.sender;
+  newLiquidation.liquidate_as_account_id = event.params.liquidateAsAccountId.toString();
+  newLiquidation.save();
+
+  // Liquidated position is cleared, collateral and debt are distributed among the rest of the vault
+  const position = Position.load(
+    event.params.accountId
+      .toString()
+      .concat('-')
+      .concat(event.params.poolId.toString())
+      .concat('-')
+      .concat(event.params.collateralType.toHex())
+  );
+  if (position !== null) {
+    position.collateral_amount = BigDecimal.zero();
+    position.debt = BigDecimal.zero();
+    updatePositionCollateralization(position);
+    position.updated_at = event.block.timestamp;
+    position.updated_at_block = event.block.number;
+    position.save();
+    createPositionSnapshotByDay(position);
+    createPositionSnapshotByWeek(position);
+  }
+
+  // Only the reward leaves the vault
+  const vault = Vault.load(
+    event.params.poolId.toString().concat('-').concat(event.params.collateralType.toHex())
+  );
+  if (vault !== null) {
+    vault.collateral_amount = vault.collateral_amount.minus(
+      event.params.liquidationData.amountRewarded.toBigDecimal()
+    );
+    vault.updated_at = event.block.timestamp;
+    vault.updated_at_block = event.block.number;
+    vault.save();
+    createVaultSnapshotByDay(vault);
+    createVaultSnapshotByWeek(vault);
+  }
+}
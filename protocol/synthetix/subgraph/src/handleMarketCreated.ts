@@ -1,8 +1,13 @@
-import { MarketRegistered } from './generated/CoreProxy/CoreProxy';
-import { Market } from './generated/schema';
+import { MarketRegistered } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Market } from '../mainnet/generated/schema';
 import { BigDecimal } from '@graphprotocol/graph-ts';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handleMarketCreated(event: MarketRegistered): void {
+  const protocolEvent = newProtocolEvent(event, 'MarketRegistered');
+  protocolEvent.market = event.params.marketId.toString();
+  protocolEvent.save();
+
   const newMarket = new Market(event.params.marketId.toString());
   newMarket.address = event.params.market;
   newMarket.created_at = event.block.timestamp;
@@ -1,10 +1,15 @@
-import { MarketUsdDeposited } from './generated/CoreProxy/CoreProxy';
-import { Market } from './generated/schema';
+import { MarketUsdDeposited } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Market } from '../mainnet/generated/schema';
 import { log } from '@graphprotocol/graph-ts';
 import { createMarketSnapshotByDay } from './marketSnapshotByDay';
 import { createMarketSnapshotByWeek } from './marketSnapshotByWeek';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handleMarketUsdDeposited(event: MarketUsdDeposited): void {
+  const protocolEvent = newProtocolEvent(event, 'MarketUsdDeposited');
+  protocolEvent.market = event.params.marketId.toString();
+  protocolEvent.save();
+
   const marketId = event.params.marketId.toString();
   const market = Market.load(marketId);
   if (market == null) {
@@ -1,10 +1,15 @@
-import { MarketUsdWithdrawn } from './generated/CoreProxy/CoreProxy';
-import { Market } from './generated/schema';
+import { MarketUsdWithdrawn } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Market } from '../mainnet/generated/schema';
 import { log } from '@graphprotocol/graph-ts';
 import { createMarketSnapshotByDay } from './marketSnapshotByDay';
 import { createMarketSnapshotByWeek } from './marketSnapshotByWeek';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handleMarketUsdWithdrawn(event: MarketUsdWithdrawn): void {
+  const protocolEvent = newProtocolEvent(event, 'MarketUsdWithdrawn');
+  protocolEvent.market = event.params.marketId.toString();
+  protocolEvent.save();
+
   const marketId = event.params.marketId.toString();
 
   const market = Market.load(marketId);
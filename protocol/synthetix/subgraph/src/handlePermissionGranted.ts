@@ -1,7 +1,12 @@
-import { PermissionGranted } from './generated/CoreProxy/CoreProxy';
-import { Account, AccountPermissionUsers } from './generated/schema';
+import { PermissionGranted } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Account, AccountPermissionUsers } from '../mainnet/generated/schema';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handlePermissionGranted(event: PermissionGranted): void {
+  const protocolEvent = newProtocolEvent(event, 'PermissionGranted');
+  protocolEvent.account = event.params.accountId.toString();
+  protocolEvent.save();
+
   const account = Account.load(event.params.accountId.toString());
   if (account !== null) {
     let accountPermissionUsers = AccountPermissionUsers.load(
@@ -1,8 +1,13 @@
-import { PermissionRevoked } from './generated/CoreProxy/CoreProxy';
-import { Account, AccountPermissionUsers } from './generated/schema';
+import { PermissionRevoked } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Account, AccountPermissionUsers } from '../mainnet/generated/schema';
 import { Bytes, store } from '@graphprotocol/graph-ts';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handlePermissionRevoked(event: PermissionRevoked): void {
+  const protocolEvent = newProtocolEvent(event, 'PermissionRevoked');
+  protocolEvent.account = event.params.accountId.toString();
+  protocolEvent.save();
+
   const account = Account.load(event.params.accountId.toString());
   const permissions = AccountPermissionUsers.load(
     event.params.accountId.toString().concat('-').concat(event.params.user.toHex())
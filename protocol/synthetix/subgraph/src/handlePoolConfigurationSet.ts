@@ -1,6 +1,7 @@
-import { PoolConfigurationSet } from './generated/CoreProxy/CoreProxy';
-import { MarketConfiguration, Pool } from './generated/schema';
+import { PoolConfigurationSet } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { MarketConfiguration, Pool } from '../mainnet/generated/schema';
 import { BigDecimal, BigInt, log, store } from '@graphprotocol/graph-ts';
+import { newProtocolEvent } from './protocolEvent';
 
 const getMarketConfigurationForPoolByMarketId = (pool: Pool): Map<string, string> => {
   const poolMarketIds = pool.market_ids;
@@ -131,6 +132,10 @@ const updatePoolFields = (event: PoolConfigurationSet, pool: Pool): void => {
 };
 
 export function handlePoolConfigurationSet(event: PoolConfigurationSet): void {
+  const protocolEvent = newProtocolEvent(event, 'PoolConfigurationSet');
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.save();
+
   const poolId = event.params.poolId.toString();
   const pool = Pool.load(poolId);
   // Pool will be never undefined, though for safety reasons we are checking for that
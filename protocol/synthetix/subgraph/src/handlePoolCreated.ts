@@ -1,7 +1,12 @@
-import { PoolCreated } from './generated/CoreProxy/CoreProxy';
-import { Pool } from './generated/schema';
+import { PoolCreated } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Pool } from '../mainnet/generated/schema';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handlePoolCreated(event: PoolCreated): void {
+  const protocolEvent = newProtocolEvent(event, 'PoolCreated');
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.save();
+
   const newPool = new Pool(event.params.poolId.toString());
   newPool.owner = event.params.owner;
   newPool.created_at = event.block.timestamp;
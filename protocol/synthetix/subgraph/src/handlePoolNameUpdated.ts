@@ -0,0 +1,17 @@
+import { PoolNameUpdated } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Pool } from '../mainnet/generated/schema';
+import { newProtocolEvent } from './protocolEvent';
+
+export function handlePoolNameUpdated(event: PoolNameUpdated): void {
+  const protocolEvent = newProtocolEvent(event, 'PoolNameUpdated');
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.save();
+
+  const pool = Pool.load(event.params.poolId.toString());
+  if (pool !== null) {
+    pool.name = event.params.name.toString();
+    pool.updated_at_block = event.block.number;
+    pool.updated_at = event.block.timestamp;
+    pool.save();
+  }
+}
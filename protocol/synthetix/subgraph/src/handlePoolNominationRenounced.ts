@@ -1,8 +1,13 @@
-import { PoolNominationRenounced } from './generated/CoreProxy/CoreProxy';
-import { Pool } from './generated/schema';
+import { PoolNominationRenounced } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Pool } from '../mainnet/generated/schema';
 import { Bytes } from '@graphprotocol/graph-ts';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handlePoolNominationRenounced(event: PoolNominationRenounced): void {
+  const protocolEvent = newProtocolEvent(event, 'PoolNominationRenounced');
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.save();
+
   const pool = Pool.load(event.params.poolId.toString());
   if (pool !== null) {
     pool.nominated_owner = Bytes.empty();
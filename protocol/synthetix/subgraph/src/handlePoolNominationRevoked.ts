@@ -1,8 +1,13 @@
-import { PoolNominationRevoked } from './generated/CoreProxy/CoreProxy';
-import { Pool } from './generated/schema';
+import { PoolNominationRevoked } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Pool } from '../mainnet/generated/schema';
 import { Bytes } from '@graphprotocol/graph-ts';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handlePoolNominationRevoked(event: PoolNominationRevoked): void {
+  const protocolEvent = newProtocolEvent(event, 'PoolNominationRevoked');
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.save();
+
   const pool = Pool.load(event.params.poolId.toString());
   if (pool !== null) {
     pool.nominated_owner = Bytes.empty();
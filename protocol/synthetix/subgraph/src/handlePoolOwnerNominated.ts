@@ -0,0 +1,17 @@
+import { PoolOwnerNominated } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Pool } from '../mainnet/generated/schema';
+import { newProtocolEvent } from './protocolEvent';
+
+export function handlePoolOwnerNominated(event: PoolOwnerNominated): void {
+  const protocolEvent = newProtocolEvent(event, 'PoolOwnerNominated');
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.save();
+
+  const pool = Pool.load(event.params.poolId.toString());
+  if (pool !== null) {
+    pool.nominated_owner = event.params.nominatedOwner;
+    pool.updated_at = event.block.timestamp;
+    pool.updated_at_block = event.block.number;
+    pool.save();
+  }
+}
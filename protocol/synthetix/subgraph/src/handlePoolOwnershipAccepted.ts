@@ -1,8 +1,13 @@
-import { PoolOwnershipAccepted } from './generated/CoreProxy/CoreProxy';
-import { Pool } from './generated/schema';
+import { PoolOwnershipAccepted } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Pool } from '../mainnet/generated/schema';
 import { Bytes } from '@graphprotocol/graph-ts';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handlePoolOwnershipAccepted(event: PoolOwnershipAccepted): void {
+  const protocolEvent = newProtocolEvent(event, 'PoolOwnershipAccepted');
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.save();
+
   const pool = Pool.load(event.params.poolId.toString());
   if (pool !== null) {
     pool.updated_at_block = event.block.number;
@@ -1,7 +1,18 @@
-import { RewardsClaimed as RewardsClaimedEvent } from './generated/CoreProxy/CoreProxy';
-import { AccountRewardsDistributor, RewardsClaimed, RewardsDistributor } from './generated/schema';
+import { RewardsClaimed as RewardsClaimedEvent } from '../mainnet/generated/CoreProxy/CoreProxy';
+import {
+  AccountRewardsDistributor,
+  RewardsClaimed,
+  RewardsDistributor,
+} from '../mainnet/generated/schema';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handleRewardsClaimed(event: RewardsClaimedEvent): void {
+  const protocolEvent = newProtocolEvent(event, 'RewardsClaimed');
+  protocolEvent.account = event.params.accountId.toString();
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.collateral_type = event.params.collateralType.toHex();
+  protocolEvent.save();
+
   const accountRewardsDistributor = AccountRewardsDistributor.load(
     event.params.poolId
       .toString()
@@ -1,11 +1,17 @@
-import { RewardsDistributed } from './generated/CoreProxy/CoreProxy';
+import { RewardsDistributed } from '../mainnet/generated/CoreProxy/CoreProxy';
 import {
   AccountRewardsDistributor,
   RewardsDistribution,
   RewardsDistributor,
-} from './generated/schema';
+} from '../mainnet/generated/schema';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handleRewardsDistributed(event: RewardsDistributed): void {
+  const protocolEvent = newProtocolEvent(event, 'RewardsDistributed');
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.collateral_type = event.params.collateralType.toHex();
+  protocolEvent.save();
+
   const rewardsDistribution = new RewardsDistribution(
     event.params.distributor
       .toHex()
@@ -1,8 +1,14 @@
-import { RewardsDistributorRegistered } from './generated/CoreProxy/CoreProxy';
-import { RewardsDistributor, Pool } from './generated/schema';
+import { RewardsDistributorRegistered } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { RewardsDistributor, Pool } from '../mainnet/generated/schema';
 import { BigDecimal } from '@graphprotocol/graph-ts';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handleRewardsDistributorRegistered(event: RewardsDistributorRegistered): void {
+  const protocolEvent = newProtocolEvent(event, 'RewardsDistributorRegistered');
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.collateral_type = event.params.collateralType.toHex();
+  protocolEvent.save();
+
   const distributor = new RewardsDistributor(event.params.distributor.toHex());
   distributor.created_at = event.block.timestamp;
   distributor.created_at_block = event.block.number;
@@ -0,0 +1,19 @@
+import { RewardsDistributorRemoved } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { RewardsDistributor } from '../mainnet/generated/schema';
+import { newProtocolEvent } from './protocolEvent';
+
+export function handleRewardsDistributorRemoved(event: RewardsDistributorRemoved): void {
+  const protocolEvent = newProtocolEvent(event, 'RewardsDistributorRemoved');
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.collateral_type = event.params.collateralType.toHex();
+  protocolEvent.save();
+
+  const distributor = RewardsDistributor.load(event.params.distributor.toHex());
+
+  if (distributor !== null) {
+    distributor.updated_at = event.block.timestamp;
+    distributor.updated_at_block = event.block.number;
+    distributor.isActive = false;
+    distributor.save();
+  }
+}
@@ -1,7 +1,15 @@
-import { UsdBurned } from './generated/CoreProxy/CoreProxy';
-import { Position } from './generated/schema';
+import { UsdBurned } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Position } from '../mainnet/generated/schema';
+import { newProtocolEvent } from './protocolEvent';
+import { updatePositionCollateralization } from './positionCollateralization';
 
 export function handleUSDBurned(event: UsdBurned): void {
+  const protocolEvent = newProtocolEvent(event, 'UsdBurned');
+  protocolEvent.account = event.params.accountId.toString();
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.collateral_type = event.params.collateralType.toHex();
+  protocolEvent.save();
+
   const position = Position.load(
     event.params.accountId
       .toString()
@@ -22,6 +30,8 @@ export function handleUSDBurned(event: UsdBurned): void {
     } else {
       position.net_issuance = event.params.amount.toBigDecimal();
     }
+    position.debt = position.debt.minus(event.params.amount.toBigDecimal());
+    updatePositionCollateralization(position);
     position.updated_at = event.block.timestamp;
     position.updated_at_block = event.block.number;
     position.save();
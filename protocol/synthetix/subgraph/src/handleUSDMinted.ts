@@ -1,7 +1,15 @@
-import { UsdMinted } from './generated/CoreProxy/CoreProxy';
-import { Position } from './generated/schema';
+import { UsdMinted } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Position } from '../mainnet/generated/schema';
+import { newProtocolEvent } from './protocolEvent';
+import { updatePositionCollateralization } from './positionCollateralization';
 
 export function handleUSDMinted(event: UsdMinted): void {
+  const protocolEvent = newProtocolEvent(event, 'UsdMinted');
+  protocolEvent.account = event.params.accountId.toString();
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.collateral_type = event.params.collateralType.toHex();
+  protocolEvent.save();
+
   const position = Position.load(
     event.params.accountId
       .toString()
@@ -23,6 +31,8 @@ export function handleUSDMinted(event: UsdMinted): void {
     } else {
       position.net_issuance = event.params.amount.toBigDecimal();
     }
+    position.debt = position.debt.plus(event.params.amount.toBigDecimal());
+    updatePositionCollateralization(position);
     position.save();
   }
 }
@@ -1,7 +1,15 @@
-import { VaultLiquidation } from './generated/CoreProxy/CoreProxy';
-import { VaultLiquidation as VaultLiquidationEntity } from './generated/schema';
+import { VaultLiquidation } from '../mainnet/generated/CoreProxy/CoreProxy';
+import { Vault, VaultLiquidation as VaultLiquidationEntity } from '../mainnet/generated/schema';
+import { createVaultSnapshotByDay } from './vaultSnapshotByDay';
+import { createVaultSnapshotByWeek } from './vaultSnapshotByWeek';
+import { newProtocolEvent } from './protocolEvent';
 
 export function handleVaultLiquidation(event: VaultLiquidation): void {
+  const protocolEvent = newProtocolEvent(event, 'VaultLiquidation');
+  protocolEvent.pool = event.params.poolId.toString();
+  protocolEvent.collateral_type = event.params.collateralType.toHex();
+  protocolEvent.save();
+
   const newVaultLiquidation = new VaultLiquidationEntity(
     event.params.poolId
       .toString()
@@ -25,4 +33,19 @@ export function handleVaultLiquidation(event: VaultLiquidation): void {
   newVaultLiquidation.liquidate_as_account_id = event.params.liquidateAsAccountId.toString();
   newVaultLiquidation.sender = event.params.sender;
   newVaultLiquidation.save();
+
+  // Liquidated collateral is moved out of the vault to the liquidator account
+  const vault = Vault.load(
+    event.params.poolId.toString().concat('-').concat(event.params.collateralType.toHex())
+  );
+  if (vault !== null) {
+    vault.collateral_amount = vault.collateral_amount.minus(
+      event.params.liquidationData.collateralLiquidated.toBigDecimal()
+    );
+    vault.updated_at = event.block.timestamp;
+    vault.updated_at_block = event.block.number;
+    vault.save();
+    createVaultSnapshotByDay(vault);
+    createVaultSnapshotByWeek(vault);
+  }
 }
@@ -26,3 +26,8 @@ export * from './handleUSDMinted';
 export * from './handleVaultLiquidation';
 export * from './marketSnapshotByDay';
 export * from './marketSnapshotByWeek';
+export * from './positionSnapshotByDay';
+export * from './positionSnapshotByWeek';
+export * from './protocolEvent';
+export * from './vaultSnapshotByDay';
+export * from './vaultSnapshotByWeek';
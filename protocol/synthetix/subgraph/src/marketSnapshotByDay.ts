@@ -1,4 +1,4 @@
-import { Market, MarketSnapshotByDay } from './generated/schema';
+import { Market, MarketSnapshotByDay } from '../mainnet/generated/schema';
 import { BigInt, log } from '@graphprotocol/graph-ts';
 
 export function createMarketSnapshotByDay(marketWithLatestValues: Market): void {
@@ -1,5 +1,5 @@
 /* eslint-disable no-undef */
-import { Market, MarketSnapshotByWeek } from './generated/schema';
+import { Market, MarketSnapshotByWeek } from '../mainnet/generated/schema';
 import { getISOWeekNumber } from './getISOWeekNumber';
 import { BigInt } from '@graphprotocol/graph-ts';
 
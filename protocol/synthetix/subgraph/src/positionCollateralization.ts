@@ -0,0 +1,24 @@
+import { BigDecimal } from '@graphprotocol/graph-ts';
+import { CollateralType, Position } from '../mainnet/generated/schema';
+
+/**
+ * Recomputes the liquidation price of the position from its collateral amount and debt, and the
+ * liquidation ratio of its collateral type. The c-ratio at a given collateral price is
+ * `collateral_amount * price / debt`, so it falls under the liquidation ratio below
+ * `debt * liquidation_ratio / collateral_amount`. Prices are D18 like `liquidation_ratio`.
+ */
+export function updatePositionCollateralization(position: Position): void {
+  const collateralType = CollateralType.load(position.collateral_type);
+  if (
+    collateralType === null ||
+    position.debt.le(BigDecimal.zero()) ||
+    position.collateral_amount.le(BigDecimal.zero())
+  ) {
+    position.liquidation_price = null;
+    return;
+  }
+  position.liquidation_price = position.debt
+    .times(collateralType.liquidation_ratio)
+    .div(position.collateral_amount)
+    .truncate(0);
+}
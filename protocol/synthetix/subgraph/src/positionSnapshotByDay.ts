@@ -0,0 +1,33 @@
+import { Position, PositionSnapshotByDay } from '../mainnet/generated/schema';
+import { BigInt } from '@graphprotocol/graph-ts';
+
+export function createPositionSnapshotByDay(positionWithLatestValues: Position): void {
+  const date = new Date(<i64>parseInt(positionWithLatestValues.updated_at.toString()) * 1000);
+
+  const positionSnapshotId = positionWithLatestValues.id
+    .toString()
+    .concat('-')
+    .concat(date.toISOString().slice(0, 10));
+  let positionSnapshotByDay = PositionSnapshotByDay.load(positionSnapshotId);
+
+  if (!positionSnapshotByDay) {
+    // If we have two events in the same day update the data fields
+    positionSnapshotByDay = new PositionSnapshotByDay(positionSnapshotId);
+    positionSnapshotByDay.updates_in_period = new BigInt(0);
+    positionSnapshotByDay.position = positionWithLatestValues.id;
+    positionSnapshotByDay.account = positionWithLatestValues.account;
+    positionSnapshotByDay.pool = positionWithLatestValues.pool;
+    positionSnapshotByDay.collateral_type = positionWithLatestValues.collateral_type;
+    positionSnapshotByDay.created_at = positionWithLatestValues.created_at;
+    positionSnapshotByDay.created_at_block = positionWithLatestValues.created_at_block;
+  }
+  positionSnapshotByDay.collateral_amount = positionWithLatestValues.collateral_amount;
+  positionSnapshotByDay.leverage = positionWithLatestValues.leverage;
+  positionSnapshotByDay.updated_at = positionWithLatestValues.updated_at;
+  positionSnapshotByDay.updated_at_block = positionWithLatestValues.updated_at_block;
+  positionSnapshotByDay.updates_in_period = positionSnapshotByDay.updates_in_period.plus(
+    new BigInt(1)
+  );
+
+  positionSnapshotByDay.save();
+}
@@ -0,0 +1,41 @@
+/* eslint-disable no-undef */
+import { Position, PositionSnapshotByWeek } from '../mainnet/generated/schema';
+import { getISOWeekNumber } from './getISOWeekNumber';
+import { BigInt } from '@graphprotocol/graph-ts';
+
+export function createPositionSnapshotByWeek(positionWithLatestValues: Position): void {
+  const date = new Date(<i64>parseInt(positionWithLatestValues.updated_at.toString()) * 1000);
+
+  const week = getISOWeekNumber(date.getTime());
+
+  const year = date.toISOString().slice(0, 4);
+  const positionSnapshotId = positionWithLatestValues.id
+    .toString()
+    .concat('-week-')
+    .concat(year)
+    .concat('-')
+    .concat(week.toString());
+
+  let positionSnapshotByWeek = PositionSnapshotByWeek.load(positionSnapshotId);
+
+  if (!positionSnapshotByWeek) {
+    // If we have two events in the same week update the data fields
+    positionSnapshotByWeek = new PositionSnapshotByWeek(positionSnapshotId);
+    positionSnapshotByWeek.updates_in_period = new BigInt(0);
+    positionSnapshotByWeek.position = positionWithLatestValues.id;
+    positionSnapshotByWeek.account = positionWithLatestValues.account;
+    positionSnapshotByWeek.pool = positionWithLatestValues.pool;
+    positionSnapshotByWeek.collateral_type = positionWithLatestValues.collateral_type;
+    positionSnapshotByWeek.created_at = positionWithLatestValues.created_at;
+    positionSnapshotByWeek.created_at_block = positionWithLatestValues.created_at_block;
+  }
+  positionSnapshotByWeek.collateral_amount = positionWithLatestValues.collateral_amount;
+  positionSnapshotByWeek.leverage = positionWithLatestValues.leverage;
+  positionSnapshotByWeek.updated_at = positionWithLatestValues.updated_at;
+  positionSnapshotByWeek.updated_at_block = positionWithLatestValues.updated_at_block;
+  positionSnapshotByWeek.updates_in_period = positionSnapshotByWeek.updates_in_period.plus(
+    new BigInt(1)
+  );
+
+  positionSnapshotByWeek.save();
+}
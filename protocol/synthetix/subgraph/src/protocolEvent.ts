@@ -0,0 +1,67 @@
+import { ethereum } from '@graphprotocol/graph-ts';
+import { ProtocolEvent } from '../mainnet/generated/schema';
+
+function escape(value: string): string {
+  return value.replaceAll('\\', '\\\\').replaceAll('"', '\\"').replaceAll('\n', '\\n');
+}
+
+// Integers are kept as strings, they do not fit into JSON numbers
+function valueToJSON(value: ethereum.Value): string {
+  if (value.kind == ethereum.ValueKind.ADDRESS) {
+    return '"'.concat(value.toAddress().toHexString()).concat('"');
+  }
+  if (value.kind == ethereum.ValueKind.BYTES || value.kind == ethereum.ValueKind.FIXED_BYTES) {
+    return '"'.concat(value.toBytes().toHexString()).concat('"');
+  }
+  if (value.kind == ethereum.ValueKind.INT || value.kind == ethereum.ValueKind.UINT) {
+    return '"'.concat(value.toBigInt().toString()).concat('"');
+  }
+  if (value.kind == ethereum.ValueKind.BOOL) {
+    return value.toBoolean() ? 'true' : 'false';
+  }
+  if (value.kind == ethereum.ValueKind.STRING) {
+    return '"'.concat(escape(value.toString())).concat('"');
+  }
+  let items: Array<ethereum.Value> = [];
+  if (value.kind == ethereum.ValueKind.TUPLE) {
+    items = value.toTuple();
+  } else {
+    items = value.toArray();
+  }
+  const json: Array<string> = [];
+  for (let i = 0; i < items.length; i++) {
+    json.push(valueToJSON(items[i]));
+  }
+  return '['.concat(json.join(',')).concat(']');
+}
+
+/**
+ * Event parameters as a JSON object keyed by the parameter name, e.g. `{"accountId":"1"}`.
+ * Integers are decimal strings, addresses and bytes are hex strings, tuples and arrays are arrays.
+ */
+export function parametersToJSON(parameters: Array<ethereum.EventParam>): string {
+  const json: Array<string> = [];
+  for (let i = 0; i < parameters.length; i++) {
+    json.push(
+      '"'.concat(escape(parameters[i].name)).concat('":').concat(valueToJSON(parameters[i].value))
+    );
+  }
+  return '{'.concat(json.join(',')).concat('}');
+}
+
+/**
+ * Audit log record of the event, handlers set account/pool/market/collateral_type it touched
+ * and save it. Records are immutable, one per log.
+ */
+export function newProtocolEvent(event: ethereum.Event, name: string): ProtocolEvent {
+  const protocolEvent = new ProtocolEvent(
+    event.transaction.hash.toHex().concat('-').concat(event.logIndex.toString())
+  );
+  protocolEvent.name = name;
+  protocolEvent.transaction_hash = event.transaction.hash;
+  protocolEvent.log_index = event.logIndex;
+  protocolEvent.created_at = event.block.timestamp;
+  protocolEvent.created_at_block = event.block.number;
+  protocolEvent.payload = parametersToJSON(event.parameters);
+  return protocolEvent;
+}
@@ -0,0 +1,37 @@
+/* eslint-disable no-undef */
+import { Vault, VaultSnapshotByWeek } from '../mainnet/generated/schema';
+import { getISOWeekNumber } from './getISOWeekNumber';
+import { BigInt } from '@graphprotocol/graph-ts';
+
+export function createVaultSnapshotByWeek(vaultWithLatestValues: Vault): void {
+  const date = new Date(<i64>parseInt(vaultWithLatestValues.updated_at.toString()) * 1000);
+
+  const week = getISOWeekNumber(date.getTime());
+
+  const year = date.toISOString().slice(0, 4);
+  const vaultSnapshotId = vaultWithLatestValues.id
+    .toString()
+    .concat('-week-')
+    .concat(year)
+    .concat('-')
+    .concat(week.toString());
+
+  let vaultSnapshotByWeek = VaultSnapshotByWeek.load(vaultSnapshotId);
+
+  if (!vaultSnapshotByWeek) {
+    // If we have two events in the same week update the data fields
+    vaultSnapshotByWeek = new VaultSnapshotByWeek(vaultSnapshotId);
+    vaultSnapshotByWeek.updates_in_period = new BigInt(0);
+    vaultSnapshotByWeek.vault = vaultWithLatestValues.id;
+    vaultSnapshotByWeek.pool = vaultWithLatestValues.pool;
+    vaultSnapshotByWeek.collateral_type = vaultWithLatestValues.collateral_type;
+    vaultSnapshotByWeek.created_at = vaultWithLatestValues.created_at;
+    vaultSnapshotByWeek.created_at_block = vaultWithLatestValues.created_at_block;
+  }
+  vaultSnapshotByWeek.collateral_amount = vaultWithLatestValues.collateral_amount;
+  vaultSnapshotByWeek.updated_at = vaultWithLatestValues.updated_at;
+  vaultSnapshotByWeek.updated_at_block = vaultWithLatestValues.updated_at_block;
+  vaultSnapshotByWeek.updates_in_period = vaultSnapshotByWeek.updates_in_period.plus(new BigInt(1));
+
+  vaultSnapshotByWeek.save();
+}
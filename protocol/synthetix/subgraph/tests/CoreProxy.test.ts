@@ -12,6 +12,12 @@ import handleMarketWithdrawalsTest from './handleMarketWithdrawals';
 import getISOWeekNumberTest from './getISOWeekNumber';
 import marketSnapshotByDayTest from './marketSnapshotByDay';
 import marketSnapshotByWeekTest from './marketSnapshotByWeek';
+import positionSnapshotByDayTest from './positionSnapshotByDay';
+import positionSnapshotByWeekTest from './positionSnapshotByWeek';
+import positionCollateralizationTest from './positionCollateralization';
+import protocolEventTest from './protocolEvent';
+import vaultSnapshotByDayTest from './vaultSnapshotByDay';
+import vaultSnapshotByWeekTest from './vaultSnapshotByWeek';
 import handleNominatedPoolOwnerTest from './handleNominatedPoolOwner';
 import handlePermissionGrantedTest from './handlePermissionGranted';
 import handlePermissionRevokedTest from './handlePermissionRevoked';
@@ -48,6 +54,12 @@ describe('CoreProxy', () => {
   test('getISOWeekNumber', getISOWeekNumberTest);
   test('marketSnapshotByDay', marketSnapshotByDayTest);
   test('marketSnapshotByWeek', marketSnapshotByWeekTest);
+  test('positionSnapshotByDay', positionSnapshotByDayTest);
+  test('positionSnapshotByWeek', positionSnapshotByWeekTest);
+  test('positionCollateralization', positionCollateralizationTest);
+  test('protocolEvent', protocolEventTest);
+  test('vaultSnapshotByDay', vaultSnapshotByDayTest);
+  test('vaultSnapshotByWeek', vaultSnapshotByWeekTest);
   test('handleNominatedPoolOwner', handleNominatedPoolOwnerTest);
   test('handlePermissionGranted', handlePermissionGrantedTest);
   test('handlePermissionRevoked', handlePermissionRevokedTest);
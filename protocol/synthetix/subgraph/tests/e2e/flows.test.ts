@@ -0,0 +1,438 @@
+// THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+// Replays tests/e2e/fixtures/flows.json, run "yarn e2e:replay" to update
+
+import { Address, BigInt, Bytes, ethereum } from '@graphprotocol/graph-ts';
+import { assert, clearStore, describe, newTypedMockEvent, test } from 'matchstick-as';
+import {
+  PoolCreated as CoreProxyPoolCreated,
+  CollateralConfigured as CoreProxyCollateralConfigured,
+  AccountCreated as CoreProxyAccountCreated,
+  Deposited as CoreProxyDeposited,
+  DelegationUpdated as CoreProxyDelegationUpdated,
+  MarketRegistered as CoreProxyMarketRegistered,
+  UsdMinted as CoreProxyUsdMinted,
+  UsdBurned as CoreProxyUsdBurned,
+} from '../../mainnet/generated/CoreProxy/CoreProxy';
+import {
+  handlePoolCreated,
+  handleCollateralConfigured,
+  handleAccountCreated,
+  handleCollateralDeposited,
+  handleDelegationUpdated,
+  handleMarketCreated,
+  handleUSDMinted,
+  handleUSDBurned,
+} from '../../src';
+
+describe('flows', () => {
+  test('replays 9 recorded events', () => {
+    // CoreProxy PoolCreated(indexed uint128,indexed address,indexed address)
+    {
+      const event = newTypedMockEvent<CoreProxyPoolCreated>();
+      event.address = Address.fromString('0x5FbDB2315678afecb367f032d93F642f64180aa3');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x3ec07aa604681e93b0a88d246bc40451c831987371261d6d44f62b2b27cd1569'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(41);
+      event.block.timestamp = BigInt.fromI64(1700000002);
+      event.parameters.push(
+        new ethereum.EventParam('poolId', ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1')))
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'owner',
+          ethereum.Value.fromAddress(
+            Address.fromString('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266')
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sender',
+          ethereum.Value.fromAddress(
+            Address.fromString('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266')
+          )
+        )
+      );
+      handlePoolCreated(event);
+    }
+    // CoreProxy CollateralConfigured(indexed address,(bool,uint256,uint256,uint256,bytes32,address,uint256))
+    {
+      const event = newTypedMockEvent<CoreProxyCollateralConfigured>();
+      event.address = Address.fromString('0x5FbDB2315678afecb367f032d93F642f64180aa3');
+      event.transaction.hash = Bytes.fromHexString(
+        '0xb2bac72275a35facb0b5a95ef70be3014dc6902d0f01d046dd45ef2c543c8e53'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(42);
+      event.block.timestamp = BigInt.fromI64(1700000004);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'collateralType',
+          ethereum.Value.fromAddress(
+            Address.fromString('0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512')
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'config',
+          ethereum.Value.fromTuple(
+            changetype<ethereum.Tuple>([
+              ethereum.Value.fromBoolean(true),
+              ethereum.Value.fromUnsignedBigInt(BigInt.fromString('3000000000000000000')),
+              ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1500000000000000000')),
+              ethereum.Value.fromUnsignedBigInt(BigInt.fromString('20000000000000000000')),
+              ethereum.Value.fromFixedBytes(
+                Bytes.fromHexString(
+                  '0x3c5853631cd5fdedb93be34d1904717712f9d10fe9cedc08b5cea243c422f144'
+                )
+              ),
+              ethereum.Value.fromAddress(
+                Address.fromString('0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512')
+              ),
+              ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1000000000000000000')),
+            ])
+          )
+        )
+      );
+      handleCollateralConfigured(event);
+    }
+    // CoreProxy AccountCreated(indexed uint128,indexed address)
+    {
+      const event = newTypedMockEvent<CoreProxyAccountCreated>();
+      event.address = Address.fromString('0x5FbDB2315678afecb367f032d93F642f64180aa3');
+      event.transaction.hash = Bytes.fromHexString(
+        '0xcfda6d9f0f4f3451b66280c277d96ba1c787989a34b445e344b1219eb9c3ddec'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(43);
+      event.block.timestamp = BigInt.fromI64(1700000006);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'owner',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x70997970C51812dc3A010C7d01b50e0d17dc79C8')
+          )
+        )
+      );
+      handleAccountCreated(event);
+    }
+    // CoreProxy Deposited(indexed uint128,indexed address,uint256,indexed address)
+    {
+      const event = newTypedMockEvent<CoreProxyDeposited>();
+      event.address = Address.fromString('0x5FbDB2315678afecb367f032d93F642f64180aa3');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x1f7bea7d6c597258a00e3fc9f8ca36faf91d8aa109c0eb897084ba87ad8c0619'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(44);
+      event.block.timestamp = BigInt.fromI64(1700000008);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'collateralType',
+          ethereum.Value.fromAddress(
+            Address.fromString('0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512')
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'tokenAmount',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1000000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sender',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x70997970C51812dc3A010C7d01b50e0d17dc79C8')
+          )
+        )
+      );
+      handleCollateralDeposited(event);
+    }
+    // CoreProxy DelegationUpdated(indexed uint128,indexed uint128,address,uint256,uint256,indexed address)
+    {
+      const event = newTypedMockEvent<CoreProxyDelegationUpdated>();
+      event.address = Address.fromString('0x5FbDB2315678afecb367f032d93F642f64180aa3');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x5bf4f2019c6707899931b2695b42834b554591cc585e5332a2e70eebb3985c44'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(45);
+      event.block.timestamp = BigInt.fromI64(1700000010);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam('poolId', ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1')))
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'collateralType',
+          ethereum.Value.fromAddress(
+            Address.fromString('0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512')
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'amount',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1000000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'leverage',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sender',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x70997970C51812dc3A010C7d01b50e0d17dc79C8')
+          )
+        )
+      );
+      handleDelegationUpdated(event);
+    }
+    // CoreProxy MarketRegistered(indexed address,indexed uint128,indexed address)
+    {
+      const event = newTypedMockEvent<CoreProxyMarketRegistered>();
+      event.address = Address.fromString('0x5FbDB2315678afecb367f032d93F642f64180aa3');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x52953f25ca63c6aa8ef6b6936cf2287446ea737a2fa95f91265847f8ee59dc27'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(46);
+      event.block.timestamp = BigInt.fromI64(1700000012);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'market',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0')
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'marketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('2'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sender',
+          ethereum.Value.fromAddress(
+            Address.fromString('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266')
+          )
+        )
+      );
+      handleMarketCreated(event);
+    }
+    // CoreProxy MarketRegistered(indexed address,indexed uint128,indexed address)
+    {
+      const event = newTypedMockEvent<CoreProxyMarketRegistered>();
+      event.address = Address.fromString('0x5FbDB2315678afecb367f032d93F642f64180aa3');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x5c54b4283e7041a3b37c1d85ca6c53a96dd199a5d04322d126532a5b3c2fe9bb'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(47);
+      event.block.timestamp = BigInt.fromI64(1700000014);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'market',
+          ethereum.Value.fromAddress(
+            Address.fromString('0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9')
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'marketId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('3'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sender',
+          ethereum.Value.fromAddress(
+            Address.fromString('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266')
+          )
+        )
+      );
+      handleMarketCreated(event);
+    }
+    // CoreProxy UsdMinted(indexed uint128,indexed uint128,address,uint256,indexed address)
+    {
+      const event = newTypedMockEvent<CoreProxyUsdMinted>();
+      event.address = Address.fromString('0x5FbDB2315678afecb367f032d93F642f64180aa3');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x2d6dc47d67b8bb4edc9f7be3ff10944026537ed8079ad8800a4d4d30b878d0c3'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(48);
+      event.block.timestamp = BigInt.fromI64(1700000016);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam('poolId', ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1')))
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'collateralType',
+          ethereum.Value.fromAddress(
+            Address.fromString('0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512')
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'amount',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('100000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sender',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x70997970C51812dc3A010C7d01b50e0d17dc79C8')
+          )
+        )
+      );
+      handleUSDMinted(event);
+    }
+    // CoreProxy UsdBurned(indexed uint128,indexed uint128,address,uint256,indexed address)
+    {
+      const event = newTypedMockEvent<CoreProxyUsdBurned>();
+      event.address = Address.fromString('0x5FbDB2315678afecb367f032d93F642f64180aa3');
+      event.transaction.hash = Bytes.fromHexString(
+        '0x3c81b2010cc71c7eadd0f9e208757e0ddda83ce9aa7f58635d3c417cd0610cbb'
+      );
+      event.logIndex = BigInt.fromI32(0);
+      event.block.number = BigInt.fromI32(49);
+      event.block.timestamp = BigInt.fromI64(1700000018);
+      event.parameters.push(
+        new ethereum.EventParam(
+          'accountId',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam('poolId', ethereum.Value.fromUnsignedBigInt(BigInt.fromString('1')))
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'collateralType',
+          ethereum.Value.fromAddress(
+            Address.fromString('0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512')
+          )
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'amount',
+          ethereum.Value.fromUnsignedBigInt(BigInt.fromString('40000000000000000000'))
+        )
+      );
+      event.parameters.push(
+        new ethereum.EventParam(
+          'sender',
+          ethereum.Value.fromAddress(
+            Address.fromString('0x70997970C51812dc3A010C7d01b50e0d17dc79C8')
+          )
+        )
+      );
+      handleUSDBurned(event);
+    }
+    assert.entityCount('Account', 1);
+    assert.entityCount('Pool', 1);
+    assert.entityCount('CollateralType', 1);
+    assert.entityCount('Position', 1);
+    assert.entityCount('Vault', 1);
+    assert.entityCount('Market', 2);
+    assert.entityCount('ProtocolEvent', 9);
+    assert.fieldEquals('Account', '1', 'owner', '0x70997970c51812dc3a010c7d01b50e0d17dc79c8');
+    assert.fieldEquals('Pool', '1', 'owner', '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266');
+    assert.fieldEquals(
+      'CollateralType',
+      '0xe7f1725e7734ce288f8367e1bb143e90bb3f0512',
+      'liquidation_ratio',
+      '1500000000000000000'
+    );
+    assert.fieldEquals(
+      'CollateralType',
+      '0xe7f1725e7734ce288f8367e1bb143e90bb3f0512',
+      'total_amount_deposited',
+      '1000000000000000000000'
+    );
+    assert.fieldEquals(
+      'Position',
+      '1-1-0xe7f1725e7734ce288f8367e1bb143e90bb3f0512',
+      'collateral_amount',
+      '1000000000000000000000'
+    );
+    assert.fieldEquals(
+      'Position',
+      '1-1-0xe7f1725e7734ce288f8367e1bb143e90bb3f0512',
+      'debt',
+      '60000000000000000000'
+    );
+    assert.fieldEquals(
+      'Position',
+      '1-1-0xe7f1725e7734ce288f8367e1bb143e90bb3f0512',
+      'liquidation_price',
+      '90000000000000000'
+    );
+    assert.fieldEquals(
+      'Position',
+      '1-1-0xe7f1725e7734ce288f8367e1bb143e90bb3f0512',
+      'total_minted',
+      '100000000000000000000'
+    );
+    assert.fieldEquals(
+      'Position',
+      '1-1-0xe7f1725e7734ce288f8367e1bb143e90bb3f0512',
+      'total_burned',
+      '40000000000000000000'
+    );
+    assert.fieldEquals(
+      'Position',
+      '1-1-0xe7f1725e7734ce288f8367e1bb143e90bb3f0512',
+      'net_issuance',
+      '60000000000000000000'
+    );
+    assert.fieldEquals(
+      'Vault',
+      '1-0xe7f1725e7734ce288f8367e1bb143e90bb3f0512',
+      'collateral_amount',
+      '1000000000000000000000'
+    );
+    assert.fieldEquals('Market', '2', 'address', '0x9fe46736679d2d9a65f0992f2272de9f3c7fa6e0');
+    assert.fieldEquals('Market', '3', 'address', '0xcf7ed3acca5a467e9e704c703e8d87f634fb0fc9');
+    clearStore();
+  });
+});
@@ -430,7 +430,7 @@ export function createRewardsDistributorRegisteredEvent(
     new ethereum.EventParam('collateralType', ethereum.Value.fromAddress(collateralType))
   );
   newRewardsDistributorRegisteredEvent.parameters.push(
-    new ethereum.EventParam('amount', ethereum.Value.fromAddress(distributor))
+    new ethereum.EventParam('distributor', ethereum.Value.fromAddress(distributor))
   );
   newRewardsDistributorRegisteredEvent.block.timestamp = BigInt.fromI64(block['timestamp']);
   newRewardsDistributorRegisteredEvent.block.number = BigInt.fromI64(block['blockNumber']);
@@ -1,5 +1,5 @@
 import { log, assert } from 'matchstick-as';
-import { getISOWeekNumber } from '../mainnet';
+import { getISOWeekNumber } from '../src';
 
 export default function test(): void {
   const date = Date.parse('2022-01-01T00:00:00.000Z');
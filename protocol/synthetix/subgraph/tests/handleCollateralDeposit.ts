@@ -1,8 +1,18 @@
 import { assert } from 'matchstick-as';
 import { Address, BigInt, Bytes } from '@graphprotocol/graph-ts';
 import { address, address2 } from './constants';
-import { handleCollateralConfigured, handleCollateralDeposited } from '../mainnet';
-import { createCollateralConfiguredEvent, createDepositEvent } from './event-factories';
+import {
+  handleAccountCreated,
+  handleCollateralConfigured,
+  handleCollateralDeposited,
+  handleDelegationUpdated,
+} from '../src';
+import {
+  createAccountCreatedEvent,
+  createCollateralConfiguredEvent,
+  createDelegationUpdateEvent,
+  createDepositEvent,
+} from './event-factories';
 
 export default function test(): void {
   // Needs to be here because of Closures
@@ -37,4 +47,52 @@ export default function test(): void {
   handleCollateralDeposited(newCollateralDepositEvent);
   assert.fieldEquals('CollateralType', address, 'total_amount_deposited', '1110');
   assert.notInStore('CollateralType', address2);
+
+  // deposits snapshot the positions of the account with the same collateral type
+  const timestamp = 1640998800; // 2022-01-01T01:00:00.000Z;
+  const oneDay = 24 * 60 * 60;
+  handleAccountCreated(createAccountCreatedEvent(23, address2, timestamp, 10));
+  handleDelegationUpdated(
+    createDelegationUpdateEvent(
+      BigInt.fromI32(23),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(100),
+      BigInt.fromI32(1),
+      timestamp,
+      11
+    )
+  );
+  handleDelegationUpdated(
+    createDelegationUpdateEvent(
+      BigInt.fromI32(23),
+      BigInt.fromI32(2),
+      Address.fromString(address2),
+      BigInt.fromI32(100),
+      BigInt.fromI32(1),
+      timestamp,
+      11
+    )
+  );
+  assert.fieldEquals('Account', '23', 'positions', `[23-1-${address}, 23-2-${address2}]`);
+
+  handleCollateralDeposited(
+    createDepositEvent(23, Address.fromString(address), BigInt.fromI32(50), timestamp + oneDay, 12)
+  );
+  assert.fieldEquals('Position', `23-1-${address}`, 'collateral_amount', '100');
+  assert.fieldEquals('Position', `23-1-${address}`, 'updated_at', `${timestamp + oneDay}`);
+  assert.fieldEquals(
+    'PositionSnapshotByDay',
+    `23-1-${address}-2022-01-02`,
+    'updates_in_period',
+    '1'
+  );
+  assert.fieldEquals(
+    'PositionSnapshotByDay',
+    `23-1-${address}-2022-01-02`,
+    'collateral_amount',
+    '100'
+  );
+  assert.fieldEquals('Position', `23-2-${address2}`, 'updated_at', `${timestamp}`);
+  assert.notInStore('PositionSnapshotByDay', `23-2-${address2}-2022-01-02`);
 }
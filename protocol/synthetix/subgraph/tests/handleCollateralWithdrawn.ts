@@ -5,7 +5,7 @@ import {
   handleCollateralConfigured,
   handleCollateralDeposited,
   handleCollateralWithdrawn,
-} from '../mainnet';
+} from '../src';
 import {
   createCollateralConfiguredEvent,
   createDepositEvent,
@@ -1,7 +1,7 @@
-import { assert, createMockedFunction } from 'matchstick-as';
-import { Address, BigInt, ethereum } from '@graphprotocol/graph-ts';
-import { address, defaultGraphContractAddress } from './constants';
-import { handleDelegationUpdated } from '../mainnet';
+import { assert } from 'matchstick-as';
+import { Address, BigInt, store } from '@graphprotocol/graph-ts';
+import { address } from './constants';
+import { handleDelegationUpdated } from '../src';
 import { createDelegationUpdateEvent } from './event-factories';
 
 export default function test(): void {
@@ -16,17 +16,6 @@ export default function test(): void {
     now,
     now - 1000
   );
-  createMockedFunction(
-    Address.fromString(defaultGraphContractAddress),
-    'getPositionCollateralizationRatio',
-    'getPositionCollateralizationRatio(uint128,uint128,address):(uint256)'
-  )
-    .withArgs([
-      ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(1)),
-      ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(1)),
-      ethereum.Value.fromAddress(Address.fromString(address)),
-    ])
-    .returns([ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(200))]);
   handleDelegationUpdated(newDelegationUpdatedEvent);
   assert.fieldEquals('Position', `1-1-${address}`, 'id', `1-1-${address}`);
   assert.fieldEquals('Position', `1-1-${address}`, 'created_at', now.toString());
@@ -34,7 +23,8 @@ export default function test(): void {
   assert.fieldEquals('Position', `1-1-${address}`, 'collateral_amount', '2323');
   assert.fieldEquals('Position', `1-1-${address}`, 'updated_at', now.toString());
   assert.fieldEquals('Position', `1-1-${address}`, 'updated_at_block', (now - 1000).toString());
-  // assert.fieldEquals('Position', `1-1-${address}`, 'c_ratio', '200');
+  assert.fieldEquals('Position', `1-1-${address}`, 'debt', '0');
+  assert.assertNull(store.get('Position', `1-1-${address}`)!.get('liquidation_price'));
   assert.fieldEquals('Position', `1-1-${address}`, 'leverage', '10');
   assert.fieldEquals('Position', `1-1-${address}`, 'pool', '1');
   assert.fieldEquals('Position', `1-1-${address}`, 'collateral_type', address);
@@ -61,5 +51,35 @@ export default function test(): void {
   assert.fieldEquals('Position', `1-1-${address}`, 'collateral_amount', '10000');
   assert.fieldEquals('Vault', `1-${address}`, 'updated_at', (now + 1000).toString());
   assert.fieldEquals('Vault', `1-${address}`, 'updated_at_block', now.toString());
-  assert.fieldEquals('Vault', `1-${address}`, 'collateral_amount', '-5354');
+  assert.fieldEquals('Vault', `1-${address}`, 'collateral_amount', '10000');
+
+  // a new position delegating into the existing vault adds all of its collateral
+  handleDelegationUpdated(
+    createDelegationUpdateEvent(
+      BigInt.fromI32(2),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(500),
+      BigInt.fromI32(1),
+      now + 2000,
+      now + 1000
+    )
+  );
+  assert.fieldEquals('Position', `2-1-${address}`, 'collateral_amount', '500');
+  assert.fieldEquals('Vault', `1-${address}`, 'collateral_amount', '10500');
+
+  // undelegating only removes the collateral of the position
+  handleDelegationUpdated(
+    createDelegationUpdateEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(4000),
+      BigInt.fromI32(10),
+      now + 3000,
+      now + 2000
+    )
+  );
+  assert.fieldEquals('Position', `1-1-${address}`, 'collateral_amount', '4000');
+  assert.fieldEquals('Vault', `1-${address}`, 'collateral_amount', '4500');
 }
@@ -1,5 +1,5 @@
 import { assert, log } from 'matchstick-as';
-import { handleMarketCreated } from '../mainnet';
+import { handleMarketCreated } from '../src';
 import { createMarketRegisteredEvent } from './event-factories/createMarketRegisteredEvent';
 
 export default function test(): void {
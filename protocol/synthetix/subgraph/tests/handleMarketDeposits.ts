@@ -1,5 +1,5 @@
 import { log, assert } from 'matchstick-as';
-import { handleMarketCreated, handleMarketUsdDeposited } from '../mainnet';
+import { handleMarketCreated, handleMarketUsdDeposited } from '../src';
 import { createMarketRegisteredEvent } from './event-factories/createMarketRegisteredEvent';
 import { createMarketUsdDepositedEvent } from './event-factories/createMarketUsdDepositedEvent';
 
@@ -1,9 +1,5 @@
 import { assert, log } from 'matchstick-as';
-import {
-  handleMarketCreated,
-  handleMarketUsdDeposited,
-  handleMarketUsdWithdrawn,
-} from '../mainnet';
+import { handleMarketCreated, handleMarketUsdDeposited, handleMarketUsdWithdrawn } from '../src';
 import { createMarketRegisteredEvent } from './event-factories/createMarketRegisteredEvent';
 import { createMarketUsdDepositedEvent } from './event-factories/createMarketUsdDepositedEvent';
 import { createMarketUsdWithdrawnEvent } from './event-factories/createMarketUsdWithdrawnEvent';
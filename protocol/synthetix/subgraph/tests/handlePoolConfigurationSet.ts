@@ -1,6 +1,6 @@
 import { assert } from 'matchstick-as';
 import { ethereum, store } from '@graphprotocol/graph-ts';
-import { handleMarketCreated, handlePoolConfigurationSet, handlePoolCreated } from '../mainnet';
+import { handleMarketCreated, handlePoolConfigurationSet, handlePoolCreated } from '../src';
 import { createPoolConfigurationSetEvent, createPoolCreatedEvent } from './event-factories';
 import { createMarketRegisteredEvent } from './event-factories/createMarketRegisteredEvent';
 
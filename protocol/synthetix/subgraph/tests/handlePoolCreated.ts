@@ -1,7 +1,7 @@
 import { assert } from 'matchstick-as';
 import { store } from '@graphprotocol/graph-ts';
 import { address } from './constants';
-import { handlePoolCreated } from '../mainnet';
+import { handlePoolCreated } from '../src';
 import { createPoolCreatedEvent } from './event-factories';
 
 export default function test(): void {
@@ -1,11 +1,7 @@
 import { assert } from 'matchstick-as';
 import { store } from '@graphprotocol/graph-ts';
 import { address, address2 } from './constants';
-import {
-  handlePoolCreated,
-  handlePoolNominationRenounced,
-  handlePoolOwnerNominated,
-} from '../mainnet';
+import { handlePoolCreated, handlePoolNominationRenounced, handlePoolOwnerNominated } from '../src';
 import {
   createPoolCreatedEvent,
   createPoolOwnerNominatedEvent,
@@ -1,11 +1,7 @@
 import { assert } from 'matchstick-as';
 import { store } from '@graphprotocol/graph-ts';
 import { address, address2 } from './constants';
-import {
-  handlePoolCreated,
-  handlePoolNominationRevoked,
-  handlePoolOwnerNominated,
-} from '../mainnet';
+import { handlePoolCreated, handlePoolNominationRevoked, handlePoolOwnerNominated } from '../src';
 import {
   createPoolCreatedEvent,
   createPoolNominationRevokedEvent,
@@ -1,11 +1,7 @@
 import { assert } from 'matchstick-as';
 import { store } from '@graphprotocol/graph-ts';
 import { address, address2 } from './constants';
-import {
-  handlePoolCreated,
-  handlePoolOwnerNominated,
-  handlePoolOwnershipAccepted,
-} from '../mainnet';
+import { handlePoolCreated, handlePoolOwnerNominated, handlePoolOwnershipAccepted } from '../src';
 import {
   createPoolCreatedEvent,
   createPoolOwnerNominatedEvent,
@@ -6,7 +6,7 @@ import {
   handleRewardsDistributed,
   handleRewardsDistributorRegistered,
   handlePoolCreated,
-} from '../mainnet';
+} from '../src';
 import {
   createRewardsClaimedEvent,
   createRewardsDistributedEvent,
@@ -6,7 +6,7 @@ import {
   handleRewardsDistributorRegistered,
   handlePoolCreated,
   handleRewardsDistributorRemoved,
-} from '../mainnet';
+} from '../src';
 import {
   createRewardsDistributedEvent,
   createRewardsDistributorRegisteredEvent,
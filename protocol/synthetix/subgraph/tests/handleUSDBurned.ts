@@ -1,7 +1,7 @@
-import { assert, createMockedFunction } from 'matchstick-as';
-import { Address, BigInt, ethereum } from '@graphprotocol/graph-ts';
-import { address, defaultGraphContractAddress } from './constants';
-import { handleDelegationUpdated, handleUSDBurned, handleUSDMinted } from '../mainnet';
+import { assert } from 'matchstick-as';
+import { Address, BigInt, store } from '@graphprotocol/graph-ts';
+import { address } from './constants';
+import { handleDelegationUpdated, handleUSDBurned, handleUSDMinted } from '../src';
 import {
   createDelegationUpdateEvent,
   createUSDBurnedEvent,
@@ -20,17 +20,6 @@ export default function test(): void {
     now,
     now - 1000
   );
-  createMockedFunction(
-    Address.fromString(defaultGraphContractAddress),
-    'getPositionCollateralizationRatio',
-    'getPositionCollateralizationRatio(uint128,uint128,address):(uint256)'
-  )
-    .withArgs([
-      ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(1)),
-      ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(1)),
-      ethereum.Value.fromAddress(Address.fromString(address)),
-    ])
-    .returns([ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(200))]);
   handleDelegationUpdated(newDelegationUpdatedEvent);
   const newUSDMintedEvent = createUSDMintedEvent(
     BigInt.fromI32(1),
@@ -56,7 +45,8 @@ export default function test(): void {
   assert.fieldEquals('Position', `1-1-${address}`, 'collateral_amount', '2323');
   assert.fieldEquals('Position', `1-1-${address}`, 'updated_at', (now + 1000).toString());
   assert.fieldEquals('Position', `1-1-${address}`, 'updated_at_block', now.toString());
-  // assert.fieldEquals('Position', `1-1-${address}`, 'c_ratio', '200');
+  assert.fieldEquals('Position', `1-1-${address}`, 'debt', '0');
+  assert.assertNull(store.get('Position', `1-1-${address}`)!.get('liquidation_price'));
   assert.fieldEquals('Position', `1-1-${address}`, 'leverage', '10');
   assert.fieldEquals('Position', `1-1-${address}`, 'total_burned', '2000');
   assert.fieldEquals('Position', `1-1-${address}`, 'net_issuance', '0');
@@ -0,0 +1,110 @@
+import { assert } from 'matchstick-as';
+import { Address, BigInt, Bytes, store } from '@graphprotocol/graph-ts';
+import { address, address2 } from './constants';
+import {
+  handleCollateralConfigured,
+  handleDelegationUpdated,
+  handleLiquidation,
+  handleUSDBurned,
+  handleUSDMinted,
+} from '../src';
+import {
+  createCollateralConfiguredEvent,
+  createDelegationUpdateEvent,
+  createLiquidationEvent,
+  createUSDBurnedEvent,
+  createUSDMintedEvent,
+} from './event-factories';
+
+export default function test(): void {
+  const positionId = `1-1-${address}`;
+  const timestamp = 1640998800; // 2022-01-01T01:00:00.000Z;
+
+  // liquidation ratio of 150%
+  handleCollateralConfigured(
+    createCollateralConfiguredEvent(
+      Address.fromString(address),
+      true,
+      BigInt.fromString('3000000000000000000'),
+      BigInt.fromString('1500000000000000000'),
+      BigInt.fromI32(10),
+      Bytes.fromByteArray(Bytes.fromBigInt(BigInt.fromI32(10))),
+      BigInt.fromI32(1),
+      timestamp,
+      9
+    )
+  );
+  handleDelegationUpdated(
+    createDelegationUpdateEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(1000),
+      BigInt.fromI32(1),
+      timestamp,
+      10
+    )
+  );
+  assert.fieldEquals('Position', positionId, 'debt', '0');
+  assert.assertNull(store.get('Position', positionId)!.get('liquidation_price'));
+
+  handleUSDMinted(
+    createUSDMintedEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(1000),
+      timestamp + 1,
+      11
+    )
+  );
+  assert.fieldEquals('Position', positionId, 'debt', '1000');
+  // 1000 * 1.5 / 1000
+  assert.fieldEquals('Position', positionId, 'liquidation_price', '1500000000000000000');
+
+  handleUSDBurned(
+    createUSDBurnedEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(200),
+      timestamp + 2,
+      12
+    )
+  );
+  assert.fieldEquals('Position', positionId, 'debt', '800');
+  // 800 * 1.5 / 1000
+  assert.fieldEquals('Position', positionId, 'liquidation_price', '1200000000000000000');
+
+  handleDelegationUpdated(
+    createDelegationUpdateEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(2000),
+      BigInt.fromI32(1),
+      timestamp + 3,
+      13
+    )
+  );
+  assert.fieldEquals('Position', positionId, 'debt', '800');
+  // 800 * 1.5 / 2000
+  assert.fieldEquals('Position', positionId, 'liquidation_price', '600000000000000000');
+
+  handleLiquidation(
+    createLiquidationEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(800),
+      BigInt.fromI32(2000),
+      BigInt.fromI32(10),
+      BigInt.fromI32(2),
+      Address.fromString(address2),
+      timestamp + 4,
+      14
+    )
+  );
+  assert.fieldEquals('Position', positionId, 'debt', '0');
+  assert.assertNull(store.get('Position', positionId)!.get('liquidation_price'));
+}
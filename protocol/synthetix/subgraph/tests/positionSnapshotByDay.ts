@@ -0,0 +1,80 @@
+import { assert } from 'matchstick-as';
+import { Address, BigInt } from '@graphprotocol/graph-ts';
+import { address, address2 } from './constants';
+import { handleDelegationUpdated, handleLiquidation } from '../src';
+import { createDelegationUpdateEvent, createLiquidationEvent } from './event-factories';
+
+export default function test(): void {
+  assert.entityCount('Position', 0);
+  assert.entityCount('PositionSnapshotByDay', 0);
+
+  const timestamp = 1640998800; // 2022-01-01T01:00:00.000Z;
+  const oneHour = 60 * 60;
+  const oneDay = 24 * oneHour;
+  const blockNumber = 10;
+
+  handleDelegationUpdated(
+    createDelegationUpdateEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(100),
+      BigInt.fromI32(1),
+      timestamp,
+      blockNumber
+    )
+  );
+  handleDelegationUpdated(
+    createDelegationUpdateEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(200),
+      BigInt.fromI32(2),
+      timestamp + oneHour,
+      blockNumber + 1
+    )
+  );
+
+  const snapshotId = `1-1-${address}-2022-01-01`;
+  assert.entityCount('PositionSnapshotByDay', 1);
+  assert.fieldEquals('PositionSnapshotByDay', snapshotId, 'position', `1-1-${address}`);
+  assert.fieldEquals('PositionSnapshotByDay', snapshotId, 'account', '1');
+  assert.fieldEquals('PositionSnapshotByDay', snapshotId, 'pool', '1');
+  assert.fieldEquals('PositionSnapshotByDay', snapshotId, 'collateral_type', address);
+  assert.fieldEquals('PositionSnapshotByDay', snapshotId, 'collateral_amount', '200');
+  assert.fieldEquals('PositionSnapshotByDay', snapshotId, 'leverage', '2');
+  assert.fieldEquals('PositionSnapshotByDay', snapshotId, 'updates_in_period', '2');
+  assert.fieldEquals('PositionSnapshotByDay', snapshotId, 'created_at', `${timestamp}`);
+  assert.fieldEquals('PositionSnapshotByDay', snapshotId, 'updated_at', `${timestamp + oneHour}`);
+
+  handleLiquidation(
+    createLiquidationEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(300),
+      BigInt.fromI32(200),
+      BigInt.fromI32(10),
+      BigInt.fromI32(2),
+      Address.fromString(address2),
+      timestamp + oneDay,
+      blockNumber + 2
+    )
+  );
+
+  assert.entityCount('PositionSnapshotByDay', 2);
+  assert.fieldEquals('PositionSnapshotByDay', snapshotId, 'collateral_amount', '200');
+  assert.fieldEquals(
+    'PositionSnapshotByDay',
+    `1-1-${address}-2022-01-02`,
+    'collateral_amount',
+    '0'
+  );
+  assert.fieldEquals(
+    'PositionSnapshotByDay',
+    `1-1-${address}-2022-01-02`,
+    'updates_in_period',
+    '1'
+  );
+}
@@ -0,0 +1,85 @@
+import { assert } from 'matchstick-as';
+import { Address, BigInt } from '@graphprotocol/graph-ts';
+import { address } from './constants';
+import { handleDelegationUpdated } from '../src';
+import { createDelegationUpdateEvent } from './event-factories';
+
+export default function test(): void {
+  assert.entityCount('Position', 0);
+  assert.entityCount('PositionSnapshotByWeek', 0);
+
+  const timestamp = 1640998800; // 2022-01-01T01:00:00.000Z;
+  const oneDay = 24 * 60 * 60;
+  const oneWeek = 7 * oneDay;
+  const blockNumber = 10;
+
+  handleDelegationUpdated(
+    createDelegationUpdateEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(100),
+      BigInt.fromI32(1),
+      timestamp,
+      blockNumber
+    )
+  );
+  handleDelegationUpdated(
+    createDelegationUpdateEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(150),
+      BigInt.fromI32(1),
+      timestamp + oneDay,
+      blockNumber + 1
+    )
+  );
+
+  assert.entityCount('PositionSnapshotByWeek', 1);
+  assert.fieldEquals(
+    'PositionSnapshotByWeek',
+    `1-1-${address}-week-2022-0`,
+    'collateral_amount',
+    '150'
+  );
+  assert.fieldEquals(
+    'PositionSnapshotByWeek',
+    `1-1-${address}-week-2022-0`,
+    'updates_in_period',
+    '2'
+  );
+
+  handleDelegationUpdated(
+    createDelegationUpdateEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(50),
+      BigInt.fromI32(3),
+      timestamp + oneWeek,
+      blockNumber + 2
+    )
+  );
+
+  assert.entityCount('PositionSnapshotByWeek', 2);
+  assert.fieldEquals(
+    'PositionSnapshotByWeek',
+    `1-1-${address}-week-2022-0`,
+    'collateral_amount',
+    '150'
+  );
+  assert.fieldEquals(
+    'PositionSnapshotByWeek',
+    `1-1-${address}-week-2022-1`,
+    'collateral_amount',
+    '50'
+  );
+  assert.fieldEquals('PositionSnapshotByWeek', `1-1-${address}-week-2022-1`, 'leverage', '3');
+  assert.fieldEquals(
+    'PositionSnapshotByWeek',
+    `1-1-${address}-week-2022-1`,
+    'updates_in_period',
+    '1'
+  );
+}
@@ -0,0 +1,574 @@
+import { assert } from 'matchstick-as';
+import { Address, BigInt, Bytes, ethereum, store } from '@graphprotocol/graph-ts';
+import { address, address2 } from './constants';
+import {
+  handleAccountCreated,
+  handleCollateralConfigured,
+  handleCollateralDeposited,
+  handleCollateralWithdrawn,
+  handleDelegationUpdated,
+  handleLiquidation,
+  handleMarketCreated,
+  handleMarketUsdDeposited,
+  handleMarketUsdWithdrawn,
+  handlePermissionGranted,
+  handlePermissionRevoked,
+  handlePoolConfigurationSet,
+  handlePoolCreated,
+  handlePoolNameUpdated,
+  handlePoolNominationRenounced,
+  handlePoolNominationRevoked,
+  handlePoolOwnerNominated,
+  handlePoolOwnershipAccepted,
+  handleRewardsClaimed,
+  handleRewardsDistributed,
+  handleRewardsDistributorRegistered,
+  handleRewardsDistributorRemoved,
+  handleUSDBurned,
+  handleUSDMinted,
+  handleVaultLiquidation,
+} from '../src';
+import {
+  createAccountCreatedEvent,
+  createCollateralConfiguredEvent,
+  createDelegationUpdateEvent,
+  createDepositEvent,
+  createLiquidationEvent,
+  createPermissionGrantedEvent,
+  createPermissionRevokedEvent,
+  createPoolConfigurationSetEvent,
+  createPoolCreatedEvent,
+  createPoolNameUpdatedEvent,
+  createPoolNominationRevokedEvent,
+  createPoolOwnerNominatedEvent,
+  createPoolOwnershipAcceptedEvent,
+  createPoolOwnershipRenouncedEvent,
+  createRewardsClaimedEvent,
+  createRewardsDistributedEvent,
+  createRewardsDistributorRegisteredEvent,
+  createRewardsDistributorRemovedEvent,
+  createUSDBurnedEvent,
+  createUSDMintedEvent,
+  createVaultLiquidationEvent,
+  createWithdrawnEvent,
+} from './event-factories';
+import { createMarketRegisteredEvent } from './event-factories/createMarketRegisteredEvent';
+import { createMarketUsdDepositedEvent } from './event-factories/createMarketUsdDepositedEvent';
+import { createMarketUsdWithdrawnEvent } from './event-factories/createMarketUsdWithdrawnEvent';
+
+const timestamp = 1640998800; // 2022-01-01T01:00:00.000Z;
+const blockNumber = 10;
+
+function assertRelation(id: string, field: string, value: string | null): void {
+  if (value === null) {
+    assert.assertNull(store.get('ProtocolEvent', id)!.get(field));
+  } else {
+    assert.fieldEquals('ProtocolEvent', id, field, value);
+  }
+}
+
+function assertProtocolEvent(
+  event: ethereum.Event,
+  name: string,
+  account: string | null,
+  pool: string | null,
+  market: string | null,
+  collateralType: string | null,
+  payload: string
+): void {
+  const id = event.transaction.hash.toHex().concat('-').concat(event.logIndex.toString());
+  assert.fieldEquals('ProtocolEvent', id, 'name', name);
+  assert.fieldEquals('ProtocolEvent', id, 'transaction_hash', event.transaction.hash.toHex());
+  assert.fieldEquals('ProtocolEvent', id, 'log_index', event.logIndex.toString());
+  assert.fieldEquals('ProtocolEvent', id, 'created_at', `${timestamp}`);
+  assert.fieldEquals('ProtocolEvent', id, 'created_at_block', `${blockNumber}`);
+  assertRelation(id, 'account', account);
+  assertRelation(id, 'pool', pool);
+  assertRelation(id, 'market', market);
+  assertRelation(id, 'collateral_type', collateralType);
+  assert.fieldEquals('ProtocolEvent', id, 'payload', payload);
+}
+
+export default function test(): void {
+  assert.entityCount('ProtocolEvent', 0);
+
+  const permission = Bytes.fromHexString('0x41444d494e'); // "ADMIN"
+
+  // Accounts
+  const accountCreatedEvent = createAccountCreatedEvent(1, address, timestamp, blockNumber);
+  accountCreatedEvent.logIndex = BigInt.fromI32(1);
+  handleAccountCreated(accountCreatedEvent);
+  assert.entityCount('ProtocolEvent', 1);
+  assertProtocolEvent(
+    accountCreatedEvent,
+    'AccountCreated',
+    '1',
+    null,
+    null,
+    null,
+    `{"accountId":"1","owner":"${address}"}`
+  );
+
+  const permissionGrantedEvent = createPermissionGrantedEvent(
+    1,
+    Address.fromString(address2),
+    permission,
+    timestamp,
+    blockNumber
+  );
+  permissionGrantedEvent.logIndex = BigInt.fromI32(2);
+  handlePermissionGranted(permissionGrantedEvent);
+  assertProtocolEvent(
+    permissionGrantedEvent,
+    'PermissionGranted',
+    '1',
+    null,
+    null,
+    null,
+    `{"accountId":"1","permissions":"0x41444d494e","user":"${address2}"}`
+  );
+
+  const permissionRevokedEvent = createPermissionRevokedEvent(
+    1,
+    Address.fromString(address2),
+    permission,
+    timestamp,
+    blockNumber
+  );
+  permissionRevokedEvent.logIndex = BigInt.fromI32(3);
+  handlePermissionRevoked(permissionRevokedEvent);
+  assertProtocolEvent(
+    permissionRevokedEvent,
+    'PermissionRevoked',
+    '1',
+    null,
+    null,
+    null,
+    `{"accountId":"1","permissions":"0x41444d494e","user":"${address2}"}`
+  );
+
+  // Pools
+  const poolCreatedEvent = createPoolCreatedEvent(1, address, timestamp, blockNumber);
+  poolCreatedEvent.logIndex = BigInt.fromI32(4);
+  handlePoolCreated(poolCreatedEvent);
+  assertProtocolEvent(
+    poolCreatedEvent,
+    'PoolCreated',
+    null,
+    '1',
+    null,
+    null,
+    `{"id":"1","owner":"${address}"}`
+  );
+
+  const poolNameUpdatedEvent = createPoolNameUpdatedEvent(
+    1,
+    'Spartan "Council"',
+    timestamp,
+    blockNumber
+  );
+  poolNameUpdatedEvent.logIndex = BigInt.fromI32(5);
+  handlePoolNameUpdated(poolNameUpdatedEvent);
+  assertProtocolEvent(
+    poolNameUpdatedEvent,
+    'PoolNameUpdated',
+    null,
+    '1',
+    null,
+    null,
+    '{"poolId":"1","name":"Spartan \\"Council\\""}'
+  );
+
+  const poolOwnerNominatedEvent = createPoolOwnerNominatedEvent(
+    1,
+    address2,
+    address,
+    timestamp,
+    blockNumber
+  );
+  poolOwnerNominatedEvent.logIndex = BigInt.fromI32(6);
+  handlePoolOwnerNominated(poolOwnerNominatedEvent);
+  assertProtocolEvent(
+    poolOwnerNominatedEvent,
+    'PoolOwnerNominated',
+    null,
+    '1',
+    null,
+    null,
+    `{"id":"1","nominatedOwner":"${address2}","owner":"${address}"}`
+  );
+
+  const poolOwnershipAcceptedEvent = createPoolOwnershipAcceptedEvent(
+    1,
+    address2,
+    timestamp,
+    blockNumber
+  );
+  poolOwnershipAcceptedEvent.logIndex = BigInt.fromI32(7);
+  handlePoolOwnershipAccepted(poolOwnershipAcceptedEvent);
+  assertProtocolEvent(
+    poolOwnershipAcceptedEvent,
+    'PoolOwnershipAccepted',
+    null,
+    '1',
+    null,
+    null,
+    `{"poolId":"1","owner":"${address2}"}`
+  );
+
+  const poolNominationRevokedEvent = createPoolNominationRevokedEvent(1, timestamp, blockNumber);
+  poolNominationRevokedEvent.logIndex = BigInt.fromI32(8);
+  handlePoolNominationRevoked(poolNominationRevokedEvent);
+  assertProtocolEvent(
+    poolNominationRevokedEvent,
+    'PoolNominationRevoked',
+    null,
+    '1',
+    null,
+    null,
+    '{"poolId":"1"}'
+  );
+
+  const poolNominationRenouncedEvent = createPoolOwnershipRenouncedEvent(1, timestamp, blockNumber);
+  poolNominationRenouncedEvent.logIndex = BigInt.fromI32(9);
+  handlePoolNominationRenounced(poolNominationRenouncedEvent);
+  assertProtocolEvent(
+    poolNominationRenouncedEvent,
+    'PoolNominationRenounced',
+    null,
+    '1',
+    null,
+    null,
+    '{"poolId":"1"}'
+  );
+
+  const poolConfigurationSetEvent = createPoolConfigurationSetEvent(1, [], timestamp, blockNumber);
+  poolConfigurationSetEvent.logIndex = BigInt.fromI32(10);
+  handlePoolConfigurationSet(poolConfigurationSetEvent);
+  assertProtocolEvent(
+    poolConfigurationSetEvent,
+    'PoolConfigurationSet',
+    null,
+    '1',
+    null,
+    null,
+    '{"poolId":"1","markets":[]}'
+  );
+
+  // Collateral
+  const collateralConfiguredEvent = createCollateralConfiguredEvent(
+    Address.fromString(address),
+    true,
+    BigInt.fromI32(200),
+    BigInt.fromI32(150),
+    BigInt.fromI32(10),
+    Bytes.fromHexString('0x0102'),
+    BigInt.fromI32(100),
+    timestamp,
+    blockNumber
+  );
+  collateralConfiguredEvent.logIndex = BigInt.fromI32(11);
+  handleCollateralConfigured(collateralConfiguredEvent);
+  assertProtocolEvent(
+    collateralConfiguredEvent,
+    'CollateralConfigured',
+    null,
+    null,
+    null,
+    address,
+    `{"collateralType":"${address}","config":[true,"200","150","10","0x0102","${address}","100"]}`
+  );
+
+  const depositedEvent = createDepositEvent(
+    1,
+    Address.fromString(address),
+    BigInt.fromI32(1000),
+    timestamp,
+    blockNumber
+  );
+  depositedEvent.logIndex = BigInt.fromI32(12);
+  handleCollateralDeposited(depositedEvent);
+  assertProtocolEvent(
+    depositedEvent,
+    'Deposited',
+    '1',
+    null,
+    null,
+    address,
+    `{"accountId":"1","collateralType":"${address}","amount":"1000"}`
+  );
+
+  const withdrawnEvent = createWithdrawnEvent(
+    1,
+    Address.fromString(address),
+    BigInt.fromI32(400),
+    timestamp,
+    blockNumber
+  );
+  withdrawnEvent.logIndex = BigInt.fromI32(13);
+  handleCollateralWithdrawn(withdrawnEvent);
+  assertProtocolEvent(
+    withdrawnEvent,
+    'Withdrawn',
+    '1',
+    null,
+    null,
+    address,
+    `{"accountId":"1","collateralType":"${address}","amount":"400"}`
+  );
+
+  const delegationUpdatedEvent = createDelegationUpdateEvent(
+    BigInt.fromI32(1),
+    BigInt.fromI32(1),
+    Address.fromString(address),
+    BigInt.fromI32(100),
+    BigInt.fromI32(1),
+    timestamp,
+    blockNumber
+  );
+  delegationUpdatedEvent.logIndex = BigInt.fromI32(14);
+  handleDelegationUpdated(delegationUpdatedEvent);
+  assertProtocolEvent(
+    delegationUpdatedEvent,
+    'DelegationUpdated',
+    '1',
+    '1',
+    null,
+    address,
+    `{"accountId":"1","poolId":"1","collateralType":"${address}","amount":"100","leverage":"1"}`
+  );
+
+  // USD
+  const usdMintedEvent = createUSDMintedEvent(
+    BigInt.fromI32(1),
+    BigInt.fromI32(1),
+    Address.fromString(address),
+    BigInt.fromI32(50),
+    timestamp,
+    blockNumber
+  );
+  usdMintedEvent.logIndex = BigInt.fromI32(15);
+  handleUSDMinted(usdMintedEvent);
+  assertProtocolEvent(
+    usdMintedEvent,
+    'UsdMinted',
+    '1',
+    '1',
+    null,
+    address,
+    `{"accountId":"1","poolId":"1","collateralType":"${address}","amount":"50"}`
+  );
+
+  const usdBurnedEvent = createUSDBurnedEvent(
+    BigInt.fromI32(1),
+    BigInt.fromI32(1),
+    Address.fromString(address),
+    BigInt.fromI32(20),
+    timestamp,
+    blockNumber
+  );
+  usdBurnedEvent.logIndex = BigInt.fromI32(16);
+  handleUSDBurned(usdBurnedEvent);
+  assertProtocolEvent(
+    usdBurnedEvent,
+    'UsdBurned',
+    '1',
+    '1',
+    null,
+    address,
+    `{"accountId":"1","poolId":"1","collateralType":"${address}","amount":"20"}`
+  );
+
+  // Rewards
+  const rewardsDistributorRegisteredEvent = createRewardsDistributorRegisteredEvent(
+    BigInt.fromI32(1),
+    Address.fromString(address),
+    Address.fromString(address2),
+    timestamp,
+    blockNumber
+  );
+  rewardsDistributorRegisteredEvent.logIndex = BigInt.fromI32(17);
+  handleRewardsDistributorRegistered(rewardsDistributorRegisteredEvent);
+  assertProtocolEvent(
+    rewardsDistributorRegisteredEvent,
+    'RewardsDistributorRegistered',
+    null,
+    '1',
+    null,
+    address,
+    `{"poolId":"1","collateralType":"${address}","distributor":"${address2}"}`
+  );
+
+  const rewardsDistributedEvent = createRewardsDistributedEvent(
+    BigInt.fromI32(1),
+    Address.fromString(address),
+    Address.fromString(address2),
+    BigInt.fromI32(200),
+    BigInt.fromI64(timestamp),
+    BigInt.fromI32(300),
+    timestamp,
+    blockNumber,
+    18
+  );
+  handleRewardsDistributed(rewardsDistributedEvent);
+  assertProtocolEvent(
+    rewardsDistributedEvent,
+    'RewardsDistributed',
+    null,
+    '1',
+    null,
+    address,
+    `{"poolId":"1","collateralType":"${address}","distributor":"${address2}","amount":"200","start":"${timestamp}","duration":"300"}`
+  );
+
+  const rewardsClaimedEvent = createRewardsClaimedEvent(
+    BigInt.fromI32(1),
+    BigInt.fromI32(1),
+    Address.fromString(address),
+    Address.fromString(address2),
+    BigInt.fromI32(80),
+    timestamp,
+    blockNumber,
+    19
+  );
+  handleRewardsClaimed(rewardsClaimedEvent);
+  assertProtocolEvent(
+    rewardsClaimedEvent,
+    'RewardsClaimed',
+    '1',
+    '1',
+    null,
+    address,
+    `{"accountId":"1","poolId":"1","collateralType":"${address}","distributor":"${address2}","amount":"80"}`
+  );
+
+  const rewardsDistributorRemovedEvent = createRewardsDistributorRemovedEvent(
+    BigInt.fromI32(1),
+    Address.fromString(address),
+    Address.fromString(address2),
+    timestamp,
+    blockNumber
+  );
+  rewardsDistributorRemovedEvent.logIndex = BigInt.fromI32(20);
+  handleRewardsDistributorRemoved(rewardsDistributorRemovedEvent);
+  assertProtocolEvent(
+    rewardsDistributorRemovedEvent,
+    'RewardsDistributorRemoved',
+    null,
+    '1',
+    null,
+    address,
+    `{"poolId":"1","collateralType":"${address}","distributor":"${address2}"}`
+  );
+
+  // Markets
+  const marketRegisteredEvent = createMarketRegisteredEvent(
+    address2,
+    1,
+    address,
+    timestamp,
+    blockNumber,
+    21
+  );
+  handleMarketCreated(marketRegisteredEvent);
+  assertProtocolEvent(
+    marketRegisteredEvent,
+    'MarketRegistered',
+    null,
+    null,
+    '1',
+    null,
+    `{"market":"${address2}","marketId":"1","sender":"${address}"}`
+  );
+
+  const marketUsdDepositedEvent = createMarketUsdDepositedEvent(
+    1,
+    address,
+    300,
+    address2,
+    timestamp,
+    blockNumber,
+    22
+  );
+  handleMarketUsdDeposited(marketUsdDepositedEvent);
+  assertProtocolEvent(
+    marketUsdDepositedEvent,
+    'MarketUsdDeposited',
+    null,
+    null,
+    '1',
+    null,
+    `{"marketId":"1","target":"${address}","amount":"300","market":"${address2}"}`
+  );
+
+  const marketUsdWithdrawnEvent = createMarketUsdWithdrawnEvent(
+    1,
+    address,
+    100,
+    address2,
+    timestamp,
+    blockNumber,
+    23
+  );
+  handleMarketUsdWithdrawn(marketUsdWithdrawnEvent);
+  assertProtocolEvent(
+    marketUsdWithdrawnEvent,
+    'MarketUsdWithdrawn',
+    null,
+    null,
+    '1',
+    null,
+    `{"marketId":"1","target":"${address}","amount":"100","market":"${address2}"}`
+  );
+
+  // Liquidations
+  const liquidationEvent = createLiquidationEvent(
+    BigInt.fromI32(1),
+    BigInt.fromI32(1),
+    Address.fromString(address),
+    BigInt.fromI32(30),
+    BigInt.fromI32(60),
+    BigInt.fromI32(5),
+    BigInt.fromI32(2),
+    Address.fromString(address2),
+    timestamp,
+    blockNumber,
+    24
+  );
+  handleLiquidation(liquidationEvent);
+  assertProtocolEvent(
+    liquidationEvent,
+    'Liquidation',
+    '1',
+    '1',
+    null,
+    address,
+    `{"accountId":"1","poolId":"1","collateralType":"${address}","liquidationData":["30","60","5"],"liquidateAsAccountId":"2","sender":"${address2}"}`
+  );
+
+  const vaultLiquidationEvent = createVaultLiquidationEvent(
+    BigInt.fromI32(1),
+    Address.fromString(address),
+    BigInt.fromI32(40),
+    BigInt.fromI32(80),
+    BigInt.fromI32(6),
+    BigInt.fromI32(2),
+    Address.fromString(address2),
+    timestamp,
+    blockNumber,
+    25
+  );
+  handleVaultLiquidation(vaultLiquidationEvent);
+  assertProtocolEvent(
+    vaultLiquidationEvent,
+    'VaultLiquidation',
+    null,
+    '1',
+    null,
+    address,
+    `{"poolId":"1","collateralType":"${address}","liquidationData":["40","80","6"],"liquidateAsAccountId":"2","sender":"${address2}"}`
+  );
+
+  // One record per log, every handler writes its own
+  assert.entityCount('ProtocolEvent', 25);
+}
@@ -0,0 +1,83 @@
+import { assert } from 'matchstick-as';
+import { Address, BigInt } from '@graphprotocol/graph-ts';
+import { address, address2 } from './constants';
+import { handleDelegationUpdated, handleLiquidation, handleVaultLiquidation } from '../src';
+import {
+  createDelegationUpdateEvent,
+  createLiquidationEvent,
+  createVaultLiquidationEvent,
+} from './event-factories';
+
+export default function test(): void {
+  assert.entityCount('Vault', 0);
+  assert.entityCount('VaultSnapshotByDay', 0);
+
+  const timestamp = 1640998800; // 2022-01-01T01:00:00.000Z;
+  const oneHour = 60 * 60;
+  const oneDay = 24 * oneHour;
+  const blockNumber = 10;
+
+  handleDelegationUpdated(
+    createDelegationUpdateEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(100),
+      BigInt.fromI32(1),
+      timestamp,
+      blockNumber
+    )
+  );
+
+  assert.entityCount('VaultSnapshotByDay', 1);
+  assert.fieldEquals('VaultSnapshotByDay', `1-${address}-2022-01-01`, 'vault', `1-${address}`);
+  assert.fieldEquals('VaultSnapshotByDay', `1-${address}-2022-01-01`, 'pool', '1');
+  assert.fieldEquals('VaultSnapshotByDay', `1-${address}-2022-01-01`, 'collateral_type', address);
+  assert.fieldEquals('VaultSnapshotByDay', `1-${address}-2022-01-01`, 'collateral_amount', '100');
+  assert.fieldEquals('VaultSnapshotByDay', `1-${address}-2022-01-01`, 'updates_in_period', '1');
+
+  handleVaultLiquidation(
+    createVaultLiquidationEvent(
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(500),
+      BigInt.fromI32(40),
+      BigInt.fromI32(40),
+      BigInt.fromI32(2),
+      Address.fromString(address2),
+      timestamp + oneHour,
+      blockNumber + 1
+    )
+  );
+
+  assert.entityCount('VaultSnapshotByDay', 1);
+  assert.fieldEquals('VaultSnapshotByDay', `1-${address}-2022-01-01`, 'collateral_amount', '60');
+  assert.fieldEquals('VaultSnapshotByDay', `1-${address}-2022-01-01`, 'updates_in_period', '2');
+  assert.fieldEquals(
+    'VaultSnapshotByDay',
+    `1-${address}-2022-01-01`,
+    'updated_at',
+    `${timestamp + oneHour}`
+  );
+
+  handleLiquidation(
+    createLiquidationEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(300),
+      BigInt.fromI32(60),
+      BigInt.fromI32(10),
+      BigInt.fromI32(2),
+      Address.fromString(address2),
+      timestamp + oneDay,
+      blockNumber + 2
+    )
+  );
+
+  assert.entityCount('VaultSnapshotByDay', 2);
+  assert.fieldEquals('VaultSnapshotByDay', `1-${address}-2022-01-01`, 'collateral_amount', '60');
+  assert.fieldEquals('VaultSnapshotByDay', `1-${address}-2022-01-02`, 'collateral_amount', '50');
+  assert.fieldEquals('VaultSnapshotByDay', `1-${address}-2022-01-02`, 'updates_in_period', '1');
+  assert.fieldEquals('VaultSnapshotByDay', `1-${address}-2022-01-02`, 'created_at', `${timestamp}`);
+}
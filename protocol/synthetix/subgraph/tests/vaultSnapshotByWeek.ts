@@ -0,0 +1,69 @@
+import { assert } from 'matchstick-as';
+import { Address, BigInt } from '@graphprotocol/graph-ts';
+import { address, address2 } from './constants';
+import { handleDelegationUpdated, handleVaultLiquidation } from '../src';
+import { createDelegationUpdateEvent, createVaultLiquidationEvent } from './event-factories';
+
+export default function test(): void {
+  assert.entityCount('Vault', 0);
+  assert.entityCount('VaultSnapshotByWeek', 0);
+
+  const timestamp = 1640998800; // 2022-01-01T01:00:00.000Z;
+  const oneHour = 60 * 60;
+  const oneWeek = 7 * 24 * oneHour;
+  const blockNumber = 10;
+
+  handleDelegationUpdated(
+    createDelegationUpdateEvent(
+      BigInt.fromI32(1),
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(100),
+      BigInt.fromI32(1),
+      timestamp,
+      blockNumber
+    )
+  );
+  handleVaultLiquidation(
+    createVaultLiquidationEvent(
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(500),
+      BigInt.fromI32(40),
+      BigInt.fromI32(40),
+      BigInt.fromI32(2),
+      Address.fromString(address2),
+      timestamp + oneHour,
+      blockNumber + 1
+    )
+  );
+
+  assert.entityCount('VaultSnapshotByWeek', 1);
+  assert.fieldEquals('VaultSnapshotByWeek', `1-${address}-week-2022-0`, 'collateral_amount', '60');
+  assert.fieldEquals('VaultSnapshotByWeek', `1-${address}-week-2022-0`, 'updates_in_period', '2');
+
+  handleVaultLiquidation(
+    createVaultLiquidationEvent(
+      BigInt.fromI32(1),
+      Address.fromString(address),
+      BigInt.fromI32(500),
+      BigInt.fromI32(60),
+      BigInt.fromI32(60),
+      BigInt.fromI32(2),
+      Address.fromString(address2),
+      timestamp + oneWeek,
+      blockNumber + 2
+    )
+  );
+
+  assert.entityCount('VaultSnapshotByWeek', 2);
+  assert.fieldEquals('VaultSnapshotByWeek', `1-${address}-week-2022-0`, 'collateral_amount', '60');
+  assert.fieldEquals('VaultSnapshotByWeek', `1-${address}-week-2022-1`, 'collateral_amount', '0');
+  assert.fieldEquals('VaultSnapshotByWeek', `1-${address}-week-2022-1`, 'updates_in_period', '1');
+  assert.fieldEquals(
+    'VaultSnapshotByWeek',
+    `1-${address}-week-2022-1`,
+    'updated_at',
+    `${timestamp + oneWeek}`
+  );
+}
@@ -1,45 +1,138 @@
 #!/usr/bin/env node
 
+const argValues = require('./lib/args');
+const { log, report } = require('./lib/report');
+const { workspaceGraph, findCycles } = require('./lib/graph');
+const { matchWorkspace } = require('./lib/match');
+
+// --graph dot|mermaid
+const [graphFormat] = argValues('--graph');
+
+// --forbid "utils/*:protocol/*,markets/*" - workspaces matching "utils/*" may not depend on "protocol/*" or "markets/*"
+const layers = argValues('--forbid').map((rule) => {
+  const [from, to] = rule.split(':');
+  if (!from || !to) {
+    throw new Error(`Invalid --forbid rule "${rule}", expected "<from>:<to>[,<to>...]"`);
+  }
+  return { rule, from, to: to.split(',') };
+});
+
+function toDot(graph, highlighted) {
+  const lines = Object.values(graph).flatMap(({ name, deps }) =>
+    deps.map(
+      (dep) =>
+        `  "${name}" -> "${dep}"${highlighted.has(`${name} -> ${dep}`) ? ' [color=red]' : ''};`
+    )
+  );
+  const nodes = Object.keys(graph).map((name) => `  "${name}";`);
+  return ['digraph workspaces {', '  rankdir=LR;', ...nodes, ...lines, '}'].join('\n');
+}
+
+function toMermaid(graph, highlighted) {
+  const ids = Object.fromEntries(Object.keys(graph).map((name, i) => [name, `w${i}`]));
+  const nodes = Object.keys(graph).map((name) => `  ${ids[name]}["${name}"]`);
+  const edges = Object.values(graph).flatMap(({ name, deps }) =>
+    deps.map((dep) => ({ name, dep }))
+  );
+  const lines = edges.map(({ name, dep }) => `  ${ids[name]} --> ${ids[dep]}`);
+  const styles = edges
+    .map(({ name, dep }, i) => (highlighted.has(`${name} -> ${dep}`) ? i : null))
+    .filter((i) => i !== null)
+    .map((i) => `  linkStyle ${i} stroke:red`);
+  return ['graph LR', ...nodes, ...lines, ...styles].join('\n');
+}
+
 async function run() {
-  const workspaces = await require('./lib/workspaces')();
-  const all = workspaces
-    .map(({ name, workspaceDependencies }) => ({
-      name,
-      deps: workspaceDependencies.map(
-        (location) => workspaces.find((pkg) => pkg.location === location).name
-      ),
-    }))
-    .reduce((result, { name, deps }) => ({ ...result, [name]: { name, deps, path: [] } }), {});
-
-  const paths = [];
-  const cycles = [];
-
-  function walkTree(node) {
-    const isCycle = node.path.includes(node.name);
-    const path = [...node.path, node.name];
-    if (isCycle) {
-      cycles.push(path.join(' -> '));
-    } else {
-      paths.push(path.join(' -> '));
+  const graph = await workspaceGraph();
+  const cycles = findCycles(graph);
+
+  const violations = Object.values(graph).flatMap((node) =>
+    layers
+      .filter(({ from }) => matchWorkspace(node, from))
+      .flatMap(({ rule, to }) =>
+        node.deps
+          .filter((dep) => to.some((pattern) => matchWorkspace(graph[dep], pattern)))
+          .map((dep) => ({ rule, name: node.name, dep }))
+      )
+  );
+
+  if (graphFormat) {
+    const highlighted = new Set(
+      cycles
+        .flatMap(({ cycle }) => cycle.slice(1).map((dep, i) => `${cycle[i]} -> ${dep}`))
+        .concat(violations.map(({ name, dep }) => `${name} -> ${dep}`))
+    );
+    if (graphFormat === 'dot') {
+      console.log(toDot(graph, highlighted));
+      return;
     }
-    node.tree = node.deps.map((dep) => ({ ...all[dep], path }));
-    if (!isCycle) {
-      node.tree.forEach(walkTree);
+    if (graphFormat === 'mermaid') {
+      console.log(toMermaid(graph, highlighted));
+      return;
     }
+    throw new Error(`Unsupported graph format "${graphFormat}", expected one of: dot, mermaid`);
   }
 
-  Object.values(all).forEach(walkTree);
-
   const { fgReset, fgRed, fgGreen, fgYellow, fgCyan } = require('./lib/colors');
-  console.log(`${fgGreen}Dependency graph: ${fgCyan}${paths.length}${fgReset}`);
-  console.log(paths.join('\n'));
-  console.log('');
+
+  report({
+    tool: 'deps-circular',
+    rules: {
+      'circular-dependency': 'Workspaces depend on each other in a cycle',
+      'layer-violation': 'Workspace depends on a workspace from a forbidden layer',
+    },
+    findings: [
+      ...cycles.map(({ members, cycle }) => {
+        const parent = graph[cycle[cycle.length - 2]];
+        const dependency = cycle[cycle.length - 1];
+        return {
+          rule: 'circular-dependency',
+          message: `Cycle detected: ${cycle.join(' -> ')} (involves ${members.join(', ')})`,
+          workspace: parent.name,
+          packageJson: `${parent.location}/package.json`,
+          dependency,
+          found: parent.versions[dependency],
+          expected: null,
+        };
+      }),
+      ...violations.map(({ rule, name, dep }) => ({
+        rule: 'layer-violation',
+        message: `Forbidden dependency ${name} -> ${dep} (--forbid "${rule}")`,
+        workspace: name,
+        packageJson: `${graph[name].location}/package.json`,
+        dependency: dep,
+        found: graph[name].versions[dep],
+        expected: null,
+      })),
+    ],
+  });
+
+  log(`${fgGreen}Dependency graph: ${fgCyan}${Object.keys(graph).length}${fgReset}`);
+  Object.values(graph).forEach(({ name, deps }) => {
+    log(deps.length ? `${name} -> ${deps.join(', ')}` : name);
+  });
+  log('');
 
   if (cycles.length > 0) {
-    console.log(`${fgRed}Cycles detected: ${fgCyan}${cycles.length}${fgReset}`);
-    console.log(`${fgYellow}${cycles.join('\n')}${fgReset}`);
-    console.log('');
-    throw new Error(`Cycles detected: ${cycles.length}`);
+    log(`${fgRed}Cycles detected: ${fgCyan}${cycles.length}${fgReset}`);
+    cycles.forEach(({ members, cycle }) => {
+      log(`${fgYellow}${cycle.join(' -> ')}${fgReset} (involves ${members.join(', ')})`);
+    });
+    log('');
+  }
+
+  if (violations.length > 0) {
+    log(`${fgRed}Layer violations detected: ${fgCyan}${violations.length}${fgReset}`);
+    violations.forEach(({ rule, name, dep }) => {
+      log(`${fgYellow}${name} -> ${dep}${fgReset} (--forbid "${rule}")`);
+    });
+    log('');
+  }
+
+  if (cycles.length > 0 || violations.length > 0) {
+    throw new Error(
+      `Cycles detected: ${cycles.length}, layer violations detected: ${violations.length}`
+    );
   }
 }
 
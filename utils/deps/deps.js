@@ -3,14 +3,15 @@
 const depcheck = require('depcheck');
 const cp = require('child_process');
 const fs = require('fs/promises');
-const prettier = require('prettier');
+const path = require('path');
+const semver = require('semver');
 const { fgReset, fgRed, fgGreen, fgYellow, fgCyan } = require('./lib/colors');
-
-const prettierOptions = JSON.parse(
-  require('fs').readFileSync(`${__dirname}/../../.prettierrc`, 'utf8')
-);
+const { matchPath } = require('./lib/match');
+const { isText, log, report } = require('./lib/report');
+const writePackageJson = require('./lib/write-package-json');
 
 const isFix = process.argv.includes('--fix');
+const isOffline = process.argv.includes('--offline');
 
 const options = {
   ignoreBinPackage: false, // ignore the packages with bin entry
@@ -47,17 +48,58 @@ const options = {
 
 const ignoredPackages = ['synthetix-v3'];
 
-let updatedPackages = 0;
+// Packages provided by the host project, e.g. hardhat for hardhat plugins,
+// can be overridden with "depcheck.peers" in package.json
+const defaultPeers = ['hardhat'];
 
-async function run() {
-  const workspacePackages = (await require('./lib/workspaces')())
-    // filter out old unsupported dirs
-    .filter(({ name }) => !ignoredPackages.includes(name));
+// Files that never end up being required by package consumers
+const devFiles = [
+  '**/test/**',
+  '**/tests/**',
+  '**/__tests__/**',
+  '**/*.test.*',
+  '**/*.spec.*',
+  '**/*.config.*',
+  'scripts/**',
+];
 
-  const workspaceDeps = workspacePackages.map(({ name }) => [name, 'workspace:*']);
+function isRuntimeFile(file, packageJson) {
+  if (devFiles.some((pattern) => matchPath(file, pattern))) {
+    return false;
+  }
+  const bin =
+    typeof packageJson.bin === 'string' ? [packageJson.bin] : Object.values(packageJson.bin ?? {});
+  const entries = [packageJson.main, packageJson.source, ...bin].filter(Boolean);
+  return (
+    file.startsWith('src/') ||
+    entries.some((entry) => matchPath(file, entry)) ||
+    (packageJson.files ?? []).some((pattern) => matchPath(file, pattern))
+  );
+}
 
+// Picks package.json section for the missing dependency depending on where it is used
+function missingSection(dep, files, location, packageJson) {
+  const isRuntime = files
+    .map((file) => path.relative(path.resolve(location), file))
+    .some((file) => isRuntimeFile(file, packageJson));
+  if (!isRuntime) {
+    return 'devDependencies';
+  }
+  const peers = packageJson.depcheck?.peers ?? defaultPeers;
+  return peers.includes(dep) ? 'peerDependencies' : 'dependencies';
+}
+
+let updatedPackages = 0;
+
+const rules = {
+  'unused-dependency': 'Dependency is declared in package.json but never used',
+  'missing-dependency': 'Dependency is used but not declared in package.json',
+};
+const findings = [];
+
+async function yarnInfoVersions() {
   const exec = require('./lib/exec');
-  const existingDeps = (await exec('yarn info --all --json'))
+  return (await exec('yarn info --all --json'))
     .split('\n')
     .filter(Boolean)
     .map((line) => JSON.parse(line))
@@ -69,6 +111,27 @@ async function run() {
       //      return [name, `^${version}`]; // ^version
       return [name, version]; // exact version
     });
+}
+
+async function run() {
+  const workspacePackages = (await require('./lib/workspaces')())
+    // filter out old unsupported dirs
+    .filter(({ name }) => !ignoredPackages.includes(name));
+
+  const workspaceDeps = workspacePackages.map(({ name }) => [name, 'workspace:*']);
+
+  const existingDeps = isOffline
+    ? // resolve versions from yarn.lock without hitting the registry
+      Object.entries(
+        require('./lib/lockfile')(
+          await Promise.all(
+            workspacePackages.map(async ({ location }) =>
+              JSON.parse(await fs.readFile(`${location}/package.json`, 'utf-8'))
+            )
+          )
+        )
+      )
+    : await yarnInfoVersions();
 
   const deps = Object.fromEntries([].concat(existingDeps).concat(workspaceDeps));
 
@@ -85,69 +148,121 @@ async function run() {
     dependencies.sort();
     devDependencies.sort();
 
-    const missingDeps = Object.keys(missing);
-    missingDeps.sort();
+    const missingDeps = Object.keys(missing)
+      .sort()
+      .reduce(
+        (result, dep) => {
+          result[missingSection(dep, missing[dep], location, packageJson)].push(dep);
+          return result;
+        },
+        { dependencies: [], devDependencies: [], peerDependencies: [] }
+      );
 
-    if (!dependencies.length && !devDependencies.length && !missingDeps.length) {
+    if (
+      !dependencies.length &&
+      !devDependencies.length &&
+      !Object.values(missingDeps).some((section) => section.length)
+    ) {
       return;
     }
 
     updatedPackages = updatedPackages + 1;
 
-    console.log('');
-    console.log('');
-    console.log(`${location}/package.json`);
-    console.log(`${fgCyan}  "name": "${name}"${fgReset}`);
+    log('');
+    log('');
+    log(`${location}/package.json`);
+    log(`${fgCyan}  "name": "${name}"${fgReset}`);
 
-    if (dependencies.length || missingDeps.length) {
-      console.log(`${fgCyan}  "dependencies": {${fgReset}`);
-      dependencies.forEach((dep) => {
-        console.log(`${fgRed}    "${dep}": "${packageJson.dependencies[dep]}"${fgReset}`);
-        delete packageJson.dependencies[dep];
-      });
-      missingDeps.forEach((dep) => {
-        if (dep in deps) {
-          console.log(`${fgGreen}    "${dep}": "${deps[dep]}"${fgReset}`);
-          if (!('dependencies' in packageJson)) {
-            packageJson.devDependencies = {};
-          }
+    function addMissing(section) {
+      missingDeps[section].forEach((dep) => {
+        findings.push({
+          rule: 'missing-dependency',
+          message: `Missing dependency "${dep}" in ${name} ${section}`,
+          workspace: name,
+          packageJson: `${location}/package.json`,
+          dependency: dep,
+          found: null,
+          expected: deps[dep] ?? null,
+        });
+        if (!(dep in deps)) {
+          log(`${fgYellow}    "${dep}": "?" <-- ADD MANUALLY${fgReset}`);
+          return;
+        }
+        if (section === 'peerDependencies') {
+          const range = semver.valid(deps[dep]) ? `^${deps[dep]}` : deps[dep];
+          log(`${fgGreen}    "${dep}": "${range}"${fgReset}`);
+          packageJson.peerDependencies = packageJson.peerDependencies || {};
+          packageJson.peerDependencies[dep] = range;
+          // peers still need to be installed for development
+          packageJson.devDependencies = packageJson.devDependencies || {};
           packageJson.devDependencies[dep] = deps[dep];
-        } else {
-          console.log(`${fgYellow}    "${dep}": "?" <-- ADD MANUALLY${fgReset}`);
+          return;
         }
+        log(`${fgGreen}    "${dep}": "${deps[dep]}"${fgReset}`);
+        packageJson[section] = packageJson[section] || {};
+        packageJson[section][dep] = deps[dep];
       });
     }
-    if (devDependencies.length) {
-      console.log(`${fgCyan}  "devDependencies": {${fgReset}`);
+
+    if (dependencies.length || missingDeps.dependencies.length) {
+      log(`${fgCyan}  "dependencies": {${fgReset}`);
+      dependencies.forEach((dep) => {
+        log(`${fgRed}    "${dep}": "${packageJson.dependencies[dep]}"${fgReset}`);
+        findings.push({
+          rule: 'unused-dependency',
+          message: `Unused dependency "${dep}" in ${name}`,
+          workspace: name,
+          packageJson: `${location}/package.json`,
+          dependency: dep,
+          found: packageJson.dependencies[dep],
+          expected: null,
+        });
+        delete packageJson.dependencies[dep];
+      });
+      addMissing('dependencies');
+    }
+    if (devDependencies.length || missingDeps.devDependencies.length) {
+      log(`${fgCyan}  "devDependencies": {${fgReset}`);
       devDependencies.forEach((dep) => {
-        console.log(`${fgRed}    "${dep}": "${packageJson.devDependencies[dep]}"${fgReset}`);
+        log(`${fgRed}    "${dep}": "${packageJson.devDependencies[dep]}"${fgReset}`);
+        findings.push({
+          rule: 'unused-dependency',
+          message: `Unused devDependency "${dep}" in ${name}`,
+          workspace: name,
+          packageJson: `${location}/package.json`,
+          dependency: dep,
+          found: packageJson.devDependencies[dep],
+          expected: null,
+        });
         delete packageJson.devDependencies[dep];
       });
+      addMissing('devDependencies');
+    }
+    if (missingDeps.peerDependencies.length) {
+      log(`${fgCyan}  "peerDependencies": {${fgReset}`);
+      addMissing('peerDependencies');
     }
     if (isFix) {
-      console.log(`...FIXING ${fgYellow}${location}/package.json${fgReset}`);
-      await fs.writeFile(
-        `${location}/package.json`,
-        await prettier.format(JSON.stringify(packageJson, null, '  '), {
-          parser: 'json',
-          ...prettierOptions,
-        })
-      );
+      log(`...FIXING ${fgYellow}${location}/package.json${fgReset}`);
+      await writePackageJson(location, packageJson);
     }
   }, Promise.resolve());
 
+  report({ tool: 'deps', rules, findings });
+
   if (updatedPackages > 0 && isFix) {
-    console.log('');
-    console.log('');
-    console.log(`${fgGreen}Packages fixed: ${fgGreen}${updatedPackages}${fgReset}`);
-    cp.execSync('yarn install', { encoding: 'utf-8', stdio: 'inherit' });
+    log('');
+    log('');
+    log(`${fgGreen}Packages fixed: ${fgGreen}${updatedPackages}${fgReset}`);
+    // yarn output would break machine-readable formats on stdout, send it to stderr
+    cp.execSync('yarn install', { encoding: 'utf-8', stdio: isText ? 'inherit' : [0, 2, 2] });
     return;
   }
 
   if (updatedPackages > 0) {
-    console.log('');
-    console.log('');
-    console.log(`${fgRed}Packages need fixing: ${fgGreen}${updatedPackages}${fgReset}`);
+    log('');
+    log('');
+    log(`${fgRed}Packages need fixing: ${fgGreen}${updatedPackages}${fgReset}`);
     throw new Error(`Packages need fixing: ${updatedPackages}`);
   }
 }
@@ -0,0 +1,11 @@
+/**
+ * Returns all values of the command line option, supports both `--name value` and `--name=value`
+ */
+module.exports = function argValues(name) {
+  return process.argv.flatMap((arg, i, argv) => {
+    if (arg.startsWith(`${name}=`)) {
+      return [arg.slice(name.length + 1)];
+    }
+    return arg === name && i + 1 < argv.length ? [argv[i + 1]] : [];
+  });
+};
@@ -1,5 +1,8 @@
-exports.fgReset = '\x1b[0m';
-exports.fgRed = '\x1b[31m';
-exports.fgGreen = '\x1b[32m';
-exports.fgYellow = '\x1b[33m';
-exports.fgCyan = '\x1b[36m';
+// Disable colors when output is piped to a file or another process
+const isColored = Boolean(process.stdout.isTTY) && !('NO_COLOR' in process.env);
+
+exports.fgReset = isColored ? '\x1b[0m' : '';
+exports.fgRed = isColored ? '\x1b[31m' : '';
+exports.fgGreen = isColored ? '\x1b[32m' : '';
+exports.fgYellow = isColored ? '\x1b[33m' : '';
+exports.fgCyan = isColored ? '\x1b[36m' : '';
@@ -0,0 +1,113 @@
+const path = require('path');
+
+/**
+ * Builds workspace dependency graph keyed by workspace name:
+ *   { [name]: { name, location, isPrivate, deps: [name], versions: { [name]: version } } }
+ * where `versions` are dependency versions as declared in the workspace package.json
+ */
+async function workspaceGraph() {
+  const workspaces = await require('./workspaces')();
+  return Object.fromEntries(
+    workspaces.map(({ name, location, workspaceDependencies }) => {
+      const packageJson = require(path.resolve(location, 'package.json'));
+      const { dependencies, devDependencies } = packageJson;
+      const deps = workspaceDependencies.map(
+        (dep) => workspaces.find((pkg) => pkg.location === dep).name
+      );
+      const versions = Object.fromEntries(
+        deps.map((dep) => [dep, dependencies?.[dep] ?? devDependencies?.[dep] ?? null])
+      );
+      return [name, { name, location, isPrivate: Boolean(packageJson.private), deps, versions }];
+    })
+  );
+}
+
+/**
+ * Tarjan's algorithm, returns list of strongly connected components (lists of workspace names).
+ * Every cycle in the graph is fully contained in one of the components.
+ */
+function stronglyConnectedComponents(graph) {
+  let index = 0;
+  const indexes = {};
+  const lowlinks = {};
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  function connect(name) {
+    indexes[name] = index;
+    lowlinks[name] = index;
+    index = index + 1;
+    stack.push(name);
+    onStack.add(name);
+
+    graph[name].deps.forEach((dep) => {
+      if (!(dep in indexes)) {
+        connect(dep);
+        lowlinks[name] = Math.min(lowlinks[name], lowlinks[dep]);
+      } else if (onStack.has(dep)) {
+        lowlinks[name] = Math.min(lowlinks[name], indexes[dep]);
+      }
+    });
+
+    if (lowlinks[name] === indexes[name]) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== name);
+      components.push(component.reverse());
+    }
+  }
+
+  Object.keys(graph).forEach((name) => {
+    if (!(name in indexes)) {
+      connect(name);
+    }
+  });
+
+  return components;
+}
+
+/**
+ * Finds the shortest cycle through the first member of a strongly connected component.
+ * Returns list of workspace names where the last one closes the loop, e.g. [a, b, a]
+ */
+function findCycle(graph, component) {
+  const [start] = component;
+  const members = new Set(component);
+  const previous = { [start]: null };
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const name = queue.shift();
+    if (graph[name].deps.includes(start)) {
+      const cycle = [start];
+      for (let node = name; node !== null; node = previous[node]) {
+        cycle.unshift(node);
+      }
+      return cycle;
+    }
+    graph[name].deps
+      .filter((dep) => members.has(dep) && !(dep in previous))
+      .forEach((dep) => {
+        previous[dep] = name;
+        queue.push(dep);
+      });
+  }
+
+  return null;
+}
+
+/**
+ * Returns every distinct cycle once, one per strongly connected component
+ */
+function findCycles(graph) {
+  return stronglyConnectedComponents(graph)
+    .filter((component) => component.length > 1 || graph[component[0]].deps.includes(component[0]))
+    .map((component) => ({ members: component, cycle: findCycle(graph, component) }));
+}
+
+module.exports = { workspaceGraph, stronglyConnectedComponents, findCycles };
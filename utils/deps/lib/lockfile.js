@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+
+const ROOT = path.resolve(__dirname, '..', '..', '..');
+const LOCKFILE = path.join(ROOT, 'yarn.lock');
+const CACHE_DIR = path.join(ROOT, 'node_modules', '.cache', 'deps');
+
+/**
+ * Yarn lockfile descriptors of the `dependencies` and `devDependencies` declared in the given
+ * workspace manifests, e.g. `ethers@npm:^5.7.2`
+ */
+function declaredDescriptors(manifests) {
+  return new Set(
+    manifests.flatMap((manifest) =>
+      ['dependencies', 'devDependencies']
+        .flatMap((section) => Object.entries(manifest[section] ?? {}))
+        .map(([name, range]) =>
+          /^[a-z]+:/.test(range) ? `${name}@${range}` : `${name}@npm:${range}`
+        )
+    )
+  );
+}
+
+/**
+ * Reads the yarn.lock entries of the dependencies declared in the workspaces and keeps the latest
+ * resolved npm version of each package. Packages only installed as transitive dependencies are left
+ * out, the same way as they are left out of `yarn info --all --json` output
+ */
+function parseLockfile(content, descriptors) {
+  const versions = {};
+  let isDeclared = false;
+
+  for (const line of content.split('\n')) {
+    const entry = line.match(/^"?(.+?)"?:$/);
+    if (entry) {
+      isDeclared = entry[1].split(', ').some((descriptor) => descriptors.has(descriptor));
+      continue;
+    }
+
+    const resolution = line.match(/^ {2}resolution: "(.+)"$/);
+    if (!resolution || !isDeclared) {
+      continue;
+    }
+
+    const [, value] = resolution;
+    const name = value.slice(0, value.lastIndexOf('@'));
+    const [protocol, version] = value.slice(value.lastIndexOf('@') + 1).split(':');
+    if (protocol !== 'npm' || !semver.valid(version)) {
+      continue;
+    }
+    if (!(name in versions) || semver.gt(version, versions[name])) {
+      versions[name] = version;
+    }
+  }
+
+  return versions;
+}
+
+/**
+ * Returns `{ [name]: version }` of the dependencies of the given workspace manifests resolved in the
+ * root yarn.lock. Parsed lockfile is cached in node_modules/.cache/deps by the hash of its content and
+ * the declared dependencies, so it is only parsed once
+ */
+module.exports = function lockfileVersions(manifests) {
+  const content = fs.readFileSync(LOCKFILE, 'utf-8');
+  const descriptors = declaredDescriptors(manifests);
+  const hash = crypto
+    .createHash('sha1')
+    .update(content)
+    .update(JSON.stringify([...descriptors].sort()))
+    .digest('hex');
+  const cacheFile = path.join(CACHE_DIR, `yarn.lock.${hash}.json`);
+
+  if (fs.existsSync(cacheFile)) {
+    return JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+  }
+
+  const versions = parseLockfile(content, descriptors);
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  // drop caches of previous lockfile versions
+  fs.readdirSync(CACHE_DIR)
+    .filter((file) => file.startsWith('yarn.lock.'))
+    .forEach((file) => fs.rmSync(path.join(CACHE_DIR, file)));
+  fs.writeFileSync(cacheFile, JSON.stringify(versions));
+  return versions;
+};
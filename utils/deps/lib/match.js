@@ -0,0 +1,35 @@
+/**
+ * Converts glob-like pattern to RegExp, `*` matches within one path segment, `**` matches across
+ * segments and a pattern without wildcards also matches everything inside of it, e.g. "dist"
+ */
+function globToRegExp(pattern) {
+  const escape = (chunk) => chunk.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const source = pattern
+    .replace(/^\.\//, '')
+    .split('**/')
+    .map((part) =>
+      part
+        .split('**')
+        .map((segment) => segment.split('*').map(escape).join('[^/]*'))
+        .join('.*')
+    )
+    .join('(?:.*/)?');
+  return new RegExp(`^${source}${pattern.includes('*') ? '' : '(?:/.*)?'}$`);
+}
+
+/**
+ * Matches relative file path against a glob-like pattern, e.g. "dist/**\/*.js"
+ */
+function matchPath(file, pattern) {
+  return globToRegExp(pattern).test(file);
+}
+
+/**
+ * Matches workspace location or name against a glob-like pattern, e.g. "utils/*"
+ */
+function matchWorkspace({ name, location }, pattern) {
+  const regex = globToRegExp(pattern);
+  return regex.test(location) || regex.test(name);
+}
+
+module.exports = { globToRegExp, matchPath, matchWorkspace };
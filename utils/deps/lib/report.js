@@ -0,0 +1,69 @@
+const FORMATS = ['text', 'json', 'sarif'];
+
+function parseFormat(argv) {
+  const inline = argv.find((arg) => arg.startsWith('--format='));
+  const index = argv.indexOf('--format');
+  const format = inline
+    ? inline.slice('--format='.length)
+    : index !== -1
+      ? argv[index + 1]
+      : 'text';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unsupported format "${format}", expected one of: ${FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+const format = parseFormat(process.argv);
+const isText = format === 'text';
+
+// Keep stdout clean for machine-readable formats, human-readable output goes to stderr instead
+function log(...args) {
+  return isText ? console.log(...args) : console.error(...args);
+}
+
+function toSarif({ tool, rules, findings }) {
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: tool,
+            informationUri: 'https://github.com/Synthetixio/synthetix-v3/tree/main/utils/deps',
+            rules: Object.entries(rules).map(([id, description]) => ({
+              id,
+              shortDescription: { text: description },
+            })),
+          },
+        },
+        results: findings.map(({ rule, level, message, packageJson, ...properties }) => ({
+          ruleId: rule,
+          level: level ?? 'error',
+          message: { text: message },
+          locations: [{ physicalLocation: { artifactLocation: { uri: packageJson } } }],
+          properties,
+        })),
+      },
+    ],
+  };
+}
+
+/**
+ * Prints collected findings in the format requested with `--format`.
+ * Every finding is `{ rule, message, workspace, packageJson, dependency, found, expected }`,
+ * where `packageJson` is relative to the repo root, optionally with `level` ("error" by default).
+ * Manifest checks report the manifest `field` instead of the `dependency`.
+ * Text format is printed by the checkers themselves as they go, so there is nothing left to do.
+ */
+function report({ tool, rules, findings }) {
+  if (format === 'json') {
+    console.log(JSON.stringify({ tool, findings }, null, 2));
+  }
+  if (format === 'sarif') {
+    console.log(JSON.stringify(toSarif({ tool, rules, findings }), null, 2));
+  }
+}
+
+module.exports = { format, isText, log, report };
@@ -0,0 +1,101 @@
+const semver = require('semver');
+
+/**
+ * Extracts a semver range from a dependency version, stripping yarn protocols:
+ *   `workspace:^1.0.0`                         -> `^1.0.0`
+ *   `npm:^1.0.0`, `npm:@scope/pkg@^1.0.0`      -> `^1.0.0`
+ *   `patch:pkg@npm%3A^1.0.0#~/.yarn/patches/…` -> `^1.0.0`
+ * Returns `null` for anything that is not a valid range (git urls, dist tags like "latest", etc).
+ */
+function toRange(version) {
+  let range = version.trim();
+  if (range.startsWith('patch:')) {
+    range = decodeURIComponent(range.slice('patch:'.length).split('#')[0]);
+    range = range.slice(range.lastIndexOf('@') + 1);
+  }
+  if (range.startsWith('workspace:')) {
+    range = range.slice('workspace:'.length);
+  }
+  if (range.startsWith('npm:')) {
+    range = range.slice('npm:'.length);
+    if (range.lastIndexOf('@') > 0) {
+      range = range.slice(range.lastIndexOf('@') + 1);
+    }
+  }
+  return semver.validRange(range) ? range : null;
+}
+
+/**
+ * Protocol used to resolve a dependency version, workspace links are never interchangeable with
+ * versions resolved from the registry, even when their ranges overlap.
+ */
+function toProtocol(version) {
+  return version.trim().startsWith('workspace:') ? 'workspace' : 'npm';
+}
+
+/**
+ * Picks the narrowest range accepted by every declared range, so aligning consumers never widens
+ * what any of them accepts: a declared range when one is a subset of all the others, otherwise
+ * the `^`, `~` or exact range of the `recommended` version (only for plain semver ranges).
+ */
+function narrowest(versions, ranges, recommended) {
+  const isSubset = (range) => ranges.every((other) => semver.subset(range, other));
+  const declared = versions.filter((version) => isSubset(toRange(version)));
+  if (declared.length > 0) {
+    return declared.reduce((a, b) => (semver.subset(toRange(b), toRange(a)) ? b : a));
+  }
+  if (versions.some((version, i) => version.trim() !== ranges[i])) {
+    return null;
+  }
+  return [`^${recommended}`, `~${recommended}`, recommended].find(isSubset);
+}
+
+/**
+ * Picks a single version for a list of different versions of the same dependency.
+ *
+ * Versions using different protocols (`workspace:` links and registry ranges) are a conflict, and
+ * `expected` is always the `workspace:` version.
+ * When there is a version satisfying every range, the ranges overlap and `recommended` is the lowest
+ * such version; `expected` is the narrowest range accepted by all of them, see `narrowest`.
+ * Otherwise it is a conflict and `expected` is the declared version with the highest lower bound.
+ */
+function reconcile(versions) {
+  const protocols = [...new Set(versions.map(toProtocol))];
+
+  if (protocols.length > 1) {
+    const [expected] = versions
+      .filter((version) => toProtocol(version) === 'workspace')
+      .sort((a, b) => b.localeCompare(a));
+    return { expected, recommended: null, isConflict: true };
+  }
+
+  const ranges = versions.map(toRange);
+
+  if (ranges.some((range) => range === null)) {
+    // Nothing to compare semantically, fall back to the highest version string
+    const [expected] = [...versions].sort((a, b) => b.localeCompare(a));
+    return { expected, recommended: null, isConflict: true };
+  }
+
+  const minVersions = ranges.map((range) => semver.minVersion(range));
+  const recommended = [...minVersions]
+    .sort(semver.compare)
+    .find((version) => ranges.every((range) => semver.satisfies(version, range)));
+
+  if (!recommended) {
+    const highest = minVersions.reduce((a, b) => (semver.gt(b, a) ? b : a));
+    const expected = versions[minVersions.indexOf(highest)];
+    return { expected, recommended: null, isConflict: true };
+  }
+
+  const expected = narrowest(versions, ranges, recommended.version);
+
+  if (!expected) {
+    // Ranges intersect but aligning them would widen one of the consumers
+    return { expected: null, recommended: recommended.version, isConflict: true };
+  }
+
+  return { expected, recommended: recommended.version, isConflict: false };
+}
+
+module.exports = { toRange, toProtocol, reconcile };
@@ -0,0 +1,17 @@
+const fs = require('fs/promises');
+const prettier = require('prettier');
+
+const prettierOptions = JSON.parse(
+  require('fs').readFileSync(`${__dirname}/../../../.prettierrc`, 'utf8')
+);
+
+module.exports = async function writePackageJson(location, packageJson) {
+  await fs.writeFile(
+    `${location}/package.json`,
+    await prettier.format(JSON.stringify(packageJson, null, '  '), {
+      // same parser prettier itself picks for package.json files
+      parser: 'json-stringify',
+      ...prettierOptions,
+    })
+  );
+};
@@ -1,7 +1,14 @@
 #!/usr/bin/env node
 
+const cp = require('child_process');
+const fs = require('fs/promises');
 const path = require('path');
-const { fgReset, fgRed, fgGreen, fgCyan } = require('./lib/colors');
+const { fgReset, fgRed, fgGreen, fgYellow, fgCyan } = require('./lib/colors');
+const { isText, log, report } = require('./lib/report');
+const { reconcile } = require('./lib/versions');
+const writePackageJson = require('./lib/write-package-json');
+
+const isFix = process.argv.includes('--fix');
 
 // ignore certain deps that are explicitly mismatched versions
 function ignored({ parent, name, absolutePath }) {
@@ -10,72 +17,161 @@ function ignored({ parent, name, absolutePath }) {
   return parent === packageJson.name && ignoreMismatched.includes(name);
 }
 
+async function fix(mismatched) {
+  const byLocation = mismatched.reduce((result, item) => {
+    result[item.absolutePath] = result[item.absolutePath] || [];
+    result[item.absolutePath].push(item);
+    return result;
+  }, {});
+
+  let updatedPackages = 0;
+  let unresolved = 0;
+
+  await Object.entries(byLocation).reduce(async (promise, [absolutePath, items]) => {
+    await promise;
+
+    const packageJson = JSON.parse(await fs.readFile(`${absolutePath}/package.json`, 'utf-8'));
+    let isUpdated = false;
+
+    log('');
+    log(`${absolutePath}/package.json`);
+    log(`${fgCyan}  "name": "${packageJson.name}"${fgReset}`);
+
+    items.forEach(({ name, version, section, expected }) => {
+      if (!expected) {
+        log(`${fgYellow}    "${name}": "${version}" <-- FIX MANUALLY${fgReset}`);
+        unresolved = unresolved + 1;
+        return;
+      }
+      log(`${fgRed}    "${name}": "${version}"${fgReset} -> ${fgGreen}"${expected}"${fgReset}`);
+      packageJson[section][name] = expected;
+      isUpdated = true;
+    });
+
+    if (isUpdated) {
+      log(`...FIXING ${fgYellow}${absolutePath}/package.json${fgReset}`);
+      await writePackageJson(absolutePath, packageJson);
+      updatedPackages = updatedPackages + 1;
+    }
+  }, Promise.resolve());
+
+  if (updatedPackages > 0) {
+    log('');
+    log(`${fgGreen}Packages fixed: ${fgGreen}${updatedPackages}${fgReset}`);
+    // yarn output would break machine-readable formats on stdout, send it to stderr
+    cp.execSync('yarn install', { encoding: 'utf-8', stdio: isText ? 'inherit' : [0, 2, 2] });
+  }
+
+  if (unresolved > 0) {
+    log('');
+    log(`${fgRed}Versions need fixing manually: ${fgGreen}${unresolved}${fgReset}`);
+    throw new Error(`Versions need fixing manually: ${unresolved}`);
+  }
+}
+
 async function run() {
   const workspaces = await require('./lib/workspaces')();
   const ROOT = await require('./lib/exec')('yarn workspace synthetix-v3 exec pwd');
 
-  const { unique, mismatched: mismatchedUnfiltered } = workspaces
+  const consumersByName = workspaces
     .flatMap((p) => {
       const location = path.join(ROOT, p.location);
       const packageJson = require(`${location}/package.json`);
-      const { dependencies, devDependencies } = packageJson;
-      return Object.entries(dependencies || {})
-        .map(([name, version]) => [name, version, p])
-        .concat(Object.entries(devDependencies || {}).map(([name, version]) => [name, version, p]));
+      return ['dependencies', 'devDependencies'].flatMap((section) =>
+        Object.entries(packageJson[section] || {}).map(([name, version]) => ({
+          parent: p.name,
+          location: p.location,
+          absolutePath: location,
+          section,
+          name,
+          version,
+        }))
+      );
     })
-    .sort((a, b) => b[1].localeCompare(a[1])) // latest version first, sort DESC
-    .sort((a, b) => a[0].localeCompare(b[0])) // package name sorted ASC
-    .reduce(
-      (result, [name, version, context]) => {
-        if (version === 'latest') {
-          // Disallow "latest"
-          result.mismatched.push({
-            parent: context.name,
-            location: context.location,
-            absolutePath: path.join(ROOT, context.location),
-            name,
-            version,
-            //            expected: '^<EXACT VERSION>',
-            expected: '<EXACT VERSION>', // exact version
-          });
-          return result;
-        }
-        if (name in result.unique && version === result.unique[name]) {
-          // Keep only unique
-          return result;
-        }
-        if (name in result.unique && version !== result.unique[name]) {
-          result.mismatched.push({
-            parent: context.name,
-            location: context.location,
-            absolutePath: path.join(ROOT, context.location),
-            name,
-            version,
-            expected: result.unique[name],
-          });
-          return result;
-        }
-        result.unique[name] = version;
-        return result;
-      },
-      { unique: {}, mismatched: [] }
-    );
+    .filter((item) => !ignored(item))
+    .sort((a, b) => a.name.localeCompare(b.name)) // package name sorted ASC
+    .reduce((result, item) => {
+      result[item.name] = result[item.name] || [];
+      result[item.name].push(item);
+      return result;
+    }, {});
+
+  const mismatched = Object.values(consumersByName).flatMap((consumers) => {
+    // Disallow "latest", it is reconciled with whatever other workspaces use
+    const pinned = consumers.filter(({ version }) => version !== 'latest');
+    const versions = [...new Set(pinned.map(({ version }) => version))];
+    const resolution =
+      versions.length > 0
+        ? reconcile(versions)
+        : { expected: null, recommended: null, isConflict: true };
+
+    return consumers
+      .filter(({ version }) => version === 'latest' || versions.length > 1)
+      .filter(({ version }) => version !== resolution.expected)
+      .map((item) => ({
+        ...item,
+        ...resolution,
+        isConflict: item.version === 'latest' || resolution.isConflict,
+      }));
+  });
 
-  const mismatched = mismatchedUnfiltered.filter((item) => !ignored(item));
+  const conflicts = mismatched.filter(({ isConflict }) => isConflict);
+  const overlaps = mismatched.filter(({ isConflict }) => !isConflict);
 
-  mismatched.forEach(({ parent, name, version }) => {
-    console.log(
-      '⚠️ Dependency version mismatch',
+  conflicts.forEach(({ parent, name, version, expected }) => {
+    log(
+      '⚠️ Dependency version conflict',
       `${fgRed}"${name}@${version}"${fgReset} found in ${fgCyan}${parent}${fgReset}`,
-      `(another version found ${fgGreen}${unique[name]}${fgReset})`
+      `(expected ${fgGreen}${expected ?? '<EXACT VERSION>'}${fgReset})`
+    );
+  });
+
+  overlaps.forEach(({ parent, name, version, expected, recommended }) => {
+    log(
+      'ℹ️ Dependency version overlap',
+      `${fgYellow}"${name}@${version}"${fgReset} found in ${fgCyan}${parent}${fgReset}`,
+      `(compatible with ${fgGreen}${expected}${fgReset}, lowest version satisfying all ${fgGreen}${recommended}${fgReset})`
     );
   });
 
+  report({
+    tool: 'deps-mismatched',
+    rules: {
+      'mismatched-version': 'No version satisfies the ranges used by other workspaces',
+      'overlapping-version':
+        'Dependency range differs from, but is compatible with, other workspaces',
+    },
+    findings: mismatched.map(
+      ({ parent, location, name, version, expected, recommended, isConflict }) => ({
+        rule: isConflict ? 'mismatched-version' : 'overlapping-version',
+        level: isConflict ? 'error' : 'warning',
+        message: isConflict
+          ? `Dependency version conflict "${name}@${version}" found in ${parent}`
+          : `Dependency version overlap "${name}@${version}" found in ${parent}`,
+        workspace: parent,
+        packageJson: `${location}/package.json`,
+        dependency: name,
+        found: version,
+        expected,
+        recommended,
+      })
+    ),
+  });
+
+  if (mismatched.length > 0 && isFix) {
+    await fix(mismatched);
+    return;
+  }
+
   if (mismatched.length > 0) {
-    console.log('');
-    console.log(`${fgRed}Versions need fixing: ${fgGreen}${mismatched.length}${fgReset}`);
-    console.log(`${fgCyan}Run ${fgGreen}deps-mismatched --fix${fgReset}`);
-    throw new Error(`Versions need fixing: ${mismatched.length}`);
+    log('');
+    log(`${fgRed}Versions need fixing: ${fgGreen}${conflicts.length}${fgReset}`);
+    log(`${fgYellow}Versions can be aligned: ${fgGreen}${overlaps.length}${fgReset}`);
+    log(`${fgCyan}Run ${fgGreen}deps-mismatched --fix${fgReset}`);
+  }
+
+  if (conflicts.length > 0) {
+    throw new Error(`Versions need fixing: ${conflicts.length}`);
   }
 }
 
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+const fs = require('fs/promises');
+const { fgReset, fgRed, fgGreen, fgYellow, fgCyan } = require('./lib/colors');
+const { matchWorkspace } = require('./lib/match');
+const { log, report } = require('./lib/report');
+const writePackageJson = require('./lib/write-package-json');
+
+const isFix = process.argv.includes('--fix');
+
+// Rules are kept in the repo root, see workspace-policy.json:
+//   workspaces - workspace location or name patterns the rule applies to, e.g. "utils/*"
+//   published  - when set, only applies to published (true) or private (false) workspaces
+//   equals     - fields that must be equal to the given value, "${location}" and "${name}" are substituted
+//   required   - fields that must be present
+//   forbidden  - fields that must not be present
+//   scripts    - scripts that must be present
+//
+// Workspaces can opt out of some checks with "policy.ignore" in package.json, and override the
+// expected value of "equals" fields with "policy.equals", in the same style as the "depcheck" key,
+// e.g. `"policy": { "ignore": ["scripts.coverage"], "equals": { "files": ["contracts"] } }`
+const { rules } = JSON.parse(
+  require('fs').readFileSync(`${__dirname}/../../workspace-policy.json`, 'utf8')
+);
+
+const ignoredPackages = ['synthetix-v3'];
+
+const findingRules = {
+  'field-mismatch': 'Manifest field differs from the workspace policy',
+  'field-missing': 'Manifest field required by the workspace policy is missing',
+  'field-forbidden': 'Manifest field is forbidden by the workspace policy',
+  'script-missing': 'Script required by the workspace policy is missing',
+};
+
+function substitute(value, workspace) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(location|name)\}/g, (_, key) => workspace[key]);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => substitute(item, workspace));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, substitute(item, workspace)])
+    );
+  }
+  return value;
+}
+
+function isEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => isEqual(a[key], b[key]));
+  }
+  return a === b;
+}
+
+function applies(rule, workspace, packageJson) {
+  const isPublished = !packageJson.private;
+  return (
+    (rule.published === undefined || rule.published === isPublished) &&
+    (rule.workspaces ?? ['**']).some((pattern) => matchWorkspace(workspace, pattern))
+  );
+}
+
+// Returns list of `{ id, rule, found, expected, fix }`, `fix` is only set when it can be fixed automatically
+function check(workspace, packageJson) {
+  const ignore = packageJson.policy?.ignore ?? [];
+  const overrides = packageJson.policy?.equals ?? {};
+  return rules
+    .filter((rule) => applies(rule, workspace, packageJson))
+    .flatMap((rule) => [
+      ...Object.entries(substitute(rule.equals ?? {}, workspace))
+        .map(([field, expected]) => [field, field in overrides ? overrides[field] : expected])
+        .filter(([field, expected]) => !isEqual(packageJson[field], expected))
+        .map(([field, expected]) => ({
+          id: field,
+          rule: 'field-mismatch',
+          found: packageJson[field],
+          expected,
+          fix: (pkg) => {
+            pkg[field] = expected;
+          },
+        })),
+      ...(rule.required ?? [])
+        .filter((field) => !(field in packageJson))
+        .map((field) => ({ id: field, rule: 'field-missing', found: undefined, expected: '?' })),
+      ...(rule.forbidden ?? [])
+        .filter((field) => field in packageJson)
+        .map((field) => ({
+          id: field,
+          rule: 'field-forbidden',
+          found: packageJson[field],
+          expected: undefined,
+          fix: (pkg) => {
+            delete pkg[field];
+          },
+        })),
+      ...(rule.scripts ?? [])
+        .filter((script) => !(script in (packageJson.scripts ?? {})))
+        .map((script) => ({
+          id: `scripts.${script}`,
+          rule: 'script-missing',
+          found: undefined,
+          expected: '?',
+        })),
+    ])
+    .filter(({ id }) => !ignore.includes(id))
+    .filter(
+      // the same field can be checked by several rules
+      (violation, i, violations) => violations.findIndex(({ id }) => id === violation.id) === i
+    );
+}
+
+async function run() {
+  const workspacePackages = (await require('./lib/workspaces')()).filter(
+    ({ name }) => !ignoredPackages.includes(name)
+  );
+
+  const findings = [];
+  let updatedPackages = 0;
+  let unresolved = 0;
+
+  await workspacePackages.reduce(async (promise, workspace) => {
+    await promise;
+    const { location, name } = workspace;
+
+    const packageJson = JSON.parse(await fs.readFile(`${location}/package.json`, 'utf-8'));
+    const violations = check(workspace, packageJson);
+    if (!violations.length) {
+      return;
+    }
+
+    log('');
+    log(`${location}/package.json`);
+    log(`${fgCyan}  "name": "${name}"${fgReset}`);
+
+    violations.forEach(({ id, rule, found, expected, fix }) => {
+      findings.push({
+        rule,
+        message: `${findingRules[rule]}: "${id}" in ${name}`,
+        workspace: name,
+        packageJson: `${location}/package.json`,
+        field: id,
+        found: found ?? null,
+        expected: expected ?? null,
+      });
+      if (fix) {
+        log(
+          `${fgRed}    "${id}": ${JSON.stringify(found)}${fgReset}`,
+          `-> ${fgGreen}${JSON.stringify(expected)}${fgReset}`
+        );
+      } else {
+        log(`${fgYellow}    "${id}": ${JSON.stringify(found)} <-- FIX MANUALLY${fgReset}`);
+      }
+    });
+
+    const fixable = violations.filter(({ fix }) => fix);
+    unresolved = unresolved + violations.length - fixable.length;
+
+    if (isFix && fixable.length) {
+      fixable.forEach(({ fix }) => fix(packageJson));
+      log(`...FIXING ${fgYellow}${location}/package.json${fgReset}`);
+      await writePackageJson(location, packageJson);
+      updatedPackages = updatedPackages + 1;
+    }
+  }, Promise.resolve());
+
+  report({ tool: 'deps-policy', rules: findingRules, findings });
+
+  if (isFix && updatedPackages > 0) {
+    log('');
+    log(`${fgGreen}Packages fixed: ${fgGreen}${updatedPackages}${fgReset}`);
+  }
+
+  const failed = isFix ? unresolved : findings.length;
+  if (failed > 0) {
+    log('');
+    log(`${fgRed}Policy violations: ${fgGreen}${failed}${fgReset}`);
+    if (!isFix) {
+      log(`${fgCyan}Run ${fgGreen}deps-policy --fix${fgReset}`);
+    }
+    throw new Error(`Policy violations: ${failed}`);
+  }
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+const argValues = require('./lib/args');
+const exec = require('./lib/exec');
+const { workspaceGraph } = require('./lib/graph');
+const { format, log } = require('./lib/report');
+const { fgReset, fgGreen, fgYellow, fgCyan } = require('./lib/colors');
+
+// --range "v3.3.15..HEAD" - git range to collect changed files from, defaults to changes since main
+const [range = 'origin/main...HEAD'] = argValues('--range');
+
+// Files outside of any workspace, that affect every workspace when changed
+const globalFiles = ['package.json', 'yarn.lock', '.yarnrc.yml', 'tsconfig.json'];
+
+function workspaceOf(graph, file) {
+  // the most specific workspace wins, e.g. "markets/perps-market/subgraph" over "markets/perps-market"
+  return Object.values(graph)
+    .filter(({ location }) => location !== '.' && file.startsWith(`${location}/`))
+    .sort((a, b) => b.location.length - a.location.length)[0];
+}
+
+function dependentsOf(graph) {
+  return Object.values(graph).reduce(
+    (result, { name, deps }) => {
+      deps.forEach((dep) => result[dep].push(name));
+      return result;
+    },
+    Object.fromEntries(Object.keys(graph).map((name) => [name, []]))
+  );
+}
+
+// Dependencies go first, so the list can be built, tested and published in order
+function topologicalOrder(graph, names) {
+  const included = new Set(names);
+  const visited = new Set();
+  const ordered = [];
+
+  function visit(name) {
+    if (visited.has(name)) {
+      return;
+    }
+    visited.add(name);
+    graph[name].deps.filter((dep) => included.has(dep)).forEach(visit);
+    ordered.push(name);
+  }
+
+  [...names].sort().forEach(visit);
+  return ordered;
+}
+
+async function run() {
+  if (format === 'sarif') {
+    throw new Error('Unsupported format "sarif", expected one of: text, json');
+  }
+
+  const graph = await workspaceGraph();
+  const files = (await exec(`git diff --name-only ${range}`)).split('\n').filter(Boolean);
+
+  const isGlobal = files.some((file) => globalFiles.includes(file));
+  const changed = isGlobal
+    ? Object.keys(graph).filter((name) => graph[name].location !== '.')
+    : [...new Set(files.map((file) => workspaceOf(graph, file)?.name).filter(Boolean))];
+
+  // walk reverse dependency graph, everything depending on changed workspaces is affected too
+  const dependents = dependentsOf(graph);
+  const affected = new Set();
+  const queue = [...changed];
+  while (queue.length > 0) {
+    const name = queue.shift();
+    if (!affected.has(name) && graph[name].location !== '.') {
+      affected.add(name);
+      queue.push(...dependents[name]);
+    }
+  }
+
+  const ordered = topologicalOrder(graph, affected);
+  const plan = {
+    range,
+    files: files.length,
+    changed: topologicalOrder(graph, changed),
+    build: ordered,
+    test: ordered,
+    publish: ordered.filter((name) => !graph[name].isPrivate),
+    workspaces: ordered.map((name) => ({
+      name,
+      location: graph[name].location,
+      private: graph[name].isPrivate,
+      changed: changed.includes(name),
+    })),
+  };
+
+  if (format === 'json') {
+    console.log(JSON.stringify(plan, null, 2));
+    return;
+  }
+
+  log(`${fgGreen}Changed files in ${fgCyan}${range}${fgGreen}: ${fgCyan}${files.length}${fgReset}`);
+  if (isGlobal) {
+    log(`${fgYellow}Global files changed, every workspace is affected${fgReset}`);
+  }
+  log('');
+  log(`${fgGreen}Changed workspaces: ${fgCyan}${plan.changed.length}${fgReset}`);
+  plan.changed.forEach((name) => log(`  ${name}`));
+  log('');
+  log(`${fgGreen}Build and test, in order: ${fgCyan}${plan.build.length}${fgReset}`);
+  plan.build.forEach((name) => log(`  ${name} ${fgCyan}(${graph[name].location})${fgReset}`));
+  log('');
+  log(`${fgGreen}Publish, in order: ${fgCyan}${plan.publish.length}${fgReset}`);
+  plan.publish.forEach((name) => log(`  ${name}`));
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,15 +1,253 @@
 /* eslint-disable no-console */
 
+const { execFileSync } = require('child_process');
+const fs = require('fs');
 const path = require('path');
 
 const CWD = process.cwd();
 
+// Without TTY (e.g. CI logs) print a single line every N files instead of redrawing the progress
+const QUIET_INTERVAL = 250;
+const SUMMARY_SIZE = 10;
+
+const isTTY = Boolean(process.stdout.isTTY);
+
+const state = {
+  isStarted: false,
+  total: null,
+  checked: 0,
+  startedAt: 0,
+  lastFinishedAt: 0,
+  files: [],
+  rules: {},
+  tracked: new WeakSet(),
+  cacheSize: 0,
+};
+
+const now = () => Number(process.hrtime.bigint()) / 1e6;
+const ms = (value) => `${Math.round(value)}ms`;
+
+// eslint cli options followed by a value, e.g. `--ext .ts`
+const OPTIONS_WITH_VALUE = [
+  '-c',
+  '--config',
+  '--ext',
+  '--parser',
+  '--parser-options',
+  '--resolve-plugins-relative-to',
+  '--rulesdir',
+  '--plugin',
+  '--rule',
+  '--env',
+  '--global',
+  '--ignore-path',
+  '--ignore-pattern',
+  '-f',
+  '--format',
+  '-o',
+  '--output-file',
+  '--max-warnings',
+  '--cache-location',
+  '--cache-strategy',
+  '--stdin-filename',
+];
+
+// eslint lints .js files by default, and the ones matched by "overrides", .ts files on this repo
+const DEFAULT_EXTENSIONS = ['.js', '.ts'];
+
+function getArgs() {
+  const argv = process.argv.slice(2);
+  const patterns = argv.filter(
+    (arg, i) => !arg.startsWith('-') && !OPTIONS_WITH_VALUE.includes(argv[i - 1])
+  );
+  const extensions = argv
+    .filter((arg, i) => argv[i - 1] === '--ext')
+    .flatMap((arg) => arg.split(','))
+    .map((ext) => (ext.startsWith('.') ? ext : `.${ext}`));
+  return {
+    patterns: patterns.length ? patterns : ['.'],
+    extensions: extensions.length ? extensions : DEFAULT_EXTENSIONS,
+  };
+}
+
+function* walk(target, extensions) {
+  const stat = fs.statSync(target);
+  if (stat.isFile()) {
+    yield path.resolve(target);
+    return;
+  }
+  for (const entry of fs.readdirSync(target, { withFileTypes: true })) {
+    // same as the default ignore patterns of eslint
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+      continue;
+    }
+    const child = path.join(target, entry.name);
+    if (entry.isDirectory()) {
+      yield* walk(child, extensions);
+    } else if (extensions.includes(path.extname(entry.name))) {
+      yield path.resolve(child);
+    }
+  }
+}
+
+// isPathIgnored is only async, and eslint lints synchronously, so it runs on a child process
+const COUNT_SCRIPT = `
+const { ESLint } = require(process.argv[1]);
+const files = JSON.parse(require('fs').readFileSync(0, 'utf8'));
+const eslint = new ESLint();
+Promise.all(files.map((file) => eslint.isPathIgnored(file))).then((ignored) =>
+  console.log(ignored.filter((isIgnored) => !isIgnored).length)
+);
+`;
+
+// Counts files eslint is about to lint with the same patterns it was called with
+function countFiles() {
+  try {
+    const { patterns, extensions } = getArgs();
+    // glob patterns are not expanded, the total is left unknown
+    if (!patterns.every((pattern) => fs.existsSync(pattern))) {
+      return null;
+    }
+    const files = patterns.flatMap((pattern) => [...walk(pattern, extensions)]);
+    const output = execFileSync(process.execPath, ['-e', COUNT_SCRIPT, require.resolve('eslint')], {
+      cwd: CWD,
+      input: JSON.stringify(files),
+      encoding: 'utf8',
+    });
+    return Number(output.trim());
+  } catch {
+    return null;
+  }
+}
+
+// Rule id of every rule module loaded, core rules are named after their file and plugin rules
+// are prefixed with the plugin name, e.g. "no-unused-vars" or "@typescript-eslint/no-explicit-any"
+function* loadedRules() {
+  for (const [file, { exports }] of Object.entries(require.cache)) {
+    const core = file.match(/[\\/]node_modules[\\/]eslint[\\/]lib[\\/]rules[\\/]([\w-]+)\.js$/);
+    if (core && exports && typeof exports.create === 'function') {
+      yield [core[1], exports];
+      continue;
+    }
+    const plugin = file.match(
+      /[\\/]node_modules[\\/](?:(@[\w-]+)[\\/])?eslint-plugin(?:-([\w-]+))?[\\/]/
+    );
+    if (!plugin || !exports || typeof exports.rules !== 'object' || exports.rules === null) {
+      continue;
+    }
+    const prefix = [plugin[1], plugin[2]].filter(Boolean).join('/');
+    for (const [name, rule] of Object.entries(exports.rules)) {
+      if (rule && typeof rule.create === 'function') {
+        yield [`${prefix}/${name}`, rule];
+      }
+    }
+  }
+}
+
+function timed(id, fn) {
+  const start = now();
+  try {
+    return fn();
+  } finally {
+    state.rules[id] = (state.rules[id] ?? 0) + now() - start;
+  }
+}
+
+// Wraps the create function and the visitors of every rule loaded so far with timers, rules are
+// loaded lazily so it is repeated whenever there are new modules
+function trackRules() {
+  const size = Object.keys(require.cache).length;
+  if (size === state.cacheSize) {
+    return;
+  }
+  state.cacheSize = size;
+
+  for (const [id, rule] of loadedRules()) {
+    if (state.tracked.has(rule) || rule.create === create || Object.isFrozen(rule)) {
+      continue;
+    }
+    state.tracked.add(rule);
+    const original = rule.create;
+    rule.create = function (context) {
+      const listeners = timed(id, () => original.call(this, context));
+      return Object.fromEntries(
+        Object.entries(listeners).map(([selector, listener]) => [
+          selector,
+          function (...args) {
+            return timed(id, () => listener.apply(this, args));
+          },
+        ])
+      );
+    };
+  }
+}
+
+function printProgress(file, duration) {
+  const counter = state.total ? `${state.checked}/${state.total}` : `${state.checked}`;
+  if (isTTY) {
+    process.stdout.write(`\x1b[2K\rChecked: ${counter} ${ms(duration)} ${file}`);
+    if (state.checked === state.total) {
+      process.stdout.write('\n');
+    }
+    return;
+  }
+  if (state.checked % QUIET_INTERVAL === 0 || state.checked === state.total) {
+    console.log(`Checked: ${counter} files in ${ms(now() - state.startedAt)}`);
+  }
+}
+
+function printSummary() {
+  if (isTTY && state.checked !== state.total) {
+    process.stdout.write('\n');
+  }
+
+  console.log('');
+  console.log(`Checked ${state.checked} files in ${ms(now() - state.startedAt)}`);
+
+  console.log('');
+  console.log('Slowest files:');
+  [...state.files]
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, SUMMARY_SIZE)
+    .forEach(({ file, duration }) => console.log(`  ${ms(duration).padStart(8)}  ${file}`));
+
+  // Rules run before this one on the first file are not timed for it
+  console.log('');
+  console.log('Slowest rules:');
+  Object.entries(state.rules)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, SUMMARY_SIZE)
+    .forEach(([rule, duration]) => console.log(`  ${ms(duration).padStart(8)}  ${rule}`));
+}
+
+function start() {
+  state.isStarted = true;
+  state.total = countFiles();
+  state.startedAt = now();
+  state.lastFinishedAt = state.startedAt;
+  process.on('exit', printSummary);
+}
+
 function create(context) {
+  if (!state.isStarted) {
+    start();
+  }
+  trackRules();
+
   const filename = context.getFilename();
   const relativeFilePath = path.relative(CWD, filename);
 
-  console.log('Checked:', relativeFilePath);
-  return {};
+  return {
+    'Program:exit'() {
+      // measured from the previous file, so it includes reading and parsing as well
+      const finishedAt = now();
+      const duration = finishedAt - state.lastFinishedAt;
+      state.lastFinishedAt = finishedAt;
+      state.checked = state.checked + 1;
+      state.files.push({ file: relativeFilePath, duration });
+      printProgress(relativeFilePath, duration);
+    },
+  };
 }
 
 module.exports = {
@@ -1,6 +1,10 @@
 import './subtasks/generate-testable-storage';
 import './subtasks/get-source-units';
+import './subtasks/load-source';
 import './subtasks/parse-contents';
 import './subtasks/parse-dump';
+import './tasks/check-packages';
+import './tasks/diff';
 import './tasks/generate-testable';
+import './tasks/layout';
 import './tasks/verify';
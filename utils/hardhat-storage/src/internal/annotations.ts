@@ -0,0 +1,87 @@
+import { Node } from 'solidity-ast/node';
+
+export const STORAGE_IGNORE = '@custom:storage-ignore';
+export const STORAGE_ALLOW = '@custom:storage-allow';
+
+export type AllowKind = 'remove' | 'insert' | 'reorder' | 'rename' | 'type' | 'move';
+
+export interface Annotation {
+  tag: typeof STORAGE_IGNORE | typeof STORAGE_ALLOW;
+  kind?: AllowKind;
+  members: string[];
+  text: string;
+}
+
+const ALLOW_KINDS: AllowKind[] = ['remove', 'insert', 'reorder', 'rename', 'type', 'move'];
+
+/**
+ * Get the storage annotations declared on the NatSpec of the given node, e.g.:
+ *   - "@custom:storage-ignore": skip all the validations for the node
+ *   - "@custom:storage-ignore a b": skip all the validations for the members "a" and "b"
+ *   - "@custom:storage-allow rename a": allow renaming the struct member "a"
+ */
+export function getAnnotations(node: Node) {
+  const documentation = (node as { documentation?: { text: string } | string | null })
+    .documentation;
+  const text = typeof documentation === 'string' ? documentation : documentation?.text;
+  if (!text) return [];
+
+  const annotations: Annotation[] = [];
+
+  for (const line of text.split('\n')) {
+    const [tag, ...args] = line
+      .replace(/^\s*\*?\s*/, '')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    if (tag === STORAGE_IGNORE) {
+      annotations.push({ tag, members: args, text: [tag, ...args].join(' ') });
+    } else if (tag === STORAGE_ALLOW) {
+      const [kind, ...members] = args;
+
+      if (!ALLOW_KINDS.includes(kind as AllowKind)) {
+        throw new Error(
+          `Invalid "${line.trim()}" annotation, the allowed changes are: ${ALLOW_KINDS.join(', ')}`
+        );
+      }
+
+      annotations.push({
+        tag,
+        kind: kind as AllowKind,
+        members,
+        text: [tag, ...args].join(' '),
+      });
+    }
+  }
+
+  return annotations;
+}
+
+/**
+ * Find the first annotation from the given nodes that suppresses the validation, for the
+ * given change kind and member names when present.
+ */
+export function findSuppression(
+  nodes: Node[],
+  { kind, members = [] }: { kind?: AllowKind; members?: string[] } = {}
+) {
+  for (const node of nodes) {
+    const annotation = getAnnotations(node).find(
+      (annotation) =>
+        (annotation.tag === STORAGE_IGNORE || (kind && annotation.kind === kind)) &&
+        (!annotation.members.length || annotation.members.some((name) => members.includes(name)))
+    );
+
+    if (annotation) return annotation;
+  }
+}
+
+/**
+ * Render the storage annotations of the given node as NatSpec comments, so they are kept on
+ * the storage dump.
+ */
+export function renderAnnotations(node: Node) {
+  return getAnnotations(node)
+    .map(({ text }) => `/// ${text}\n`)
+    .join('');
+}
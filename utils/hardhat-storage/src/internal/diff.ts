@@ -0,0 +1,121 @@
+import { SourceUnit } from 'solidity-ast/types';
+import { getNamespacesLayout, MemberLayout, NamespaceLayout } from './layout-report';
+import { validateStorageMutations } from './validate-mutations';
+
+export interface NamespaceDiff {
+  namespace: string;
+  struct: string;
+  appends: MemberLayout[];
+  modifications: { from: MemberLayout; to: MemberLayout }[];
+  removals: MemberLayout[];
+}
+
+export interface StorageDiff {
+  namespaces: NamespaceDiff[];
+  unsafe: string[];
+  suppressed: string[];
+}
+
+/**
+ * Compares the storage namespaces between two versions, grouping the member changes of each
+ * namespace struct in appends, modifications and removals. Changes are unsafe when the
+ * storage mutations validation rejects them, unless suppressed by an annotation.
+ */
+export function diffStorage(prevSourceUnits: SourceUnit[], sourceUnits: SourceUnit[]) {
+  const prevNamespaces = _byNamespace(getNamespacesLayout(prevSourceUnits));
+  const currNamespaces = _byNamespace(getNamespacesLayout(sourceUnits));
+
+  const errors = validateStorageMutations({ sourceUnits, prevSourceUnits });
+  const unsafe = errors.filter((err) => !err.suppression).map((err) => err.message);
+  const suppressed = errors
+    .filter((err) => err.suppression)
+    .map((err) => `${err.message} (suppressed by "${err.suppression}")`);
+
+  const names = [...new Set([...prevNamespaces.keys(), ...currNamespaces.keys()])].sort();
+  const namespaces: NamespaceDiff[] = [];
+
+  for (const namespace of names) {
+    const prev = prevNamespaces.get(namespace);
+    const curr = currNamespaces.get(namespace);
+    const prevMembers = prev?.members || [];
+    const currMembers = curr?.members || [];
+
+    const result: NamespaceDiff = {
+      namespace,
+      struct: curr?.struct || prev!.struct,
+      appends: currMembers.filter(({ name }) => !prevMembers.some((m) => m.name === name)),
+      modifications: [],
+      removals: prevMembers.filter(({ name }) => !currMembers.some((m) => m.name === name)),
+    };
+
+    for (const from of prevMembers) {
+      const to = currMembers.find(({ name }) => name === from.name);
+      if (to && !_isSameLayout(from, to)) result.modifications.push({ from, to });
+    }
+
+    if (prev && curr && prev.struct !== curr.struct) {
+      result.struct = `${prev.struct} -> ${curr.struct}`;
+      if (result.modifications.length || result.removals.length) {
+        unsafe.push(`Storage namespace "${namespace}" changed struct from ${result.struct}`);
+      }
+    }
+
+    if (result.appends.length || result.modifications.length || result.removals.length) {
+      namespaces.push(result);
+    }
+  }
+
+  return { namespaces, unsafe, suppressed } as StorageDiff;
+}
+
+export function renderStorageDiff({ namespaces, unsafe, suppressed }: StorageDiff) {
+  const result: string[] = [];
+
+  for (const { namespace, struct, appends, modifications, removals } of namespaces) {
+    result.push(`${namespace} (${struct})`);
+
+    if (appends.length) {
+      result.push('  Appends:', ...appends.map((member) => `    + ${_renderMember(member)}`));
+    }
+
+    if (modifications.length) {
+      result.push(
+        '  Modifications:',
+        ...modifications.map(
+          ({ from, to }) => `    ~ ${_renderMember(from)} -> ${_renderMember(to, false)}`
+        )
+      );
+    }
+
+    if (removals.length) {
+      result.push('  Removals:', ...removals.map((member) => `    - ${_renderMember(member)}`));
+    }
+
+    result.push('');
+  }
+
+  if (!namespaces.length) result.push('No storage changes', '');
+
+  if (suppressed.length) {
+    result.push('Suppressed changes:', ...suppressed.map((message) => `  ${message}`), '');
+  }
+
+  if (unsafe.length) {
+    result.push('Unsafe changes:', ...unsafe.map((message) => `  ${message}`), '');
+  }
+
+  return result.join('\n');
+}
+
+function _byNamespace(namespaces: NamespaceLayout[]) {
+  return new Map(namespaces.map((item) => [item.namespace, item]));
+}
+
+function _isSameLayout(a: MemberLayout, b: MemberLayout) {
+  return a.type === b.type && a.slot === b.slot && a.offset === b.offset && a.size === b.size;
+}
+
+function _renderMember({ name, type, slot, offset, size }: MemberLayout, withName = true) {
+  const position = `slot ${slot} offset ${offset} size ${size}`;
+  return withName ? `${name}: ${type} (${position})` : `${type} (${position})`;
+}
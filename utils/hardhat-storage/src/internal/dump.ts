@@ -60,6 +60,20 @@ export async function dumpStorage(
   return result.join('\n');
 }
 
+/**
+ * Get the fully qualified name of every contract included on the given storage dump,
+ * indexed by contract name.
+ */
+export function getDumpArtifacts(dump: string) {
+  const artifacts: { [contractName: string]: string } = {};
+
+  for (const [, fqName] of dump.matchAll(/^\/\/ @custom:artifact (\S+)$/gm)) {
+    artifacts[fqName.split(':').pop()!] = fqName;
+  }
+
+  return artifacts;
+}
+
 function _renderPragmaDirective(sourceUnits: SourceUnit[]) {
   const sourceUnit = sourceUnits[sourceUnits.length - 1];
   // TODO: calculate the best solc version based on all the files, instead of using
@@ -1,8 +1,12 @@
 import { Node, YulNode } from 'solidity-ast/node';
 import { SourceUnit } from 'solidity-ast/types';
+import { Annotation } from './annotations';
 import { render } from './render';
 
-export class ValidationError extends Error {}
+export class ValidationError extends Error {
+  /** Annotation or configuration that suppressed the error, e.g. "@custom:storage-allow rename" */
+  suppression?: string;
+}
 
 /**
  * Create a ValidationError with a custom stack trace generated based on the
@@ -12,12 +16,15 @@ export function createError({
   message,
   sourceUnit,
   nodes = [],
+  suppression,
 }: {
   message: string;
   sourceUnit: SourceUnit;
   nodes: (Node | YulNode)[];
+  suppression?: Annotation;
 }) {
   const err = new ValidationError(message);
+  if (suppression) err.suppression = suppression.text;
   const [title] = err.stack!.split('\n');
   const stack: string[] = [];
 
@@ -3,6 +3,7 @@ import {
   ContractDefinition,
   FunctionDefinition,
   SourceUnit,
+  StructDefinition,
   VariableDeclaration,
   YulAssignment,
 } from 'solidity-ast/types';
@@ -29,6 +30,16 @@ export function* iterateVariables(
   }
 }
 
+export function* iterateStructs(
+  sourceUnits: SourceUnit[]
+): Generator<[SourceUnit, ContractDefinition, StructDefinition]> {
+  for (const [sourceUnit, contractNode] of iterateContracts(sourceUnits)) {
+    for (const structNode of findAll(contractNode, 'StructDefinition')) {
+      yield [sourceUnit, contractNode, structNode];
+    }
+  }
+}
+
 export function* iterateFunctions(
   sourceUnits: SourceUnit[],
   filter?: (node: FunctionDefinition) => boolean
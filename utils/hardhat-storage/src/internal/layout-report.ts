@@ -0,0 +1,116 @@
+import { ethers } from 'ethers';
+import { SourceUnit } from 'solidity-ast/types';
+import { iterateSlotAssignments } from './iterators';
+import { createStorageLayout, storageSize, StorageType } from './layout';
+import { render } from './render';
+import { findSlotValue, getSlotKey } from './slots';
+
+export interface NamespaceLayout {
+  contract: string;
+  struct: string;
+  namespace: string;
+  slot: string;
+  baseSlot: string | null;
+  slots: number;
+  members: MemberLayout[];
+}
+
+export interface MemberLayout {
+  name: string;
+  type: string;
+  slot: number;
+  offset: number;
+  size: number;
+}
+
+/**
+ * Get the layout of every struct loaded from a storage namespace, with the slot and byte offset
+ * of each member relative to the namespace slot. Members of nested structs are included using
+ * their full path, e.g. "position.size".
+ */
+export function getNamespacesLayout(sourceUnits: SourceUnit[]) {
+  const layout = createStorageLayout(sourceUnits);
+  const result: NamespaceLayout[] = [];
+
+  for (const [sourceUnit, contractNode, functionNode, yulAssignment] of iterateSlotAssignments(
+    sourceUnits
+  )) {
+    const slotValue = findSlotValue(contractNode, functionNode, yulAssignment);
+    const namespace = slotValue && getSlotKey(slotValue);
+    if (!slotValue || !namespace) continue;
+
+    // e.g. "store.slot := s" assigns the slot of the "store" return parameter
+    const [varName] = yulAssignment.variableNames[0].name.split('.');
+    const param = functionNode.returnParameters.parameters.find(({ name }) => name === varName);
+    if (!param?.typeName) continue;
+
+    const type = layout.getTypeLayout(param.typeName);
+    if (type.kind !== 'struct') continue;
+
+    const encode = slotValue.arguments[0];
+    const isStatic = encode.nodeType === 'FunctionCall' && encode.arguments.length === 1;
+
+    result.push({
+      contract: `${sourceUnit.absolutePath}:${contractNode.name}`,
+      struct: type.label,
+      namespace,
+      slot: render(slotValue),
+      baseSlot: isStatic
+        ? ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['string'], [namespace]))
+        : null,
+      slots: type.slots,
+      members: _flattenMembers(type),
+    });
+  }
+
+  return result.sort((a, b) => (a.namespace > b.namespace ? 1 : -1));
+}
+
+export function renderNamespacesLayout(namespaces: NamespaceLayout[]) {
+  const result: string[] = [];
+
+  for (const item of namespaces) {
+    result.push(
+      `## ${item.namespace}`,
+      '',
+      `\`${item.struct}\` from \`${item.contract}\`, using ${item.slots} slot${
+        item.slots === 1 ? '' : 's'
+      } from \`${item.slot}\``
+    );
+
+    if (item.baseSlot) result.push('', `Base slot: \`${item.baseSlot}\``);
+
+    result.push(
+      '',
+      '| Slot | Offset | Size | Member | Type |',
+      '| ---- | ------ | ---- | ------ | ---- |',
+      ...item.members.map(
+        ({ slot, offset, size, name, type }) =>
+          `| ${slot} | ${offset} | ${size} | ${name} | \`${type}\` |`
+      ),
+      ''
+    );
+  }
+
+  return result.join('\n');
+}
+
+function _flattenMembers(type: StorageType, prefix = '', baseSlot = 0): MemberLayout[] {
+  if (type.kind !== 'struct') return [];
+
+  return type.members.flatMap((member) => {
+    const name = `${prefix}${member.name}`;
+    const slot = baseSlot + member.slot;
+
+    return [
+      {
+        name,
+        type: member.type.label,
+        slot,
+        offset: member.offset,
+        size: storageSize(member.type),
+      },
+      ..._flattenMembers(member.type, `${name}.`, slot),
+    ];
+  });
+}
@@ -0,0 +1,193 @@
+import { findAll } from '@synthetixio/core-utils/utils/ast/finders';
+import {
+  ContractDefinition,
+  EnumDefinition,
+  SourceUnit,
+  StructDefinition,
+  TypeName,
+  UserDefinedValueTypeDefinition,
+  VariableDeclaration,
+} from 'solidity-ast/types';
+
+const SLOT_SIZE = 32;
+
+export type StorageType =
+  | { kind: 'value'; label: string; size: number }
+  | { kind: 'bytes'; label: string }
+  | { kind: 'mapping'; label: string; key: StorageType; value: StorageType }
+  | { kind: 'array'; label: string; base: StorageType; length?: number }
+  | StorageStruct;
+
+export interface StorageStruct {
+  kind: 'struct';
+  label: string;
+  members: StorageMember[];
+  slots: number;
+}
+
+export interface StorageMember {
+  name: string;
+  type: StorageType;
+  slot: number;
+  offset: number;
+  node: VariableDeclaration;
+}
+
+type Declaration =
+  | StructDefinition
+  | EnumDefinition
+  | ContractDefinition
+  | UserDefinedValueTypeDefinition;
+
+/**
+ * Calculates the storage layout of structs following the solidity rules, members are
+ * packed in slots of 32 bytes, while structs and arrays always start a new slot.
+ * https://docs.soliditylang.org/en/latest/internals/layout_in_storage.html
+ */
+export function createStorageLayout(sourceUnits: SourceUnit[]) {
+  const declarations = new Map<number, Declaration>();
+  const structs = new Map<number, StorageStruct>();
+
+  for (const sourceUnit of sourceUnits) {
+    for (const node of findAll(sourceUnit, [
+      'StructDefinition',
+      'EnumDefinition',
+      'ContractDefinition',
+      'UserDefinedValueTypeDefinition',
+    ])) {
+      if (!declarations.has(node.id)) declarations.set(node.id, node as Declaration);
+    }
+  }
+
+  function getStructLayout(structNode: StructDefinition): StorageStruct {
+    const cached = structs.get(structNode.id);
+    if (cached) return cached;
+
+    const result: StorageStruct = {
+      kind: 'struct',
+      label: structNode.canonicalName,
+      members: [],
+      slots: 0,
+    };
+
+    // Cache it before resolving members, structs can reference themselves through mappings
+    structs.set(structNode.id, result);
+
+    let slot = 0;
+    let offset = 0;
+
+    for (const node of structNode.members) {
+      const type = getTypeLayout(node.typeName!);
+      const size = storageSize(type);
+
+      if (offset > 0 && (type.kind !== 'value' || offset + size > SLOT_SIZE)) {
+        slot++;
+        offset = 0;
+      }
+
+      result.members.push({ name: node.name, type, slot, offset, node });
+
+      if (type.kind === 'value') {
+        offset += size;
+      } else {
+        slot += size / SLOT_SIZE;
+      }
+    }
+
+    result.slots = slot + (offset > 0 ? 1 : 0);
+
+    return result;
+  }
+
+  function getTypeLayout(typeName: TypeName): StorageType {
+    switch (typeName.nodeType) {
+      case 'ElementaryTypeName':
+        return _elementaryType(typeName.name);
+      case 'Mapping': {
+        const key = getTypeLayout(typeName.keyType);
+        const value = getTypeLayout(typeName.valueType);
+        return { kind: 'mapping', label: `mapping(${key.label} => ${value.label})`, key, value };
+      }
+      case 'ArrayTypeName': {
+        const base = getTypeLayout(typeName.baseType);
+        const length = typeName.typeDescriptions.typeString?.match(/\[(\d+)\]$/)?.[1];
+        return {
+          kind: 'array',
+          label: `${base.label}[${length ?? ''}]`,
+          base,
+          length: length ? Number.parseInt(length) : undefined,
+        };
+      }
+      case 'UserDefinedTypeName':
+        return _getUserDefinedTypeLayout(typeName.referencedDeclaration);
+      default:
+        throw new Error(`Storage layout of "${typeName.nodeType}" types is not supported`);
+    }
+  }
+
+  function _getUserDefinedTypeLayout(id: number): StorageType {
+    const declaration = declarations.get(id);
+
+    switch (declaration?.nodeType) {
+      case 'StructDefinition':
+        return getStructLayout(declaration);
+      case 'EnumDefinition':
+        return { kind: 'value', label: declaration.canonicalName, size: 1 };
+      case 'ContractDefinition':
+        return { kind: 'value', label: declaration.name, size: 20 };
+      case 'UserDefinedValueTypeDefinition':
+        return {
+          ...(getTypeLayout(declaration.underlyingType) as { kind: 'value'; size: number }),
+          label: declaration.canonicalName ?? declaration.name,
+        };
+      default:
+        throw new Error(`Could not find declaration with id ${id}`);
+    }
+  }
+
+  return { getStructLayout, getTypeLayout };
+}
+
+/**
+ * Amount of bytes used by the type, non value types always use full slots
+ */
+export function storageSize(type: StorageType): number {
+  switch (type.kind) {
+    case 'value':
+      return type.size;
+    case 'struct':
+      return type.slots * SLOT_SIZE;
+    case 'array': {
+      if (type.length === undefined) return SLOT_SIZE;
+      const baseSize = storageSize(type.base);
+      // Value items are packed, items of any other type start a new slot
+      if (type.base.kind === 'value') {
+        const perSlot = Math.floor(SLOT_SIZE / baseSize);
+        return Math.ceil(type.length / perSlot) * SLOT_SIZE;
+      }
+      return type.length * baseSize;
+    }
+    default:
+      return SLOT_SIZE;
+  }
+}
+
+function _elementaryType(name: string): StorageType {
+  if (name === 'string' || name === 'bytes') return { kind: 'bytes', label: name };
+  if (name === 'bool') return { kind: 'value', label: name, size: 1 };
+  if (name === 'address' || name === 'address payable') {
+    return { kind: 'value', label: name, size: 20 };
+  }
+
+  const [, type, bits] = name.match(/^(u?int|u?fixed)(\d+)?/) || [];
+  if (type) {
+    const isInt = type.endsWith('int');
+    const label = bits ? name : `${name}${isInt ? '256' : '128x18'}`;
+    return { kind: 'value', label, size: Number.parseInt(bits || (isInt ? '256' : '128')) / 8 };
+  }
+
+  const [, bytes] = name.match(/^bytes(\d+)$/) || [];
+  if (bytes) return { kind: 'value', label: name, size: Number.parseInt(bytes) };
+
+  throw new Error(`Storage layout of type "${name}" is not supported`);
+}
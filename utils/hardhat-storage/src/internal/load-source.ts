@@ -0,0 +1,65 @@
+import { execFileSync } from 'node:child_process';
+
+/**
+ * Minimal interface of the CannonStorage from "@usecannon/builder" used to read the
+ * sources of a deployed package.
+ */
+export interface PackageStorage {
+  readDeploy(packageRef: string, chainId: number): Promise<{ miscUrl: string } | null>;
+  readBlob(url: string): Promise<{ artifacts?: { [name: string]: unknown } }>;
+}
+
+/**
+ * Load the contents of the storage dump file committed on the given git ref, using a
+ * path relative to the given directory, e.g. loadGitDump(root, 'v3.3.4', 'storage.dump.sol')
+ */
+export function loadGitDump(cwd: string, ref: string, output: string) {
+  try {
+    return execFileSync('git', ['show', `${ref}:./${output}`], {
+      cwd,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    }).toString();
+  } catch (err) {
+    throw new Error(`Could not load "${output}" from git ref "${ref}"`);
+  }
+}
+
+/**
+ * Read the source code of the contracts of a cannon package deployment, and the solc
+ * version used to compile them.
+ */
+export async function readPackageSources(
+  storage: PackageStorage,
+  packageRef: string,
+  chainId: number
+) {
+  const deployData = await storage.readDeploy(packageRef, chainId);
+
+  if (!deployData) {
+    throw new Error(`Deployment of "${packageRef}" not found for chain ${chainId}`);
+  }
+
+  const miscData = await storage.readBlob(deployData.miscUrl);
+  const sources: { [sourceName: string]: string } = {};
+  let solcVersion: string | undefined;
+
+  for (const artifact of Object.values(miscData.artifacts || {}) as {
+    source?: { solcVersion: string; input: string };
+  }[]) {
+    if (!artifact.source) continue;
+    const input = JSON.parse(artifact.source.input);
+    for (const [sourceName, { content }] of Object.entries(
+      input.sources as { [sourceName: string]: { content: string } }
+    )) {
+      sources[sourceName] = content;
+    }
+    // e.g. "0.8.17+commit.8df45f5f"
+    solcVersion = artifact.source.solcVersion.split('+')[0];
+  }
+
+  if (!solcVersion) {
+    throw new Error(`Package "${packageRef}" does not include the source code of its contracts`);
+  }
+
+  return { sources, solcVersion };
+}
@@ -27,6 +27,7 @@ import {
   YulIdentifier,
   YulLiteral,
 } from 'solidity-ast/types';
+import { renderAnnotations } from './annotations';
 
 const TAB = '  ';
 
@@ -139,7 +140,8 @@ const _render = {
   },
 
   ArrayTypeName(node: ArrayTypeName): string {
-    return `${render(node.baseType)}[]`;
+    const length: string = node.length ? render(node.length) : '';
+    return `${render(node.baseType)}[${length}]`;
   },
 
   Literal(node: Literal) {
@@ -163,7 +165,8 @@ const _render = {
       .map(_renderSemicolons('ContractDefinition'))
       .map(_indent())
       .join('\n');
-    return [`${node.contractKind} ${node.name} {`, children, '}'].join('\n');
+    const title = `${renderAnnotations(node)}${node.contractKind} ${node.name}`;
+    return [`${title} {`, children, '}'].join('\n');
   },
 
   StructDefinition(node: StructDefinition) {
@@ -172,7 +175,7 @@ const _render = {
       .map(_renderSemicolons('StructDefinition'))
       .map(_indent())
       .join('\n');
-    return [`struct ${node.name} {`, vars, '}'].join('\n');
+    return [`${renderAnnotations(node)}struct ${node.name} {`, vars, '}'].join('\n');
   },
 
   FunctionDefinition(node: FunctionDefinition) {
@@ -191,7 +194,8 @@ const _render = {
     const semi = node.body ? '' : ';';
     const block: string = node.body ? render(node.body) : '';
 
-    return `function ${node.name}(${params}) ${attrs.join(' ')}${semi}${block}`;
+    const title = `${renderAnnotations(node)}function ${node.name}`;
+    return `${title}(${params}) ${attrs.join(' ')}${semi}${block}`;
   },
 
   ParameterList(node: ParameterList): string {
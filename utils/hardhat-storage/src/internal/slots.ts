@@ -0,0 +1,66 @@
+import { findOne } from '@synthetixio/core-utils/utils/ast/finders';
+import {
+  ContractDefinition,
+  FunctionCall,
+  FunctionDefinition,
+  VariableDeclaration,
+  YulAssignment,
+} from 'solidity-ast/types';
+
+/**
+ * Find the value assigned to the storage slot, which can be a contract constant or a
+ * value initialized inside the function, e.g.: keccak256(abi.encode("io.synthetix.Example", id))
+ */
+export function findSlotValue(
+  contractNode: ContractDefinition,
+  functionNode: FunctionDefinition,
+  yulAssignment: YulAssignment
+) {
+  const val = yulAssignment.value;
+  if (val.nodeType !== 'YulIdentifier') return;
+
+  const initialValue = findVariableDeclarationStatementOf(functionNode, val.name)?.initialValue;
+
+  if (initialValue?.nodeType === 'FunctionCall') return initialValue;
+  if (initialValue?.nodeType !== 'Identifier') return;
+
+  const constantDeclaration = contractNode.nodes.find(
+    (node) =>
+      node.nodeType === 'VariableDeclaration' && node.constant && node.name === initialValue.name
+  ) as VariableDeclaration | undefined;
+
+  if (constantDeclaration?.value?.nodeType === 'FunctionCall') return constantDeclaration.value;
+}
+
+export function findVariableDeclarationStatementOf(
+  functionNode: FunctionDefinition,
+  varName: string
+) {
+  return findOne(functionNode, 'VariableDeclarationStatement', (declarationStatement) => {
+    return !!findOne(declarationStatement, 'VariableDeclaration', ({ name }) => name === varName);
+  });
+}
+
+/**
+ * Get the first string key value from keccak256(abi.encode("slot-name", ...))
+ */
+export function getSlotKey(slotValue: FunctionCall) {
+  if (slotValue.nodeType !== 'FunctionCall') return;
+  if (slotValue.typeDescriptions.typeString !== 'bytes32') return;
+
+  const { expression } = slotValue;
+  if (expression.nodeType !== 'Identifier' || expression.name !== 'keccak256') return;
+  if (slotValue.arguments.length !== 1 || slotValue.arguments[0].nodeType !== 'FunctionCall')
+    return;
+
+  const encode = slotValue.arguments[0];
+  if (encode.expression.nodeType !== 'MemberAccess' || encode.expression.memberName !== 'encode')
+    return;
+
+  if (encode.arguments.length === 0) return;
+  const [slotKey] = encode.arguments;
+  if (slotKey.nodeType !== 'Literal' || slotKey.kind !== 'string') return;
+  if (typeof slotKey.value !== 'string' || !slotKey.value) return;
+
+  return slotKey.value;
+}
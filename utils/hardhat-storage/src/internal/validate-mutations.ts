@@ -0,0 +1,169 @@
+import { StructDefinition } from 'solidity-ast/types';
+import { AllowKind, findSuppression } from './annotations';
+import { createError, ValidationError } from './error';
+import { iterateStructs } from './iterators';
+import { createStorageLayout, StorageMember, StorageStruct, StorageType } from './layout';
+import { ValidateParams } from './validate';
+
+interface Mutation {
+  kind: AllowKind;
+  message: string;
+  members: string[];
+  member?: StorageMember;
+}
+
+/**
+ * Compares the structs with the ones from the previous storage dump, members can only be
+ * appended at the end. Removing, reordering, renaming or changing the storage layout of any
+ * of the existing members is not allowed, unless it is allowed by an annotation on the struct,
+ * e.g. "@custom:storage-allow rename __unused".
+ */
+export function validateStorageMutations({ sourceUnits, prevSourceUnits }: ValidateParams) {
+  if (!prevSourceUnits.length) return [];
+
+  const prevLayout = createStorageLayout(prevSourceUnits);
+  const currLayout = createStorageLayout(sourceUnits);
+
+  const prevStructs = new Map<string, StorageStruct>();
+  for (const [, , structNode] of iterateStructs(prevSourceUnits)) {
+    prevStructs.set(structNode.canonicalName, prevLayout.getStructLayout(structNode));
+  }
+
+  const errors: ValidationError[] = [];
+
+  for (const [sourceUnit, contractNode, structNode] of iterateStructs(sourceUnits)) {
+    const prevStruct = prevStructs.get(structNode.canonicalName);
+    if (!prevStruct) continue;
+
+    const currStruct = currLayout.getStructLayout(structNode);
+
+    for (const { kind, message, members, member } of _findMutations(
+      structNode,
+      prevStruct,
+      currStruct
+    )) {
+      errors.push(
+        createError({
+          message,
+          sourceUnit,
+          nodes: member ? [contractNode, structNode, member.node] : [contractNode, structNode],
+          suppression:
+            findSuppression([contractNode], { kind, members: [structNode.name] }) ||
+            findSuppression([structNode], { kind, members }),
+        })
+      );
+    }
+  }
+
+  return errors;
+}
+
+function _findMutations(
+  structNode: StructDefinition,
+  prevStruct: StorageStruct,
+  currStruct: StorageStruct
+) {
+  const mutations: Mutation[] = [];
+  const structName = `struct ${structNode.canonicalName}`;
+
+  for (const [index, prevMember] of prevStruct.members.entries()) {
+    const member = currStruct.members[index];
+
+    if (!member) {
+      mutations.push({
+        kind: 'remove',
+        message: `Storage member "${prevMember.name}" removed from ${structName}`,
+        members: [prevMember.name],
+      });
+      break;
+    }
+
+    if (member.name !== prevMember.name) {
+      const movedTo = currStruct.members.findIndex(({ name }) => name === prevMember.name);
+      const isExisting = prevStruct.members.some(({ name }) => name === member.name);
+
+      if (movedTo > index && !isExisting) {
+        mutations.push({
+          kind: 'insert',
+          message: `Storage member "${member.name}" inserted in the middle of ${structName}, new members can only be appended at the end`,
+          members: [member.name],
+          member,
+        });
+        break;
+      }
+
+      if (movedTo !== -1) {
+        mutations.push({
+          kind: 'reorder',
+          message: `Storage member "${prevMember.name}" of ${structName} moved from position ${index} to ${movedTo}`,
+          members: [prevMember.name],
+          member: currStruct.members[movedTo],
+        });
+        break;
+      }
+
+      if (isExisting) {
+        mutations.push({
+          kind: 'remove',
+          message: `Storage member "${prevMember.name}" removed from ${structName}`,
+          members: [prevMember.name],
+        });
+        break;
+      }
+
+      // The layout could still be the same, keep checking the rest of members
+      mutations.push({
+        kind: 'rename',
+        message: `Storage member "${prevMember.name}" of ${structName} renamed to "${member.name}"`,
+        members: [prevMember.name, member.name],
+        member,
+      });
+    }
+
+    if (_layoutId(member.type) !== _layoutId(prevMember.type)) {
+      mutations.push({
+        kind: 'type',
+        message:
+          member.type.label === prevMember.type.label
+            ? `Storage member "${member.name}" of ${structName} changed the storage layout of "${member.type.label}"`
+            : `Storage member "${member.name}" of ${structName} changed type from "${prevMember.type.label}" to "${member.type.label}", altering the storage layout`,
+        members: [member.name],
+        member,
+      });
+      break;
+    }
+
+    if (member.slot !== prevMember.slot || member.offset !== prevMember.offset) {
+      mutations.push({
+        kind: 'move',
+        message: `Storage member "${member.name}" of ${structName} moved from slot ${prevMember.slot} (offset ${prevMember.offset}) to slot ${member.slot} (offset ${member.offset})`,
+        members: [member.name],
+        member,
+      });
+      break;
+    }
+  }
+
+  return mutations;
+}
+
+/**
+ * Identifier of the storage layout of the given type, types with the same identifier can
+ * replace each other without affecting the values already in storage. e.g. uint256 and int256.
+ * Structs are identified by name, their own members are validated separately, but when they
+ * are items of an array their size is also included because it defines where each item is.
+ */
+function _layoutId(type: StorageType, isItem = false): string {
+  switch (type.kind) {
+    case 'value':
+      return `${type.size}`;
+    case 'bytes':
+      return 'bytes';
+    case 'mapping':
+      return `mapping(${_layoutId(type.key)} => ${_layoutId(type.value)})`;
+    case 'array':
+      return `${_layoutId(type.base, true)}[${type.length ?? ''}]`;
+    case 'struct':
+      return isItem ? `${type.label}(${type.slots})` : type.label;
+  }
+}
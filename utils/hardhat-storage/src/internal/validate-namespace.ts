@@ -1,20 +1,36 @@
-import { findOne } from '@synthetixio/core-utils/utils/ast/finders';
 import { Node, YulNode } from 'solidity-ast/node';
-import { FunctionCall, FunctionDefinition, VariableDeclaration } from 'solidity-ast/types';
+import {
+  ContractDefinition,
+  FunctionCall,
+  FunctionDefinition,
+  VariableDeclaration,
+} from 'solidity-ast/types';
+import { Annotation, findSuppression } from './annotations';
 import { createError } from './error';
 import { iterateSlotAssignments } from './iterators';
 import { isPresent } from './misc';
+import { findVariableDeclarationStatementOf, getSlotKey } from './slots';
 import { ValidateParams } from './validate';
 
+type SlotDeclaration = [ContractDefinition, FunctionDefinition];
+
 export function validateSlotNamespaceCollisions({ sourceUnits }: ValidateParams) {
-  const slots: string[] = [];
+  // Functions declaring each slot name, to check the annotations of both sides on collisions
+  const slots = new Map<string, SlotDeclaration>();
 
   return [...iterateSlotAssignments(sourceUnits)]
     .map(([sourceUnit, contractNode, functionNode, yulAssignment]) => {
-      const _error = (message: string, ...nodes: (Node | YulNode)[]) => ({
+      const declaration: SlotDeclaration = [contractNode, functionNode];
+
+      const _error = (
+        message: string,
+        node: Node | YulNode,
+        suppression: Annotation | undefined = _findSuppression(declaration)
+      ) => ({
         message,
         sourceUnit,
-        nodes: [contractNode, functionNode, ...nodes],
+        nodes: [contractNode, functionNode, node],
+        suppression,
       });
 
       const val = yulAssignment.value;
@@ -28,7 +44,7 @@ export function validateSlotNamespaceCollisions({ sourceUnits }: ValidateParams)
       }
 
       // Find when the value is declared inside the current function
-      const varStatement = _findVariableDeclarationStatementOf(functionNode, val.name);
+      const varStatement = findVariableDeclarationStatementOf(functionNode, val.name);
 
       if (!varStatement) {
         return _error(`Could not find variable declaration value for "${val.name}"`, val);
@@ -69,7 +85,7 @@ export function validateSlotNamespaceCollisions({ sourceUnits }: ValidateParams)
       }
 
       // Get the first string key value from keccak256(abi.encode("slot-name", ...))
-      const slotKey = _getSlotValueFromFunctionCall(slotValue);
+      const slotKey = getSlotKey(slotValue);
 
       if (!slotKey) {
         return _error(
@@ -78,39 +94,22 @@ export function validateSlotNamespaceCollisions({ sourceUnits }: ValidateParams)
         );
       }
 
-      if (slots.includes(slotKey)) {
-        return _error(`Store slot name repeated: ${slotKey}`, val);
+      const prevDeclaration = slots.get(slotKey);
+
+      if (prevDeclaration) {
+        return _error(
+          `Store slot name repeated: ${slotKey}`,
+          val,
+          _findSuppression(declaration) || _findSuppression(prevDeclaration)
+        );
       }
 
-      slots.push(slotKey);
+      slots.set(slotKey, declaration);
     })
     .filter(isPresent)
     .map((err) => createError(err));
 }
 
-function _findVariableDeclarationStatementOf(functionNode: FunctionDefinition, varName: string) {
-  return findOne(functionNode, 'VariableDeclarationStatement', (declarationStatement) => {
-    return !!findOne(declarationStatement, 'VariableDeclaration', ({ name }) => name === varName);
-  });
-}
-
-function _getSlotValueFromFunctionCall(slotValue: FunctionCall) {
-  if (slotValue.nodeType !== 'FunctionCall') return;
-  if (slotValue.typeDescriptions.typeString !== 'bytes32') return;
-
-  const { expression } = slotValue;
-  if (expression.nodeType !== 'Identifier' || expression.name !== 'keccak256') return;
-  if (slotValue.arguments.length !== 1 || slotValue.arguments[0].nodeType !== 'FunctionCall')
-    return;
-
-  const encode = slotValue.arguments[0];
-  if (encode.expression.nodeType !== 'MemberAccess' || encode.expression.memberName !== 'encode')
-    return;
-
-  if (encode.arguments.length === 0) return;
-  const [slotKey] = encode.arguments;
-  if (slotKey.nodeType !== 'Literal' || slotKey.kind !== 'string') return;
-  if (typeof slotKey.value !== 'string' || !slotKey.value) return;
-
-  return slotKey.value;
+function _findSuppression([contractNode, functionNode]: SlotDeclaration) {
+  return findSuppression([contractNode, functionNode], { members: [functionNode.name] });
 }
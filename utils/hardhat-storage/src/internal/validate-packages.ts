@@ -0,0 +1,143 @@
+import { ContractDefinition, FunctionDefinition, SourceUnit } from 'solidity-ast/types';
+import { Annotation, findSuppression } from './annotations';
+import { createError, ValidationError } from './error';
+import { iterateSlotAssignments } from './iterators';
+import { findSlotValue, getSlotKey } from './slots';
+
+export interface StoragePackage {
+  /** npm package name, e.g. "@synthetixio/main" */
+  name: string;
+  /** Package names accepted on its namespaces, e.g. ["main", "synthetix"] */
+  namespaces: string[];
+  /** Source units of the compiled storage dump of the package */
+  sourceUnits: SourceUnit[];
+  /** Fully qualified names of the contracts on the storage dump, see getDumpArtifacts */
+  artifacts: { [contractName: string]: string };
+}
+
+const NAMESPACE_REGEX = /^io\.synthetix\.([a-z0-9]+(?:-[a-z0-9]+)*)\.([A-Z][A-Za-z0-9_]*)$/;
+
+/**
+ * Validate the storage namespaces of all the given packages together, as they are combined
+ * behind the same router. Namespaces should follow the "io.synthetix.<package>.<Name>"
+ * convention, using the name of the package declaring the library, and should be unique
+ * across all the packages. Libraries imported from other packages are only checked once.
+ * Libraries imported from packages not given are checked with the names on packageNamespaces,
+ * e.g. { "@synthetixio/main": ["main", "synthetix"] }, or the last part of the package name.
+ * Namespaces already deployed can be allowed to skip the convention with the reason why, e.g.
+ *   { "io.synthetix.code-modules.Initialized": "Deployed with a typo on the package name" }
+ * but they are still checked for collisions.
+ */
+export function validatePackagesNamespaces(
+  packages: StoragePackage[],
+  {
+    allowedNamespaces = {},
+    packageNamespaces = {},
+  }: {
+    allowedNamespaces?: { [namespace: string]: string };
+    packageNamespaces?: { [packageName: string]: string[] };
+  } = {}
+) {
+  const errors: ValidationError[] = [];
+  const checked = new Set<string>();
+  const slots = new Map<string, { artifact: string; nodes: SlotDeclaration }>();
+
+  for (const pkg of packages) {
+    for (const [sourceUnit, contractNode, functionNode, yulAssignment] of iterateSlotAssignments(
+      pkg.sourceUnits
+    )) {
+      const slotValue = findSlotValue(contractNode, functionNode, yulAssignment);
+      const namespace = slotValue && getSlotKey(slotValue);
+
+      // Invalid slot assignments are already reported by validateSlotNamespaceCollisions
+      if (!namespace) continue;
+
+      const [sourceName] = (pkg.artifacts[contractNode.name] || sourceUnit.absolutePath).split(':');
+      const [packageName, packageSourceName] = _resolveSourceName(pkg.name, sourceName);
+      const artifact = `${packageName}/${packageSourceName}:${contractNode.name}`;
+      const id = `${artifact}.${functionNode.name}`;
+
+      if (checked.has(id)) continue;
+      checked.add(id);
+
+      const declaration: SlotDeclaration = [contractNode, functionNode];
+      const _error = (message: string, suppression?: Annotation) =>
+        createError({
+          message,
+          sourceUnit,
+          nodes: [contractNode, functionNode, yulAssignment],
+          suppression,
+        });
+
+      const _conventionError = (message: string) => {
+        const err = _error(message, _findSuppression(declaration));
+        if (!err.suppression && allowedNamespaces[namespace]) {
+          err.suppression = `allowed namespace: ${allowedNamespaces[namespace]}`;
+        }
+        return err;
+      };
+
+      const match = namespace.match(NAMESPACE_REGEX);
+      const namespaces = _getPackageNamespaces(packages, packageNamespaces, packageName);
+
+      if (!match) {
+        errors.push(
+          _conventionError(
+            `Storage namespace "${namespace}" of ${artifact} does not follow the "io.synthetix.<package>.<Name>" convention`
+          )
+        );
+      } else if (!namespaces.includes(match[1])) {
+        errors.push(
+          _conventionError(
+            `Storage namespace "${namespace}" of ${artifact} should start with ${namespaces
+              .map((name) => `"io.synthetix.${name}."`)
+              .join(' or ')}`
+          )
+        );
+      }
+
+      const prev = slots.get(namespace);
+
+      if (prev && prev.artifact !== artifact) {
+        errors.push(
+          _error(
+            `Store slot name repeated: ${namespace}, also used by ${prev.artifact}`,
+            _findSuppression(declaration) || _findSuppression(prev.nodes)
+          )
+        );
+      } else if (!prev) {
+        slots.set(namespace, { artifact, nodes: declaration });
+      }
+    }
+  }
+
+  return errors;
+}
+
+type SlotDeclaration = [ContractDefinition, FunctionDefinition];
+
+function _findSuppression([contractNode, functionNode]: SlotDeclaration) {
+  return findSuppression([contractNode, functionNode], { members: [functionNode.name] });
+}
+
+/**
+ * Get the package name and the source name inside of it, e.g.:
+ *   "@synthetixio/core-contracts/contracts/proxy/ProxyStorage.sol" is imported from
+ *   the "@synthetixio/core-contracts" package, while "contracts/storage/Pool.sol" is
+ *   a source from the package itself.
+ */
+function _resolveSourceName(packageName: string, absolutePath: string) {
+  if (!absolutePath.startsWith('@')) return [packageName, absolutePath];
+  const [scope, name, ...sourceName] = absolutePath.split('/');
+  return [`${scope}/${name}`, sourceName.join('/')];
+}
+
+function _getPackageNamespaces(
+  packages: StoragePackage[],
+  packageNamespaces: { [packageName: string]: string[] },
+  packageName: string
+) {
+  const pkg = packages.find(({ name }) => name === packageName);
+  if (pkg) return pkg.namespaces;
+  return packageNamespaces[packageName] || [packageName.split('/').pop()!];
+}
@@ -1,6 +1,7 @@
 import { VariableDeclaration } from 'solidity-ast/types';
 
 import { ValidateParams } from './validate';
+import { findSuppression } from './annotations';
 import { createError } from './error';
 import { iterateVariables } from './iterators';
 
@@ -12,6 +13,7 @@ export function validateMutableStateVariables({ sourceUnits }: ValidateParams) {
         'Unsafe state variable declaration. Mutable state variables cannot be declared on a contract behind a Proxy',
       sourceUnit,
       nodes: [contractNode, node],
+      suppression: findSuppression([contractNode, node], { members: [node.name] }),
     })
   );
 }
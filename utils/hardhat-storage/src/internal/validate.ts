@@ -1,4 +1,5 @@
 import { SourceUnit } from 'solidity-ast/types';
+import { validateStorageMutations } from './validate-mutations';
 import { validateSlotNamespaceCollisions } from './validate-namespace';
 import { validateMutableStateVariables } from './validate-variables';
 
@@ -8,5 +9,9 @@ export interface ValidateParams {
 }
 
 export function validate(params: ValidateParams) {
-  return [...validateMutableStateVariables(params), ...validateSlotNamespaceCollisions(params)];
+  return [
+    ...validateMutableStateVariables(params),
+    ...validateSlotNamespaceCollisions(params),
+    ...validateStorageMutations(params),
+  ];
 }
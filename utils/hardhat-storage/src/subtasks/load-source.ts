@@ -0,0 +1,124 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { findImportsRecursive } from '@synthetixio/core-utils/utils/ast/finders';
+import { compileSolidityFolder } from '@synthetixio/core-utils/utils/solidity/compiler';
+import { subtask } from 'hardhat/config';
+import { HardhatPluginError } from 'hardhat/plugins';
+import { SourceUnit } from 'solidity-ast/types';
+import { dumpStorage } from '../internal/dump';
+import { loadGitDump, readPackageSources } from '../internal/load-source';
+import { quietCompile } from '../internal/quiet-compile';
+import { SUBTASK_STORAGE_GET_SOURCE_UNITS, SUBTASK_STORAGE_LOAD_SOURCE } from '../task-names';
+
+const CANNON_PREFIX = 'cannon:';
+
+interface Params {
+  source?: string;
+  contracts: string[];
+  output: string;
+  chainId: number;
+}
+
+/**
+ * Get the storage dump source units of the given source, which can be:
+ *   - undefined: the dump is generated from the current contracts
+ *   - "cannon:<package>": the dump is generated from the sources recorded on the package
+ *   - any other value is a git ref to load the storage dump file from, e.g. "v3.3.4"
+ */
+subtask(SUBTASK_STORAGE_LOAD_SOURCE).setAction(
+  async ({ source, contracts, output, chainId }: Params, hre): Promise<SourceUnit[]> => {
+    const version = hre.config.solidity.compilers[0].version;
+
+    if (!source) {
+      await quietCompile(hre, true);
+      const sourceUnits = await hre.run(SUBTASK_STORAGE_GET_SOURCE_UNITS, { contracts });
+      return _compileDump(await dumpStorage(sourceUnits), version);
+    }
+
+    if (source.startsWith(CANNON_PREFIX)) {
+      const packageRef = source.slice(CANNON_PREFIX.length);
+      const { sources, solcVersion } = await _readCannonSources(packageRef, chainId);
+      const sourceUnits = await _compileSources(sources, contracts, solcVersion);
+      return _compileDump(await dumpStorage(sourceUnits, solcVersion), solcVersion);
+    }
+
+    let dump: string;
+
+    try {
+      dump = loadGitDump(hre.config.paths.root, source, output);
+    } catch (err) {
+      throw new HardhatPluginError('hardhat-storage', (err as Error).message, err as Error);
+    }
+
+    return _compileDump(dump, version);
+  }
+);
+
+async function _readCannonSources(packageRef: string, chainId: number) {
+  const { CannonStorage, IPFSLoader, getCannonRepoRegistryUrl } = await import(
+    '@usecannon/builder'
+  );
+  const { createDefaultReadRegistry, resolveCliSettings } = await import('@usecannon/cli');
+
+  const settings = resolveCliSettings();
+  const storage = new CannonStorage(await createDefaultReadRegistry(settings), {
+    ipfs: new IPFSLoader(settings.ipfsUrl || getCannonRepoRegistryUrl()),
+  });
+
+  try {
+    return await readPackageSources(storage, packageRef, chainId);
+  } catch (err) {
+    throw new HardhatPluginError('hardhat-storage', (err as Error).message, err as Error);
+  }
+}
+
+/**
+ * Compile the given sources, only keeping the ones matching the contracts whitelist and
+ * their imports, the same way as they are selected from the local contracts.
+ */
+async function _compileSources(
+  sources: { [sourceName: string]: string },
+  contracts: string[],
+  version: string
+) {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hardhat-storage-'));
+
+  try {
+    for (const [sourceName, content] of Object.entries(sources)) {
+      const target = path.join(rootDir, sourceName);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, content);
+    }
+
+    const sourceUnits = await compileSolidityFolder({
+      rootDir,
+      version,
+      sources: Object.keys(sources),
+    });
+
+    const { default: multimatch } = await import('multimatch');
+    const sourceNames = multimatch(
+      sourceUnits.map(({ absolutePath }) => absolutePath),
+      contracts
+    );
+    const included = new Set(
+      sourceNames.flatMap((sourceName) => findImportsRecursive(sourceName, sourceUnits))
+    );
+
+    return sourceUnits.filter(({ absolutePath }) => included.has(absolutePath));
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+}
+
+async function _compileDump(dump: string, version: string) {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hardhat-storage-'));
+
+  try {
+    await fs.writeFile(path.join(rootDir, 'storage.dump.sol'), dump);
+    return await compileSolidityFolder({ rootDir, version, sources: 'storage.dump.sol' });
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+}
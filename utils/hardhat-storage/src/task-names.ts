@@ -1,6 +1,10 @@
 export const SUBTASK_GENERATE_TESTABLE_STORAGE = 'storage:generate-testable-storage';
+export const SUBTASK_STORAGE_LOAD_SOURCE = 'storage:load-source';
 export const SUBTASK_STORAGE_GET_SOURCE_UNITS = 'storage:get-source-units';
 export const SUBTASK_STORAGE_PARSE_CONTENTS = 'storage:parse-contents';
 export const SUBTASK_STORAGE_PARSE_DUMP = 'storage:parse-dump';
 export const TASK_GENERATE_TESTABLE = 'generate-testable';
+export const TASK_STORAGE_CHECK_PACKAGES = 'storage:check-packages';
+export const TASK_STORAGE_DIFF = 'storage:diff';
+export const TASK_STORAGE_LAYOUT = 'storage:layout';
 export const TASK_STORAGE_VERIFY = 'storage:verify';
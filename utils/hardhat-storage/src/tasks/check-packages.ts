@@ -0,0 +1,160 @@
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import logger from '@synthetixio/core-utils/utils/io/logger';
+import { task } from 'hardhat/config';
+import { HardhatPluginError } from 'hardhat/plugins';
+import { getDumpArtifacts } from '../internal/dump';
+import { StoragePackage, validatePackagesNamespaces } from '../internal/validate-packages';
+import { SUBTASK_STORAGE_PARSE_CONTENTS, TASK_STORAGE_CHECK_PACKAGES } from '../task-names';
+
+interface Params {
+  systems: string[];
+  config: string;
+}
+
+/**
+ * Packages combined behind each router, and the namespaces already deployed that cannot follow
+ * the naming convention, with the reason why.
+ */
+interface SystemsConfig {
+  systems: { [system: string]: string[] };
+  allowedNamespaces?: { [namespace: string]: string };
+}
+
+task(
+  TASK_STORAGE_CHECK_PACKAGES,
+  'Validate the storage namespaces of the packages combined behind each router'
+)
+  .addOptionalParam(
+    'config',
+    'Systems configuration file relative to the root of the git repository',
+    'storage-systems.json'
+  )
+  .addOptionalVariadicPositionalParam(
+    'systems',
+    'Names of the systems to validate, by default all the configured ones',
+    []
+  )
+  .setAction(async ({ systems, config }: Params, hre) => {
+    const repoRoot = _getRepositoryRoot(hre.config.paths.root);
+    const { systems: configured, allowedNamespaces } = await _loadConfig(
+      path.resolve(repoRoot, config)
+    );
+
+    const names = systems.length ? systems : Object.keys(configured);
+    const unknown = names.filter((name) => !configured[name]);
+
+    if (unknown.length) {
+      throw new HardhatPluginError(
+        'hardhat-storage',
+        `Unknown systems ${unknown.join(', ')}, configured ones are: ${Object.keys(configured).join(
+          ', '
+        )}`
+      );
+    }
+
+    // Names accepted on the namespaces of every configured package, used for the libraries
+    // imported from packages of other systems, e.g. @synthetixio/main ones on perps-market
+    const packageNamespaces: { [packageName: string]: string[] } = {};
+    for (const dir of new Set(Object.values(configured).flat())) {
+      const { name, namespaces } = await _readPackage(path.resolve(repoRoot, dir));
+      packageNamespaces[name] = namespaces;
+    }
+
+    const failed: string[] = [];
+
+    for (const name of names) {
+      logger.subtitle(`Validating storage namespaces of ${name}`);
+
+      const packages: StoragePackage[] = [];
+
+      for (const packageDir of configured[name].map((dir) => path.resolve(repoRoot, dir))) {
+        const file = path.join(packageDir, 'storage.dump.sol');
+
+        logger.info(path.relative(repoRoot, file));
+
+        const dump = await fs.readFile(file, 'utf8');
+        const sourceUnits = await hre.run(SUBTASK_STORAGE_PARSE_CONTENTS, {
+          contents: { 'storage.dump.sol': dump },
+        });
+
+        packages.push({
+          ...(await _readPackage(packageDir)),
+          sourceUnits,
+          artifacts: getDumpArtifacts(dump),
+        });
+      }
+
+      const results = validatePackagesNamespaces(packages, {
+        allowedNamespaces,
+        packageNamespaces,
+      });
+      const errors = results.filter((err) => !err.suppression);
+
+      for (const err of results.filter((err) => err.suppression)) {
+        logger.notice(`${err.message} (suppressed by "${err.suppression}")`);
+      }
+
+      errors.forEach((err) => console.error(err, '\n'));
+
+      if (errors.length) failed.push(name);
+    }
+
+    if (failed.length) {
+      throw new HardhatPluginError(
+        'hardhat-storage',
+        `Storage namespaces validation failed for ${failed.join(', ')}`
+      );
+    }
+
+    logger.success(`Storage namespaces of ${names.length} systems are valid`);
+  });
+
+function _getRepositoryRoot(cwd: string) {
+  return execFileSync('git', ['rev-parse', '--show-toplevel'], {
+    cwd,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  })
+    .toString()
+    .trim();
+}
+
+/**
+ * Read the npm name of the package, and the names accepted on its namespaces: the last part of
+ * the npm name and the name of its folder, e.g. ["main", "synthetix"] for protocol/synthetix
+ */
+async function _readPackage(packageDir: string) {
+  const { name } = JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf8'));
+  const namespaces = [...new Set([name.split('/').pop(), path.basename(packageDir)])].filter(
+    (namespace) => /^[a-z0-9-]+$/.test(namespace)
+  );
+  return { name: name as string, namespaces };
+}
+
+async function _loadConfig(file: string) {
+  let config: SystemsConfig;
+
+  try {
+    config = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    throw new HardhatPluginError('hardhat-storage', `Could not load systems config "${file}"`);
+  }
+
+  const systems = Object.entries(config.systems || {});
+
+  if (
+    !systems.length ||
+    systems.some(
+      ([, packages]) =>
+        !Array.isArray(packages) || !packages.every((dir) => typeof dir === 'string')
+    )
+  ) {
+    throw new HardhatPluginError(
+      'hardhat-storage',
+      `Invalid systems config "${file}", expected e.g. { "systems": { "synthetix": ["protocol/synthetix"] } }`
+    );
+  }
+
+  return { systems: config.systems, allowedNamespaces: config.allowedNamespaces || {} };
+}
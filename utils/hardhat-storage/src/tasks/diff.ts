@@ -0,0 +1,64 @@
+import * as types from '@synthetixio/core-utils/utils/hardhat/argument-types';
+import logger from '@synthetixio/core-utils/utils/io/logger';
+import { task, types as hardhatTypes } from 'hardhat/config';
+import { HardhatPluginError } from 'hardhat/plugins';
+import { diffStorage, renderStorageDiff } from '../internal/diff';
+import { SUBTASK_STORAGE_LOAD_SOURCE, TASK_STORAGE_DIFF } from '../task-names';
+
+interface Params {
+  from: string;
+  to?: string;
+  contracts: string[];
+  output: string;
+  chainId: number;
+}
+
+task(TASK_STORAGE_DIFF, 'Compare the storage between two git refs or cannon packages')
+  .addPositionalParam(
+    'from',
+    'Git ref to load the storage dump from, or "cannon:<package>" to generate it from a cannon package'
+  )
+  .addOptionalPositionalParam(
+    'to',
+    'Same as "from", when not given the storage of the current contracts is used'
+  )
+  .addOptionalParam(
+    'contracts',
+    'Optional whitelist of contracts to get the storage values from',
+    [
+      'contracts/**',
+      '!contracts/routers/**',
+      '!contracts/generated/**',
+      '!contracts/mocks/**',
+      '!contracts/Router.sol',
+    ],
+    types.stringArray
+  )
+  .addOptionalParam(
+    'output',
+    'Storage dump file relative to the root of the project',
+    'storage.dump.sol'
+  )
+  .addOptionalParam(
+    'chainId',
+    'Chain id of the deployments of the cannon packages',
+    13370,
+    hardhatTypes.int
+  )
+  .setAction(async ({ from, to, contracts, output, chainId }: Params, hre) => {
+    logger.subtitle(`Comparing storage from ${from} to ${to || 'current contracts'}`);
+
+    const params = { contracts, output, chainId };
+    const prevSourceUnits = await hre.run(SUBTASK_STORAGE_LOAD_SOURCE, { ...params, source: from });
+    const sourceUnits = await hre.run(SUBTASK_STORAGE_LOAD_SOURCE, { ...params, source: to });
+
+    const diff = diffStorage(prevSourceUnits, sourceUnits);
+
+    console.log(renderStorageDiff(diff));
+
+    if (diff.unsafe.length) {
+      throw new HardhatPluginError('hardhat-storage', 'Unsafe storage changes found');
+    }
+
+    return diff;
+  });
@@ -0,0 +1,65 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import * as types from '@synthetixio/core-utils/utils/hardhat/argument-types';
+import logger from '@synthetixio/core-utils/utils/io/logger';
+import { task } from 'hardhat/config';
+import { getNamespacesLayout, renderNamespacesLayout } from '../internal/layout-report';
+import { quietCompile } from '../internal/quiet-compile';
+import { SUBTASK_STORAGE_GET_SOURCE_UNITS, TASK_STORAGE_LAYOUT } from '../task-names';
+
+interface Params {
+  contracts?: string[];
+  output?: string;
+  format?: 'markdown' | 'json';
+}
+
+task(
+  TASK_STORAGE_LAYOUT,
+  'Show the slot and byte offset of every member of the structs stored in storage namespaces'
+)
+  .addOptionalParam(
+    'contracts',
+    'Optional whitelist of contracts to get the storage values from',
+    [
+      'contracts/**',
+      '!contracts/routers/**',
+      '!contracts/generated/**',
+      '!contracts/mocks/**',
+      '!contracts/Router.sol',
+    ],
+    types.stringArray
+  )
+  .addOptionalParam(
+    'output',
+    'Optional file relative to the root of the project to write the layout to'
+  )
+  .addOptionalParam(
+    'format',
+    'Output format, "markdown" or "json"',
+    'markdown',
+    types.oneOf('markdown', 'json')
+  )
+  .setAction(async ({ contracts, output, format }: Required<Params>, hre) => {
+    await quietCompile(hre, true);
+
+    const sourceUnits = await hre.run(SUBTASK_STORAGE_GET_SOURCE_UNITS, { contracts });
+    const namespaces = getNamespacesLayout(sourceUnits);
+
+    const result =
+      format === 'json'
+        ? JSON.stringify(namespaces, null, 2)
+        : `# Storage Layout\n\n${renderNamespacesLayout(namespaces)}`;
+
+    if (!output) {
+      console.log(result);
+      return namespaces;
+    }
+
+    const target = path.resolve(hre.config.paths.root, output);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, `${result}\n`);
+
+    logger.success(`Storage layout of ${namespaces.length} namespaces written to ${output}`);
+
+    return namespaces;
+  });
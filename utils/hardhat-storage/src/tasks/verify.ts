@@ -56,7 +56,13 @@ task(
     const sourceUnits = await hre.run(SUBTASK_STORAGE_GET_SOURCE_UNITS, { contracts });
     const prevSourceUnits = await hre.run(SUBTASK_STORAGE_PARSE_DUMP, { output });
 
-    const errors = validate({ sourceUnits, prevSourceUnits });
+    const results = validate({ sourceUnits, prevSourceUnits });
+    const errors = results.filter((err) => !err.suppression);
+    const suppressed = results.filter((err) => err.suppression);
+
+    for (const err of suppressed) {
+      logger.notice(`${err.message} (suppressed by "${err.suppression}")`);
+    }
 
     errors.forEach((err) => console.error(err, '\n'));
 
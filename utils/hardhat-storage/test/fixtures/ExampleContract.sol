@@ -13,10 +13,15 @@ contract ExampleContract {
         PYTH
     }
 
+    /**
+     * @notice Example storage
+     * @custom:storage-allow rename values
+     */
     struct Data {
         address owner;
         mapping(address => uint128) permissions;
         NodeType nodeType;
+        uint64[4] values;
     }
 
     uint128 public constant SOME_CONSTANT = 445;
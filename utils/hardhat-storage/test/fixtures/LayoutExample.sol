@@ -0,0 +1,38 @@
+//SPDX-License-Identifier: MIT
+pragma solidity >=0.8.11 <0.9.0;
+
+library LayoutExample {
+    enum Kind {
+        NONE,
+        SOME
+    }
+
+    struct Position {
+        uint128 size;
+        int128 price;
+        uint256 margin;
+    }
+
+    struct Data {
+        address owner;
+        Kind kind;
+        Position position;
+        uint64[5] values;
+        mapping(address => uint256) balances;
+        bool active;
+    }
+
+    function load() internal pure returns (Data storage store) {
+        bytes32 s = keccak256(abi.encode("io.synthetix.hardhat-storage.LayoutExample"));
+        assembly {
+            store.slot := s
+        }
+    }
+
+    function loadPosition(uint128 id) internal pure returns (Position storage store) {
+        bytes32 s = keccak256(abi.encode("io.synthetix.hardhat-storage.Position", id));
+        assembly {
+            store.slot := s
+        }
+    }
+}
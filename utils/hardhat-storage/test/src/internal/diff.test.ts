@@ -0,0 +1,82 @@
+import { compileSolidityContents } from '@synthetixio/core-utils/utils/solidity/compiler';
+import { diffStorage, renderStorageDiff } from '../../../src/internal/diff';
+
+const version = '0.8.17';
+
+function _storage(members: string, namespaces = ['Example']) {
+  return `// SPDX-License-Identifier: UNLICENSED
+pragma solidity ${version};
+
+library Example {
+    struct Data {
+        ${members}
+    }
+
+${namespaces
+  .map(
+    (name) => `    function load${name}() internal pure returns (Data storage store) {
+        bytes32 s = keccak256(abi.encode("io.synthetix.hardhat-storage.${name}"));
+        assembly {
+            store.slot := s
+        }
+    }`
+  )
+  .join('\n\n')}
+}
+`;
+}
+
+async function _diff(prev: string, curr: string) {
+  const prevSourceUnits = await compileSolidityContents({ 'storage.dump.sol': prev }, version);
+  const sourceUnits = await compileSolidityContents({ 'storage.dump.sol': curr }, version);
+  return diffStorage(prevSourceUnits, sourceUnits);
+}
+
+describe('internal/diff.ts', function () {
+  jest.setTimeout(120000);
+
+  it('does not find changes on the same storage', async function () {
+    const diff = await _diff(_storage('uint256 a;'), _storage('uint256 a;'));
+    expect(diff).toEqual({ namespaces: [], unsafe: [], suppressed: [] });
+    expect(renderStorageDiff(diff)).toBe('No storage changes\n');
+  });
+
+  it('groups appended members and namespaces', async function () {
+    const diff = await _diff(
+      _storage('uint256 a;'),
+      _storage('uint256 a; uint128 b;', ['Example', 'Other'])
+    );
+
+    expect(diff.unsafe).toEqual([]);
+    expect(diff.namespaces.map(({ namespace }) => namespace)).toEqual([
+      'io.synthetix.hardhat-storage.Example',
+      'io.synthetix.hardhat-storage.Other',
+    ]);
+    expect(diff.namespaces[0].appends).toEqual([
+      { name: 'b', type: 'uint128', slot: 1, offset: 0, size: 16 },
+    ]);
+    expect(diff.namespaces[1].appends.map(({ name }) => name)).toEqual(['a', 'b']);
+  });
+
+  it('reports modifications and removals as unsafe', async function () {
+    const diff = await _diff(
+      _storage('uint128 a; uint128 b; uint256 c;'),
+      _storage('uint256 a; uint128 b;')
+    );
+
+    expect(renderStorageDiff(diff)).toBe(
+      [
+        'io.synthetix.hardhat-storage.Example (Example.Data)',
+        '  Modifications:',
+        '    ~ a: uint128 (slot 0 offset 0 size 16) -> uint256 (slot 0 offset 0 size 32)',
+        '    ~ b: uint128 (slot 0 offset 16 size 16) -> uint128 (slot 1 offset 0 size 16)',
+        '  Removals:',
+        '    - c: uint256 (slot 1 offset 0 size 32)',
+        '',
+        'Unsafe changes:',
+        '  Storage member "a" of struct Example.Data changed type from "uint128" to "uint256", altering the storage layout',
+        '',
+      ].join('\n')
+    );
+  });
+});
@@ -0,0 +1,59 @@
+import path from 'node:path';
+import { compileSolidityFolder } from '@synthetixio/core-utils/utils/solidity/compiler';
+import { getNamespacesLayout, renderNamespacesLayout } from '../../../src/internal/layout-report';
+
+const version = '0.8.17';
+
+describe('internal/layout-report.ts', function () {
+  jest.setTimeout(120000);
+
+  async function _getLayout() {
+    const sourceUnits = await compileSolidityFolder({
+      version,
+      rootDir: path.resolve(__dirname, '..', '..', 'fixtures'),
+      sources: 'LayoutExample.sol',
+    });
+
+    return getNamespacesLayout(sourceUnits);
+  }
+
+  it('calculates the layout of nested structs, fixed arrays, mappings and enums', async function () {
+    const [data] = await _getLayout();
+
+    expect(data).toEqual({
+      contract: 'LayoutExample.sol:LayoutExample',
+      struct: 'LayoutExample.Data',
+      namespace: 'io.synthetix.hardhat-storage.LayoutExample',
+      slot: 'keccak256(abi.encode("io.synthetix.hardhat-storage.LayoutExample"))',
+      baseSlot: '0xda31cd883e4a3db2486be530f5fb9651effbdeb8a024b20fba700d764dc927d0',
+      slots: 7,
+      members: [
+        { name: 'owner', type: 'address', slot: 0, offset: 0, size: 20 },
+        { name: 'kind', type: 'LayoutExample.Kind', slot: 0, offset: 20, size: 1 },
+        { name: 'position', type: 'LayoutExample.Position', slot: 1, offset: 0, size: 64 },
+        { name: 'position.size', type: 'uint128', slot: 1, offset: 0, size: 16 },
+        { name: 'position.price', type: 'int128', slot: 1, offset: 16, size: 16 },
+        { name: 'position.margin', type: 'uint256', slot: 2, offset: 0, size: 32 },
+        { name: 'values', type: 'uint64[5]', slot: 3, offset: 0, size: 64 },
+        { name: 'balances', type: 'mapping(address => uint256)', slot: 5, offset: 0, size: 32 },
+        { name: 'active', type: 'bool', slot: 6, offset: 0, size: 1 },
+      ],
+    });
+  });
+
+  it('does not calculate the base slot of dynamic namespaces', async function () {
+    const [, position] = await _getLayout();
+
+    expect(position.namespace).toBe('io.synthetix.hardhat-storage.Position');
+    expect(position.slot).toBe(
+      'keccak256(abi.encode("io.synthetix.hardhat-storage.Position", id))'
+    );
+    expect(position.baseSlot).toBe(null);
+    expect(position.slots).toBe(2);
+  });
+
+  it('renders a markdown table for each namespace', async function () {
+    const result = renderNamespacesLayout(await _getLayout());
+    expect(result).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,89 @@
+import path from 'node:path';
+import { compileSolidityContents } from '@synthetixio/core-utils/utils/solidity/compiler';
+import { getDumpArtifacts } from '../../../src/internal/dump';
+import { loadGitDump, PackageStorage, readPackageSources } from '../../../src/internal/load-source';
+
+const version = '0.8.17';
+const sampleProject = path.resolve(__dirname, '..', '..', '..', '..', 'sample-project');
+
+function _createStorage(artifacts?: { [name: string]: unknown }): PackageStorage {
+  return {
+    readDeploy: async (packageRef) =>
+      packageRef === 'synthetix-sample:1.0.0' ? { miscUrl: 'ipfs://misc' } : null,
+    readBlob: async () => ({ artifacts }),
+  };
+}
+
+describe('internal/load-source.ts', function () {
+  jest.setTimeout(120000);
+
+  describe('loadGitDump', function () {
+    it('loads the storage dump committed on the given ref', async function () {
+      const dump = loadGitDump(sampleProject, 'HEAD', 'storage.dump.sol');
+
+      expect(getDumpArtifacts(dump).GlobalStorage).toEqual(
+        'contracts/storage/GlobalStorage.sol:GlobalStorage'
+      );
+
+      const sourceUnits = await compileSolidityContents({ 'storage.dump.sol': dump }, version);
+      expect(sourceUnits.map(({ absolutePath }) => absolutePath)).toEqual(['storage.dump.sol']);
+    });
+
+    it('fails on an unknown ref', function () {
+      expect(() => loadGitDump(sampleProject, 'unknown-ref', 'storage.dump.sol')).toThrow(
+        'Could not load "storage.dump.sol" from git ref "unknown-ref"'
+      );
+    });
+
+    it('fails on a file not committed on the ref', function () {
+      expect(() => loadGitDump(sampleProject, 'HEAD', 'missing.dump.sol')).toThrow(
+        'Could not load "missing.dump.sol" from git ref "HEAD"'
+      );
+    });
+  });
+
+  describe('readPackageSources', function () {
+    it('reads the sources and solc version of the package artifacts', async function () {
+      const input = {
+        sources: {
+          'contracts/Storage.sol': { content: 'library Storage {}' },
+          'contracts/Module.sol': { content: 'contract Module {}' },
+        },
+      };
+
+      const storage = _createStorage({
+        Module: { source: { solcVersion: '0.8.17+commit.8df45f5f', input: JSON.stringify(input) } },
+      });
+
+      expect(await readPackageSources(storage, 'synthetix-sample:1.0.0', 13370)).toEqual({
+        sources: {
+          'contracts/Storage.sol': 'library Storage {}',
+          'contracts/Module.sol': 'contract Module {}',
+        },
+        solcVersion: '0.8.17',
+      });
+    });
+
+    it('fails on a package without deployment on the chain', async function () {
+      await expect(readPackageSources(_createStorage({}), 'unknown:1.0.0', 13370)).rejects.toThrow(
+        'Deployment of "unknown:1.0.0" not found for chain 13370'
+      );
+    });
+
+    it('fails on a package without sources', async function () {
+      const storage = _createStorage({ Module: { abi: [] } });
+
+      await expect(readPackageSources(storage, 'synthetix-sample:1.0.0', 13370)).rejects.toThrow(
+        'Package "synthetix-sample:1.0.0" does not include the source code of its contracts'
+      );
+    });
+
+    it('fails on a package without artifacts', async function () {
+      await expect(
+        readPackageSources(_createStorage(), 'synthetix-sample:1.0.0', 13370)
+      ).rejects.toThrow(
+        'Package "synthetix-sample:1.0.0" does not include the source code of its contracts'
+      );
+    });
+  });
+});
@@ -0,0 +1,206 @@
+import { compileSolidityContents } from '@synthetixio/core-utils/utils/solidity/compiler';
+import { validateStorageMutations } from '../../../src/internal/validate-mutations';
+
+const version = '0.8.17';
+
+function _storage(members: string, extra = '', annotations = '') {
+  return `// SPDX-License-Identifier: UNLICENSED
+pragma solidity ${version};
+
+library Example {
+    enum Kind {
+        NONE,
+        SOME
+    }
+
+    struct Inner {
+        uint128 a;
+        ${extra}
+    }
+
+    ${annotations}
+    struct Data {
+        ${members}
+    }
+}
+`;
+}
+
+async function _validateAll(prev: string, curr: string) {
+  const prevSourceUnits = await compileSolidityContents({ 'storage.dump.sol': prev }, version);
+  const sourceUnits = await compileSolidityContents({ 'Example.sol': curr }, version);
+  return validateStorageMutations({ sourceUnits, prevSourceUnits });
+}
+
+async function _validate(prev: string, curr: string) {
+  const errors = await _validateAll(prev, curr);
+  return errors.filter((err) => !err.suppression).map((err) => err.message);
+}
+
+describe('internal/validate-mutations.ts', function () {
+  jest.setTimeout(120000);
+
+  it('allows structs without previous dump', async function () {
+    const sourceUnits = await compileSolidityContents(
+      { 'Example.sol': _storage('uint256 a;') },
+      version
+    );
+    expect(validateStorageMutations({ sourceUnits, prevSourceUnits: [] })).toEqual([]);
+  });
+
+  it('allows appending members', async function () {
+    const errors = await _validate(
+      _storage('uint256 a; uint128 b;'),
+      _storage('uint256 a; uint128 b; uint128 c; mapping(address => uint256) d;')
+    );
+    expect(errors).toEqual([]);
+  });
+
+  it('allows type changes that keep the layout', async function () {
+    const errors = await _validate(
+      _storage('uint256 a; Kind b; address c;'),
+      _storage('int256 a; uint8 b; address payable c;')
+    );
+    expect(errors).toEqual([]);
+  });
+
+  it('allows appending members to a nested struct at the end', async function () {
+    const errors = await _validate(
+      _storage('uint256 a; Inner b;'),
+      _storage('uint256 a; Inner b;', 'uint128 c;')
+    );
+    expect(errors).toEqual([]);
+  });
+
+  it('rejects removed members', async function () {
+    const errors = await _validate(_storage('uint256 a; uint256 b;'), _storage('uint256 a;'));
+    expect(errors).toEqual(['Storage member "b" removed from struct Example.Data']);
+  });
+
+  it('rejects removed members in the middle', async function () {
+    const errors = await _validate(
+      _storage('uint256 a; uint256 b; uint256 c;'),
+      _storage('uint256 a; uint256 c;')
+    );
+    expect(errors).toEqual(['Storage member "b" removed from struct Example.Data']);
+  });
+
+  it('rejects reordered members', async function () {
+    const errors = await _validate(
+      _storage('uint256 a; uint256 b;'),
+      _storage('uint256 b; uint256 a;')
+    );
+    expect(errors).toEqual([
+      'Storage member "a" of struct Example.Data moved from position 0 to 1',
+    ]);
+  });
+
+  it('rejects members inserted in the middle', async function () {
+    const errors = await _validate(
+      _storage('uint256 a; uint256 b;'),
+      _storage('uint256 a; uint256 c; uint256 b;')
+    );
+    expect(errors).toEqual([
+      'Storage member "c" inserted in the middle of struct Example.Data, new members can only be appended at the end',
+    ]);
+  });
+
+  it('rejects renamed members', async function () {
+    const errors = await _validate(
+      _storage('uint256 a; uint256 b;'),
+      _storage('uint256 a; uint256 c;')
+    );
+    expect(errors).toEqual(['Storage member "b" of struct Example.Data renamed to "c"']);
+  });
+
+  it('rejects type changes that alter the layout', async function () {
+    const errors = await _validate(
+      _storage('uint128 a; uint128 b;'),
+      _storage('uint256 a; uint128 b;')
+    );
+    expect(errors).toEqual([
+      'Storage member "a" of struct Example.Data changed type from "uint128" to "uint256", altering the storage layout',
+    ]);
+  });
+
+  it('rejects mapping value type changes', async function () {
+    const errors = await _validate(
+      _storage('mapping(address => uint128) a;'),
+      _storage('mapping(address => uint256) a;')
+    );
+    expect(errors).toEqual([
+      'Storage member "a" of struct Example.Data changed type from "mapping(address => uint128)" to "mapping(address => uint256)", altering the storage layout',
+    ]);
+  });
+
+  it('rejects members moved by a nested struct that grows', async function () {
+    const errors = await _validate(
+      _storage('Inner a; uint256 b;'),
+      _storage('Inner a; uint256 b;', 'uint256 c;')
+    );
+    expect(errors).toEqual([
+      'Storage member "b" of struct Example.Data moved from slot 1 (offset 0) to slot 2 (offset 0)',
+    ]);
+  });
+
+  it('rejects arrays of a nested struct that grows', async function () {
+    const errors = await _validate(_storage('Inner[] a;'), _storage('Inner[] a;', 'uint256 c;'));
+    expect(errors).toEqual([
+      'Storage member "a" of struct Example.Data changed the storage layout of "Example.Inner[]"',
+    ]);
+  });
+
+  describe('annotations', function () {
+    it('allows renamed members with "@custom:storage-allow rename"', async function () {
+      const errors = await _validateAll(
+        _storage('uint256 a; uint256 b;'),
+        _storage('uint256 a; uint256 __unused;', '', '/// @custom:storage-allow rename __unused')
+      );
+      expect(errors.map(({ message, suppression }) => ({ message, suppression }))).toEqual([
+        {
+          message: 'Storage member "b" of struct Example.Data renamed to "__unused"',
+          suppression: '@custom:storage-allow rename __unused',
+        },
+      ]);
+    });
+
+    it('only allows the given kind of changes', async function () {
+      const errors = await _validate(
+        _storage('uint128 a; uint128 b;'),
+        _storage('uint256 c; uint128 b;', '', '/// @custom:storage-allow rename')
+      );
+      expect(errors).toEqual([
+        'Storage member "c" of struct Example.Data changed type from "uint128" to "uint256", altering the storage layout',
+      ]);
+    });
+
+    it('only allows changes on the given members', async function () {
+      const errors = await _validate(
+        _storage('uint256 a; uint256 b;'),
+        _storage('uint256 c; uint256 d;', '', '/// @custom:storage-allow rename a')
+      );
+      expect(errors).toEqual(['Storage member "b" of struct Example.Data renamed to "d"']);
+    });
+
+    it('ignores all changes on a struct with "@custom:storage-ignore"', async function () {
+      const errors = await _validateAll(
+        _storage('uint256 a; uint256 b;'),
+        _storage(
+          'uint256 b; uint256 a;',
+          '',
+          '/**\n     * @notice Example\n     * @custom:storage-ignore\n     */'
+        )
+      );
+      expect(errors.map(({ suppression }) => suppression)).toEqual(['@custom:storage-ignore']);
+    });
+
+    it('rejects unknown allowed changes', async function () {
+      await expect(
+        _validate(
+          _storage('uint256 a;'),
+          _storage('uint256 b;', '', '/// @custom:storage-allow everything')
+        )
+      ).rejects.toThrow('Invalid "@custom:storage-allow everything" annotation');
+    });
+  });
+});
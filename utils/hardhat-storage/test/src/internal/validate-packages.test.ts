@@ -0,0 +1,247 @@
+import { compileSolidityContents } from '@synthetixio/core-utils/utils/solidity/compiler';
+import { getDumpArtifacts } from '../../../src/internal/dump';
+import { validatePackagesNamespaces } from '../../../src/internal/validate-packages';
+
+const version = '0.8.17';
+
+function _library(artifact: string, namespace: string, annotations = '') {
+  const name = artifact.split(':').pop();
+  return `// @custom:artifact ${artifact}
+library ${name} {
+    struct Data {
+        uint256 value;
+    }
+    ${annotations}
+    function load() internal pure returns (Data storage store) {
+        bytes32 s = keccak256(abi.encode("${namespace}"));
+        assembly {
+            store.slot := s
+        }
+    }
+}
+`;
+}
+
+async function _package(name: string, namespaces: string[], libraries: string[]) {
+  const dump = [
+    '// SPDX-License-Identifier: UNLICENSED',
+    `pragma solidity ${version};`,
+    '',
+    ...libraries,
+  ].join('\n');
+  const sourceUnits = await compileSolidityContents({ 'storage.dump.sol': dump }, version);
+  return { name, namespaces, sourceUnits, artifacts: getDumpArtifacts(dump) };
+}
+
+async function _validate(...packages: ReturnType<typeof _package>[]) {
+  return _validateWith({}, ...packages);
+}
+
+async function _validateWith(
+  options: Parameters<typeof validatePackagesNamespaces>[1],
+  ...packages: ReturnType<typeof _package>[]
+) {
+  return validatePackagesNamespaces(await Promise.all(packages), options).map(
+    ({ message, suppression }) => ({ message, suppression })
+  );
+}
+
+describe('internal/validate-packages.ts', function () {
+  jest.setTimeout(120000);
+
+  const proxy = _library(
+    '@synthetixio/core-contracts/contracts/proxy/ProxyStorage.sol:ProxyStorage',
+    'io.synthetix.core-contracts.Proxy'
+  );
+
+  it('allows the same library imported on several packages', async function () {
+    const errors = await _validate(
+      _package(
+        '@synthetixio/main',
+        ['main', 'synthetix'],
+        [proxy, _library('contracts/storage/Pool.sol:Pool', 'io.synthetix.synthetix.Pool')]
+      ),
+      _package(
+        '@synthetixio/perps-market',
+        ['perps-market'],
+        [
+          proxy,
+          _library(
+            '@synthetixio/main/contracts/storage/Pool.sol:Pool',
+            'io.synthetix.synthetix.Pool'
+          ),
+          _library('contracts/storage/Market.sol:Market', 'io.synthetix.perps-market.Market'),
+        ]
+      )
+    );
+    expect(errors).toEqual([]);
+  });
+
+  it('rejects namespaces not following the convention', async function () {
+    const errors = await _validate(
+      _package(
+        '@synthetixio/spot-market',
+        ['spot-market'],
+        [
+          _library('contracts/storage/Price.sol:Price', 'io.synthetix.spot-market.price'),
+          _library('contracts/storage/Wrapper.sol:Wrapper', 'spot-market.Wrapper'),
+        ]
+      )
+    );
+    expect(errors).toEqual([
+      {
+        message:
+          'Storage namespace "io.synthetix.spot-market.price" of @synthetixio/spot-market/contracts/storage/Price.sol:Price does not follow the "io.synthetix.<package>.<Name>" convention',
+        suppression: undefined,
+      },
+      {
+        message:
+          'Storage namespace "spot-market.Wrapper" of @synthetixio/spot-market/contracts/storage/Wrapper.sol:Wrapper does not follow the "io.synthetix.<package>.<Name>" convention',
+        suppression: undefined,
+      },
+    ]);
+  });
+
+  it('rejects namespaces using the name of another package', async function () {
+    const errors = await _validate(
+      _package(
+        '@synthetixio/core-modules',
+        ['core-modules'],
+        [
+          _library(
+            'contracts/storage/Initialized.sol:Initialized',
+            'io.synthetix.code-modules.Initialized'
+          ),
+        ]
+      )
+    );
+    expect(errors).toEqual([
+      {
+        message:
+          'Storage namespace "io.synthetix.code-modules.Initialized" of @synthetixio/core-modules/contracts/storage/Initialized.sol:Initialized should start with "io.synthetix.core-modules."',
+        suppression: undefined,
+      },
+    ]);
+  });
+
+  it('rejects the same namespace on libraries from different packages', async function () {
+    const errors = await _validate(
+      _package(
+        '@synthetixio/spot-market',
+        ['spot-market'],
+        [_library('contracts/storage/Price.sol:Price', 'io.synthetix.spot-market.Price')]
+      ),
+      _package(
+        '@synthetixio/perps-market',
+        ['perps-market'],
+        [_library('contracts/storage/PerpsPrice.sol:PerpsPrice', 'io.synthetix.spot-market.Price')]
+      )
+    );
+    expect(errors).toEqual([
+      {
+        message:
+          'Storage namespace "io.synthetix.spot-market.Price" of @synthetixio/perps-market/contracts/storage/PerpsPrice.sol:PerpsPrice should start with "io.synthetix.perps-market."',
+        suppression: undefined,
+      },
+      {
+        message:
+          'Store slot name repeated: io.synthetix.spot-market.Price, also used by @synthetixio/spot-market/contracts/storage/Price.sol:Price',
+        suppression: undefined,
+      },
+    ]);
+  });
+
+  it('suppresses namespaces annotated with "@custom:storage-ignore"', async function () {
+    const errors = await _validate(
+      _package(
+        '@synthetixio/core-modules',
+        ['core-modules'],
+        [
+          _library(
+            'contracts/storage/Initialized.sol:Initialized',
+            'io.synthetix.code-modules.Initialized',
+            '/// @custom:storage-ignore'
+          ),
+        ]
+      )
+    );
+    expect(errors.map(({ suppression }) => suppression)).toEqual(['@custom:storage-ignore']);
+  });
+
+  it('checks imported libraries with the namespaces of their package', async function () {
+    const perpsMarket = () =>
+      _package(
+        '@synthetixio/perps-market',
+        ['perps-market'],
+        [
+          _library(
+            '@synthetixio/main/contracts/storage/Pool.sol:Pool',
+            'io.synthetix.synthetix.Pool'
+          ),
+        ]
+      );
+
+    expect(await _validate(perpsMarket())).toEqual([
+      {
+        message:
+          'Storage namespace "io.synthetix.synthetix.Pool" of @synthetixio/main/contracts/storage/Pool.sol:Pool should start with "io.synthetix.main."',
+        suppression: undefined,
+      },
+    ]);
+
+    const errors = await _validateWith(
+      { packageNamespaces: { '@synthetixio/main': ['main', 'synthetix'] } },
+      perpsMarket()
+    );
+    expect(errors).toEqual([]);
+  });
+
+  it('allows the given already deployed namespaces', async function () {
+    const errors = await _validateWith(
+      {
+        allowedNamespaces: { 'io.synthetix.code-modules.Initialized': 'Typo on the package name' },
+      },
+      _package(
+        '@synthetixio/core-modules',
+        ['core-modules'],
+        [
+          _library(
+            'contracts/storage/Initialized.sol:Initialized',
+            'io.synthetix.code-modules.Initialized'
+          ),
+        ]
+      )
+    );
+    expect(errors.map(({ suppression }) => suppression)).toEqual([
+      'allowed namespace: Typo on the package name',
+    ]);
+  });
+
+  it('rejects repeated namespaces even if allowed', async function () {
+    const errors = await _validateWith(
+      { allowedNamespaces: { 'io.synthetix.spot-market.Price': 'Already deployed' } },
+      _package(
+        '@synthetixio/spot-market',
+        ['spot-market'],
+        [_library('contracts/storage/Price.sol:Price', 'io.synthetix.spot-market.Price')]
+      ),
+      _package(
+        '@synthetixio/perps-market',
+        ['perps-market'],
+        [_library('contracts/storage/PerpsPrice.sol:PerpsPrice', 'io.synthetix.spot-market.Price')]
+      )
+    );
+    expect(errors).toEqual([
+      {
+        message:
+          'Storage namespace "io.synthetix.spot-market.Price" of @synthetixio/perps-market/contracts/storage/PerpsPrice.sol:PerpsPrice should start with "io.synthetix.perps-market."',
+        suppression: 'allowed namespace: Already deployed',
+      },
+      {
+        message:
+          'Store slot name repeated: io.synthetix.spot-market.Price, also used by @synthetixio/spot-market/contracts/storage/Price.sol:Price',
+        suppression: undefined,
+      },
+    ]);
+  });
+});
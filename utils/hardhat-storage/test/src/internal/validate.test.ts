@@ -0,0 +1,84 @@
+import { compileSolidityContents } from '@synthetixio/core-utils/utils/solidity/compiler';
+import { validate } from '../../../src/internal/validate';
+
+const version = '0.8.17';
+
+function _contract(name: string, body: string, annotations = '') {
+  return `// SPDX-License-Identifier: UNLICENSED
+pragma solidity ${version};
+
+${annotations}
+contract ${name} {
+    struct Data {
+        uint256 value;
+    }
+
+    ${body}
+}
+`;
+}
+
+function _load(name: string, namespace: string, annotations = '') {
+  return `
+    ${annotations}
+    function ${name}() internal pure returns (Data storage store) {
+        bytes32 s = keccak256(abi.encode("${namespace}"));
+        assembly {
+            store.slot := s
+        }
+    }`;
+}
+
+async function _validate(sources: { [sourceName: string]: string }) {
+  const sourceUnits = await compileSolidityContents(sources, version);
+  return validate({ sourceUnits, prevSourceUnits: [] }).map(({ message, suppression }) => ({
+    message,
+    suppression,
+  }));
+}
+
+describe('internal/validate.ts', function () {
+  jest.setTimeout(120000);
+
+  const unsafeVariable =
+    'Unsafe state variable declaration. Mutable state variables cannot be declared on a contract behind a Proxy';
+
+  it('rejects mutable state variables', async function () {
+    const errors = await _validate({ 'A.sol': _contract('A', 'uint256 public value;') });
+    expect(errors).toEqual([{ message: unsafeVariable, suppression: undefined }]);
+  });
+
+  it('suppresses state variables with "@custom:storage-ignore"', async function () {
+    const errors = await _validate({
+      'A.sol': _contract('A', '/// @custom:storage-ignore\n    uint256 public value;'),
+      'B.sol': _contract('B', 'uint256 public value;', '/// @custom:storage-ignore value'),
+    });
+    expect(errors).toEqual([
+      { message: unsafeVariable, suppression: '@custom:storage-ignore' },
+      { message: unsafeVariable, suppression: '@custom:storage-ignore value' },
+    ]);
+  });
+
+  it('rejects repeated slot names', async function () {
+    const errors = await _validate({
+      'A.sol': _contract('A', _load('load', 'io.synthetix.test.A')),
+      'B.sol': _contract('B', _load('load', 'io.synthetix.test.A')),
+    });
+    expect(errors).toEqual([
+      { message: 'Store slot name repeated: io.synthetix.test.A', suppression: undefined },
+    ]);
+  });
+
+  it('suppresses repeated slot names annotated on any of the functions', async function () {
+    const errors = await _validate({
+      'A.sol': _contract('A', _load('load', 'io.synthetix.test.A', '/// @custom:storage-ignore')),
+      'B.sol': _contract('B', _load('load', 'io.synthetix.test.A')),
+    });
+    expect(errors).toEqual([
+      {
+        message: 'Store slot name repeated: io.synthetix.test.A',
+        suppression: '@custom:storage-ignore',
+      },
+    ]);
+  });
+});
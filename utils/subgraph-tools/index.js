@@ -0,0 +1,6 @@
+exports.generate = require('./lib/generate');
+exports.manifests = require('./lib/manifests');
+exports.startBlock = require('./lib/start-block');
+exports.fixtures = require('./lib/fixtures');
+exports.replay = require('./lib/replay');
+exports.handlerCoverage = require('./lib/handler-coverage');
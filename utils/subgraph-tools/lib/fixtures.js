@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { eventSignature } = require('./generate');
+
+const FIXTURES_DIR = path.join('tests', 'e2e', 'fixtures');
+
+function fixturePath(dirname, flow) {
+  return path.join(dirname, FIXTURES_DIR, `${flow}.json`);
+}
+
+// Values as JSON, integers are decimal strings and tuples are arrays in the order of components
+function serializeValue(paramType, value) {
+  if (value?._isIndexed) {
+    // indexed dynamic values are only available as topic hash
+    return value.hash;
+  }
+  if (paramType.baseType === 'array') {
+    return value.map((item) => serializeValue(paramType.arrayChildren, item));
+  }
+  if (paramType.baseType === 'tuple') {
+    return paramType.components.map((component, i) => serializeValue(component, value[i]));
+  }
+  if (value?._isBigNumber) {
+    return value.toString();
+  }
+  return value;
+}
+
+/**
+ * Records logs of the contracts in the format replayed by `replay.js`, ordered as they were
+ * emitted. Logs the contract ABI does not know are left out.
+ *
+ * @param {object} options
+ * @param {import('ethers').providers.Provider} options.provider
+ * @param {{ [dataSource: string]: import('ethers').Contract }} options.contracts contracts by
+ *   subgraph data source name, e.g. `{ CoreProxy: systems().Core }`
+ * @param {number} [options.fromBlock]
+ * @param {number | string} [options.toBlock]
+ */
+async function recordLogs({ provider, contracts, fromBlock = 0, toBlock = 'latest' }) {
+  const blocks = {};
+  const events = [];
+
+  for (const [dataSource, contract] of Object.entries(contracts)) {
+    const logs = await provider.getLogs({ address: contract.address, fromBlock, toBlock });
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = contract.interface.parseLog(log);
+      } catch {
+        continue;
+      }
+      if (!blocks[log.blockNumber]) {
+        blocks[log.blockNumber] = await provider.getBlock(log.blockNumber);
+      }
+      const { inputs } = JSON.parse(parsed.eventFragment.format('json'));
+      events.push({
+        dataSource,
+        event: eventSignature({ name: parsed.name, inputs }),
+        address: log.address,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        blockNumber: log.blockNumber,
+        timestamp: blocks[log.blockNumber].timestamp,
+        params: inputs.map((input, i) => ({
+          ...input,
+          value: serializeValue(parsed.eventFragment.inputs[i], parsed.args[i]),
+        })),
+      });
+    }
+  }
+
+  events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  return { events };
+}
+
+function readFixture(dirname, flow) {
+  return JSON.parse(fs.readFileSync(fixturePath(dirname, flow), 'utf-8'));
+}
+
+function writeFixture(dirname, flow, fixture) {
+  const file = fixturePath(dirname, flow);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  return file;
+}
+
+function listFixtures(dirname) {
+  const dir = path.join(dirname, FIXTURES_DIR);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => path.basename(file, '.json'));
+}
+
+module.exports = { recordLogs, readFixture, writeFixture, listFixtures, fixturePath };
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const TEMPLATE = 'template.yaml';
+const NETWORKS = 'networks.json';
+const MAPPINGS_DIR = 'src';
+
+/**
+ * Networks table of the subgraph, keyed by namespace:
+ *   network     - The Graph network name, e.g. "optimism"
+ *   chainId     - used by codegen.sh to fetch deployments
+ *   package     - cannon package with preset, e.g. "synthetix-omnibus:latest@main"
+ *   startBlock  - first block to index, see startBlock.js
+ *   ignoreHandlers - handlers of the template not expected on the network, e.g. for events that
+ *                    were replaced in newer releases
+ *   replaceHandlers - handlers of the template replaced with another handler of the shared
+ *                     mappings on the network, e.g. when the event has a different shape there,
+ *                     `{ "handleSettlementStrategyAdded": "handleSettlementStrategyAddedAndromeda" }`
+ */
+function readNetworks(dirname) {
+  return JSON.parse(fs.readFileSync(path.join(dirname, NETWORKS), 'utf-8'));
+}
+
+function formatType({ type, components }) {
+  if (type.startsWith('tuple')) {
+    return `(${components.map(formatType).join(',')})${type.slice('tuple'.length)}`;
+  }
+  return type;
+}
+
+/**
+ * Event signature in the format used by subgraph manifests,
+ * e.g. "PoolCreated(indexed uint128,indexed address,indexed address)"
+ */
+function eventSignature({ name, inputs }) {
+  const params = inputs.map((input) => `${input.indexed ? 'indexed ' : ''}${formatType(input)}`);
+  return `${name}(${params.join(',')})`;
+}
+
+/**
+ * Event class names generated by graph-cli for the ABI, overloaded events get a numeric suffix
+ * in the order they appear in the ABI, e.g. "Transfer", "Transfer1"
+ */
+function eventClassNames(abi) {
+  const seen = {};
+  const classNames = {};
+  abi
+    .filter(({ type }) => type === 'event')
+    .forEach((event) => {
+      const count = seen[event.name] ?? 0;
+      seen[event.name] = count + 1;
+      classNames[eventSignature(event)] = count === 0 ? event.name : `${event.name}${count}`;
+    });
+  return classNames;
+}
+
+function readAbi(dirname, file) {
+  const abiPath = path.join(dirname, file);
+  if (!fs.existsSync(abiPath)) {
+    throw new Error(`ABI ${abiPath} not found, fetch deployments first`);
+  }
+  const json = JSON.parse(fs.readFileSync(abiPath, 'utf-8'));
+  return { address: json.address, abi: Array.isArray(json) ? json : json.abi };
+}
+
+// Replaces "${key}" placeholders, value of the whole "${key}" scalar keeps its type
+function substitute(document, values) {
+  YAML.visit(document, {
+    Scalar(_, node) {
+      if (typeof node.value !== 'string') {
+        return;
+      }
+      const whole = node.value.match(/^\$\{(\w+)\}$/);
+      if (whole && whole[1] in values) {
+        node.value = values[whole[1]];
+        return;
+      }
+      node.value = node.value.replace(/\$\{(\w+)\}/g, (placeholder, key) =>
+        key in values ? String(values[key]) : placeholder
+      );
+    },
+  });
+}
+
+function findAbiFile(dataSource) {
+  const abiName = dataSource.getIn(['source', 'abi']);
+  const abiFile = dataSource
+    .getIn(['mapping', 'abis'])
+    .items.find((item) => item.get('name') === abiName)
+    ?.get('file');
+  if (!abiFile) {
+    throw new Error(
+      `ABI "${abiName}" of data source "${dataSource.get('name')}" is not listed in mapping.abis`
+    );
+  }
+  return abiFile;
+}
+
+function listMappings(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return listMappings(file);
+    }
+    return entry.name.endsWith('.ts') ? [file] : [];
+  });
+}
+
+/**
+ * Event signature every handler of the shared mappings was generated for, keyed by handler.
+ * Handlers take the event class of the generated code of one namespace, e.g.
+ * `import { OrderCommitted } from '../optimism-goerli/generated/PerpsMarketProxy/PerpsMarketProxy'`,
+ * and the class is looked up in the ABI of the data source on that namespace. Namespaces without
+ * fetched deployments are left out, unless `required`.
+ */
+function readMappingSignatures(dirname, { required = false } = {}) {
+  const template = fs.readFileSync(path.join(dirname, TEMPLATE), 'utf-8');
+  const abis = {};
+  const signatures = {};
+
+  listMappings(path.join(dirname, MAPPINGS_DIR)).forEach((file) => {
+    const content = fs.readFileSync(file, 'utf-8');
+    const classes = {};
+    const imports = content.matchAll(
+      /import\s*\{([^}]*)\}\s*from\s*'\.\.\/([^/']+)\/generated\/([^/']+)\/[^']+'/g
+    );
+    for (const [, names, namespace, dataSource] of imports) {
+      names
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean)
+        .forEach((name) => {
+          const [className, local = className] = name.split(/\s+as\s+/);
+          classes[local] = { namespace, dataSource, className };
+        });
+    }
+
+    for (const [, handler, type] of content.matchAll(
+      /export function (\w+)\(\s*\w+\s*:\s*(\w+)\s*\)/g
+    )) {
+      if (!classes[type]) {
+        continue;
+      }
+      const { namespace, dataSource, className } = classes[type];
+      const key = `${namespace}/${dataSource}`;
+      if (!abis[key]) {
+        const document = YAML.parseDocument(template);
+        substitute(document, { namespace });
+        const item = document.get('dataSources').items.find((ds) => ds.get('name') === dataSource);
+        if (!item) {
+          continue;
+        }
+        const abiFile = findAbiFile(item);
+        abis[key] =
+          required || fs.existsSync(path.join(dirname, abiFile))
+            ? eventClassNames(readAbi(dirname, abiFile).abi)
+            : {};
+      }
+      const signature = Object.keys(abis[key]).find((event) => abis[key][event] === className);
+      if (signature) {
+        signatures[handler] = { namespace, signature };
+      }
+    }
+  });
+
+  return signatures;
+}
+
+/**
+ * Resolves `event` of every handler against the ABI. Handlers can refer to the event by name,
+ * e.g. `event: PoolCreated`, or by full signature when the event name is overloaded.
+ * Handlers of events that are not in the ABI are left out of the manifest, handlers of events
+ * with another signature than the one their mapping was generated for are reported as drifted,
+ * graph-node would decode their parameters with the wrong layout.
+ */
+function resolveHandlers(
+  dataSource,
+  abi,
+  { ignoreHandlers = [], replaceHandlers = {} } = {},
+  signatures = {}
+) {
+  const events = abi
+    .filter(({ type }) => type === 'event')
+    .map((event) => ({ name: event.name, signature: eventSignature(event) }));
+
+  const eventHandlers = dataSource.getIn(['mapping', 'eventHandlers']);
+  const missing = [];
+  const drifted = [];
+  const handled = [];
+
+  eventHandlers.items = eventHandlers.items.filter((item) => {
+    if (ignoreHandlers.includes(item.get('handler'))) {
+      return false;
+    }
+    if (replaceHandlers[item.get('handler')]) {
+      item.set('handler', replaceHandlers[item.get('handler')]);
+    }
+    const event = item.get('event');
+    const matches = events.filter(({ name, signature }) =>
+      event.includes('(') ? signature === event : name === event
+    );
+    if (matches.length > 1) {
+      throw new Error(
+        `Event "${event}" of ${item.get('handler')} is ambiguous, use one of:\n${matches
+          .map(({ signature }) => `  ${signature}`)
+          .join('\n')}`
+      );
+    }
+    if (matches.length === 0) {
+      missing.push({ event, handler: item.get('handler') });
+      return false;
+    }
+    const generated = signatures[item.get('handler')];
+    if (generated && generated.signature !== matches[0].signature) {
+      drifted.push({ handler: item.get('handler'), event: matches[0].signature, ...generated });
+    }
+    item.set('event', matches[0].signature);
+    handled.push(matches[0].signature);
+    return true;
+  });
+
+  const unhandled = events
+    .map(({ signature }) => signature)
+    .filter((signature, i, all) => all.indexOf(signature) === i && !handled.includes(signature));
+
+  return { missing, drifted, unhandled };
+}
+
+/**
+ * Builds `subgraph.<namespace>.yaml` from the subgraph `template.yaml` and the networks table.
+ * Every "${key}" in the template is replaced with the namespace, network and start block,
+ * and "${address}" with the address from the deployment of the data source ABI.
+ */
+function generateManifest(
+  dirname,
+  namespace,
+  networks = readNetworks(dirname),
+  signatures = readMappingSignatures(dirname)
+) {
+  const config = networks[namespace];
+  if (!config) {
+    throw new Error(`Namespace "${namespace}" not found in ${NETWORKS}`);
+  }
+  if (config.startBlock === undefined) {
+    throw new Error(
+      `No startBlock for "${namespace}" in ${NETWORKS}, run "node ./startBlock.js --write"`
+    );
+  }
+  const template = fs.readFileSync(path.join(dirname, TEMPLATE), 'utf-8');
+  const document = YAML.parseDocument(template);
+  substitute(document, { namespace, network: config.network, startBlock: config.startBlock });
+
+  const report = document.get('dataSources').items.map((dataSource) => {
+    const name = dataSource.get('name');
+    const { address, abi } = readAbi(dirname, findAbiFile(dataSource));
+    substitute(dataSource, { address });
+    return { name, ...resolveHandlers(dataSource, abi, config, signatures) };
+  });
+
+  return {
+    namespace,
+    file: path.join(dirname, `subgraph.${namespace}.yaml`),
+    content: document.toString({ lineWidth: 0 }),
+    report,
+  };
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * `generateManifests.js [namespace] [--check]`
+ *   writes `subgraph.<namespace>.yaml` for one or all namespaces of the networks table
+ *   --check fails when manifests are outdated, handlers refer to events missing in the ABI or
+ *   events have another signature on the network than the one the mapping was generated for
+ */
+async function cli({ dirname }) {
+  const args = process.argv.slice(2);
+  const [namespace] = args.filter((arg) => !arg.startsWith('--'));
+  const isCheck = args.includes('--check');
+
+  const networks = readNetworks(dirname);
+  const signatures = readMappingSignatures(dirname, { required: isCheck });
+  const manifests = (namespace ? [namespace] : Object.keys(networks)).map((item) =>
+    generateManifest(dirname, item, networks, signatures)
+  );
+
+  let failed = 0;
+  manifests.forEach(({ file, content, report }) => {
+    const manifest = path.basename(file);
+    report.forEach(({ name, missing, drifted, unhandled }) => {
+      missing.forEach(({ event, handler }) => {
+        failed = failed + 1;
+        console.log(`${manifest}: ${handler} skipped, event "${event}" is not in ${name} ABI`);
+      });
+      drifted.forEach(({ handler, event, namespace: generatedFor, signature }) => {
+        failed = failed + 1;
+        console.log(
+          `${manifest}: ${handler} handles "${event}" of ${name}, but was generated for "${signature}" of ${generatedFor}, see replaceHandlers in ${NETWORKS}`
+        );
+      });
+      unhandled.forEach((event) =>
+        console.log(`${manifest}: event "${event}" of ${name} has no handler`)
+      );
+    });
+
+    if (isCheck) {
+      const current = fs.existsSync(file) ? YAML.parse(fs.readFileSync(file, 'utf-8')) : null;
+      if (!isEqual(current, YAML.parse(content))) {
+        failed = failed + 1;
+        console.log(`${manifest}: outdated, run "node ./generateManifests.js"`);
+      }
+      return;
+    }
+    fs.writeFileSync(file, content);
+    console.log(`Generated ${manifest}`);
+  });
+
+  if (isCheck && failed > 0) {
+    throw new Error(`Subgraph manifest problems: ${failed}`);
+  }
+}
+
+module.exports = {
+  readNetworks,
+  readAbi,
+  eventSignature,
+  eventClassNames,
+  readMappingSignatures,
+  generateManifest,
+  cli,
+};
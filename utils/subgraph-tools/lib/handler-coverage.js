@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { readManifests } = require('./manifests');
+
+const TESTS_DIR = 'tests';
+
+function readTests(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return readTests(file);
+    }
+    return entry.name.endsWith('.ts') ? [fs.readFileSync(file, 'utf-8')] : [];
+  });
+}
+
+/**
+ * Handlers of every `subgraph.<namespace>.yaml` manifest and whether any test calls them.
+ * Matchstick only reports coverage of the manifest in matchstick.yaml, networks can use different
+ * handlers of the shared mappings though, see `replaceHandlers` in networks.json.
+ */
+function handlerCoverage(dirname) {
+  const tests = readTests(path.join(dirname, TESTS_DIR)).join('\n');
+  return readManifests(dirname).map(({ namespace, file, document }) => {
+    const handlers = (document.toJS().dataSources ?? []).flatMap(({ name, mapping }) =>
+      (mapping.eventHandlers ?? []).map(({ handler }) => ({
+        dataSource: name,
+        handler,
+        tested: new RegExp(`\\b${handler}\\s*\\(`).test(tests),
+      }))
+    );
+    return { namespace, file, handlers };
+  });
+}
+
+/**
+ * `handlerCoverage.js [--check]`
+ *   reports handlers without tests for every network
+ *   --check fails when any network has a handler without tests
+ */
+async function cli({ dirname }) {
+  const isCheck = process.argv.slice(2).includes('--check');
+
+  let untested = 0;
+  handlerCoverage(dirname).forEach(({ file, handlers }) => {
+    const tested = handlers.filter((item) => item.tested);
+    const percent = handlers.length ? (tested.length / handlers.length) * 100 : 100;
+    console.log(
+      `${path.basename(file)}: ${tested.length}/${handlers.length} handlers tested (${percent.toFixed(1)}%)`
+    );
+    handlers
+      .filter((item) => !item.tested)
+      .forEach(({ dataSource, handler }) => {
+        untested = untested + 1;
+        console.log(`  ${dataSource} ${handler} is not tested`);
+      });
+  });
+
+  if (isCheck && untested > 0) {
+    throw new Error(`Handlers without tests: ${untested}`);
+  }
+}
+
+module.exports = { handlerCoverage, cli };
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const MANIFEST_REGEX = /^subgraph\.(.+)\.yaml$/;
+
+/**
+ * Reads all `subgraph.<namespace>.yaml` manifests of the subgraph,
+ * so the list of supported networks always matches the manifests that exist
+ */
+function readManifests(dirname) {
+  return fs
+    .readdirSync(dirname)
+    .filter((file) => MANIFEST_REGEX.test(file))
+    .sort()
+    .map((file) => {
+      const [, namespace] = file.match(MANIFEST_REGEX);
+      const content = fs.readFileSync(path.join(dirname, file), 'utf-8');
+      return {
+        namespace,
+        file: path.join(dirname, file),
+        content,
+        document: YAML.parseDocument(content),
+      };
+    });
+}
+
+/**
+ * Finds the data source by name, e.g. "CoreProxy", and returns it as a plain object
+ */
+function findDataSource({ document }, name) {
+  const dataSources = document.toJS().dataSources ?? [];
+  const dataSource = dataSources.find((item) => item.name === name);
+  if (!dataSource) {
+    throw new Error(`Data source "${name}" not found`);
+  }
+  return dataSource;
+}
+
+function stringifyScalar(node, value) {
+  if (node?.type === 'QUOTE_DOUBLE') {
+    return JSON.stringify(String(value));
+  }
+  if (node?.type === 'QUOTE_SINGLE') {
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+  return String(value);
+}
+
+/**
+ * Returns manifest content with `source` fields of the data source replaced, e.g.
+ * `{ address: "0x...", startBlock: 123 }`. Only the replaced values are touched in the original
+ * text, so comments, quoting and the rest of the formatting are kept as they are.
+ * Missing fields are added as the last lines of `source`.
+ */
+function updateDataSourceSource({ document, content }, name, values) {
+  const dataSource = document.get('dataSources')?.items.find((item) => item.get('name') === name);
+  if (!dataSource) {
+    throw new Error(`Data source "${name}" not found`);
+  }
+  const source = dataSource.get('source');
+
+  const edits = [];
+  const missing = [];
+  Object.entries(values).forEach(([key, value]) => {
+    const node = source.get(key, true);
+    if (!node) {
+      missing.push(`${key}: ${stringifyScalar(null, value)}`);
+      return;
+    }
+    const [start, end] = node.range;
+    edits.push({ start, end, text: stringifyScalar(node, value) });
+  });
+
+  if (missing.length) {
+    const [firstPair] = source.items;
+    const column = firstPair.key.range[0] - content.lastIndexOf('\n', firstPair.key.range[0]) - 1;
+    const lastPair = source.items[source.items.length - 1];
+    const end = lastPair.value.range[1];
+    const indent = ' '.repeat(column);
+    edits.push({ start: end, end, text: missing.map((line) => `\n${indent}${line}`).join('') });
+  }
+
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (result, { start, end, text }) => `${result.slice(0, start)}${text}${result.slice(end)}`,
+      content
+    );
+}
+
+module.exports = { readManifests, findDataSource, updateDataSourceSource };
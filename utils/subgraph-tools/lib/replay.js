@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const { readAbi, eventClassNames } = require('./generate');
+const { readManifests, findDataSource } = require('./manifests');
+const { readFixture, listFixtures } = require('./fixtures');
+
+const E2E_DIR = path.join('tests', 'e2e');
+const EXPECTED_DIR = path.join(E2E_DIR, 'expected');
+
+function isDynamic(type) {
+  return type === 'string' || type === 'bytes' || type.endsWith(']') || type.startsWith('tuple');
+}
+
+// AssemblyScript expression of the recorded value, as graph-node would pass it to the handler
+function valueExpression(param, value) {
+  const { type } = param;
+  const array = type.match(/^(.*)\[(\d*)\]$/);
+  if (array) {
+    const [, childType, length] = array;
+    const items = value.map((item) => valueExpression({ ...param, type: childType }, item));
+    const list = items.length ? `[${items.join(', ')}]` : 'new Array<ethereum.Value>()';
+    return length
+      ? `ethereum.Value.fromFixedSizedArray(${list})`
+      : `ethereum.Value.fromArray(${list})`;
+  }
+  if (type === 'tuple') {
+    const items = param.components.map((component, i) => valueExpression(component, value[i]));
+    return `ethereum.Value.fromTuple(changetype<ethereum.Tuple>([${items.join(', ')}]))`;
+  }
+  if (type === 'address') {
+    return `ethereum.Value.fromAddress(Address.fromString('${value}'))`;
+  }
+  if (type === 'bool') {
+    return `ethereum.Value.fromBoolean(${value})`;
+  }
+  if (type === 'string') {
+    return `ethereum.Value.fromString(${JSON.stringify(value)})`;
+  }
+  if (type === 'bytes') {
+    return `ethereum.Value.fromBytes(Bytes.fromHexString('${value}'))`;
+  }
+  if (type.startsWith('bytes')) {
+    return `ethereum.Value.fromFixedBytes(Bytes.fromHexString('${value}'))`;
+  }
+  if (type.startsWith('uint')) {
+    return `ethereum.Value.fromUnsignedBigInt(BigInt.fromString('${value}'))`;
+  }
+  if (type.startsWith('int')) {
+    return `ethereum.Value.fromSignedBigInt(BigInt.fromString('${value}'))`;
+  }
+  throw new Error(`Unsupported event parameter type "${type}"`);
+}
+
+function paramExpression(param) {
+  // indexed dynamic values are only available as topic hash, graph-node passes them as bytes32
+  const value =
+    param.indexed && isDynamic(param.type)
+      ? `ethereum.Value.fromFixedBytes(Bytes.fromHexString('${param.value}'))`
+      : valueExpression(param, param.value);
+  return `new ethereum.EventParam('${param.name}', ${value})`;
+}
+
+// A replay without expected store would only catch handlers that throw, so it is required
+function readExpected(dirname, flow) {
+  const file = path.join(dirname, EXPECTED_DIR, `${flow}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `Expected store ${path.relative(dirname, file)} of flow "${flow}" not found, write the entities the flow should leave in the store`
+    );
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function expectedAssertions({ counts = {}, entities = {} }) {
+  const lines = [];
+  Object.entries(counts).forEach(([entity, count]) => {
+    lines.push(`assert.entityCount('${entity}', ${count});`);
+  });
+  Object.entries(entities).forEach(([entity, records]) => {
+    Object.entries(records).forEach(([id, fields]) => {
+      Object.entries(fields).forEach(([field, value]) => {
+        const expected = JSON.stringify(value === null ? 'null' : String(value));
+        lines.push(
+          `assert.fieldEquals('${entity}', ${JSON.stringify(id)}, '${field}', ${expected});`
+        );
+      });
+    });
+  });
+  return lines;
+}
+
+/**
+ * Handlers of the manifest data sources with the generated event classes of their ABI
+ */
+function readHandlers(dirname, manifest) {
+  const dataSources = manifest.document.toJS().dataSources ?? [];
+  return Object.fromEntries(
+    dataSources.map(({ name }) => {
+      const { source, mapping } = findDataSource(manifest, name);
+      const abiFile = mapping.abis.find((item) => item.name === source.abi)?.file;
+      if (!abiFile) {
+        throw new Error(
+          `ABI "${source.abi}" of data source "${name}" is not listed in mapping.abis`
+        );
+      }
+      const classNames = eventClassNames(readAbi(dirname, abiFile).abi);
+      const handlers = (mapping.eventHandlers ?? []).map(({ event, handler }) => ({
+        event,
+        name: event.slice(0, event.indexOf('(')),
+        handler,
+        className: classNames[event],
+      }));
+      const module = `../../${manifest.namespace}/generated/${name}/${source.abi}`;
+      const mappingModule = `../../${path.posix.dirname(path.posix.normalize(mapping.file))}`;
+      return [name, { classNames, handlers, module, mappingModule }];
+    })
+  );
+}
+
+/**
+ * Generates matchstick test `tests/e2e/<flow>.test.ts` that passes every recorded event of the
+ * fixture to the handler of the manifest, in the order they were emitted, and asserts the store
+ * against `tests/e2e/expected/<flow>.json`, which has to exist:
+ *   { "counts": { "Account": 2 }, "entities": { "Account": { "1": { "owner": "0x..." } } } }
+ * Events without handler are skipped, events handled with a different signature fail, as the
+ * deployed mapping would miss them too.
+ */
+function generateReplay(dirname, namespace, flow) {
+  const manifest = readManifests(dirname).find((item) => item.namespace === namespace);
+  if (!manifest) {
+    throw new Error(`Manifest subgraph.${namespace}.yaml not found`);
+  }
+  const handlers = readHandlers(dirname, manifest);
+  const { events } = readFixture(dirname, flow);
+
+  const imports = {};
+  const handlerImports = {};
+  const replays = [];
+  const skipped = [];
+  const mismatched = [];
+
+  events.forEach((event) => {
+    const dataSource = handlers[event.dataSource];
+    if (!dataSource) {
+      throw new Error(`Data source "${event.dataSource}" not found in subgraph.${namespace}.yaml`);
+    }
+    const handled = dataSource.handlers.find((item) => item.event === event.event);
+    if (!handled) {
+      // the contract emitted an event the subgraph ABI does not have, e.g. a changed signature
+      const name = event.event.slice(0, event.event.indexOf('('));
+      const sameName = dataSource.handlers.find((item) => item.name === name);
+      if (sameName && !dataSource.classNames[event.event]) {
+        mismatched.push({ ...event, expected: sameName.event });
+      } else {
+        skipped.push(event);
+      }
+      return;
+    }
+    if (!handled.className) {
+      throw new Error(`Event "${event.event}" is not in ${event.dataSource} ABI`);
+    }
+
+    const alias = `${event.dataSource}${handled.className}`;
+    imports[dataSource.module] = imports[dataSource.module] ?? new Set();
+    imports[dataSource.module].add(`${handled.className} as ${alias}`);
+    handlerImports[dataSource.mappingModule] =
+      handlerImports[dataSource.mappingModule] ?? new Set();
+    handlerImports[dataSource.mappingModule].add(handled.handler);
+
+    replays.push(
+      [
+        `// ${event.dataSource} ${event.event}`,
+        `{`,
+        `  const event = newTypedMockEvent<${alias}>();`,
+        `  event.address = Address.fromString('${event.address}');`,
+        `  event.transaction.hash = Bytes.fromHexString('${event.transactionHash}');`,
+        `  event.logIndex = BigInt.fromI32(${event.logIndex});`,
+        `  event.block.number = BigInt.fromI32(${event.blockNumber});`,
+        `  event.block.timestamp = BigInt.fromI64(${event.timestamp});`,
+        ...event.params.map((param) => `  event.parameters.push(${paramExpression(param)});`),
+        `  ${handled.handler}(event);`,
+        `}`,
+      ].join('\n')
+    );
+  });
+
+  if (mismatched.length) {
+    throw new Error(
+      `Recorded events do not match handlers of subgraph.${namespace}.yaml:\n${mismatched
+        .map(({ dataSource, event, expected }) => `  ${dataSource} ${event}, handles ${expected}`)
+        .join('\n')}`
+    );
+  }
+
+  const expected = readExpected(dirname, flow);
+  const content = [
+    '// THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.',
+    `// Replays tests/e2e/fixtures/${flow}.json, run "yarn e2e:replay" to update`,
+    '',
+    "import { Address, BigInt, Bytes, ethereum } from '@graphprotocol/graph-ts';",
+    "import { assert, clearStore, describe, newTypedMockEvent, test } from 'matchstick-as';",
+    ...Object.entries(imports).map(
+      ([module, classes]) => `import { ${[...classes].join(', ')} } from '${module}';`
+    ),
+    ...Object.entries(handlerImports).map(
+      ([module, handlers]) => `import { ${[...handlers].join(', ')} } from '${module}';`
+    ),
+    '',
+    `describe('${flow}', () => {`,
+    `  test('replays ${replays.length} recorded events', () => {`,
+    ...replays
+      .join('\n')
+      .split('\n')
+      .map((line) => `    ${line}`),
+    ...expectedAssertions(expected).map((line) => `    ${line}`),
+    '    clearStore();',
+    '  });',
+    '});',
+    '',
+  ].join('\n');
+
+  return {
+    flow,
+    file: path.join(dirname, E2E_DIR, `${flow}.test.ts`),
+    content,
+    replayed: replays.length,
+    skipped,
+  };
+}
+
+/**
+ * `replay.js [flow]`
+ *   generates matchstick tests from recorded fixtures `tests/e2e/fixtures/<flow>.json`,
+ *   see `recordLogs` for recording them from a local deployment
+ */
+async function cli({ dirname, namespace }) {
+  const [flow] = process.argv.slice(2).filter((arg) => !arg.startsWith('--'));
+  const flows = flow ? [flow] : listFixtures(dirname);
+  if (!flows.length) {
+    throw new Error(`No fixtures in ${path.join(dirname, E2E_DIR, 'fixtures')}, record them first`);
+  }
+
+  flows.forEach((item) => {
+    const { file, content, replayed, skipped } = generateReplay(dirname, namespace, item);
+    fs.writeFileSync(file, content);
+    console.log(
+      `Generated ${path.relative(dirname, file)}: ${replayed} events, ${skipped.length} without handler`
+    );
+  });
+}
+
+module.exports = { generateReplay, cli };
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { readManifests, findDataSource, updateDataSourceSource } = require('./manifests');
+
+// The Graph network names that are named differently on Infura
+const INFURA_NETWORKS = {
+  optimism: 'optimism-mainnet',
+  base: 'base-mainnet',
+};
+
+/**
+ * RPC endpoint for the subgraph namespace, checked in order:
+ *   RPC_URL_<NAMESPACE> - per namespace, e.g. RPC_URL_BASE_MAINNET_ANDROMEDA
+ *   RPC_URL             - for all namespaces, e.g. a local anvil or hardhat fork
+ *   INFURA_KEY          - Infura endpoint for the manifest network
+ */
+function rpcUrl({ namespace, network }) {
+  const key = `RPC_URL_${namespace.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  if (process.env[key]) {
+    return process.env[key];
+  }
+  if (process.env.RPC_URL) {
+    return process.env.RPC_URL;
+  }
+  if (process.env.INFURA_KEY) {
+    return `https://${INFURA_NETWORKS[network] ?? network}.infura.io/v3/${process.env.INFURA_KEY}`;
+  }
+  throw new Error(`No RPC endpoint for "${namespace}", set ${key}, RPC_URL or INFURA_KEY`);
+}
+
+function readDeployment(dirname, namespace, file) {
+  const deploymentPath = path.join(dirname, namespace, 'deployments', file);
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error(`Deployment ${deploymentPath} not found, run "yarn subgraphgen" first`);
+  }
+  return JSON.parse(fs.readFileSync(deploymentPath, 'utf-8'));
+}
+
+/**
+ * Resolves address and deployment block of the data source contract from cannon deployments.
+ * When deployment already has the block number stored there is no network call.
+ *
+ * @param {object} config
+ * @param {string} config.dirname subgraph directory with `subgraph.<namespace>.yaml` manifests
+ * @param {string} config.contract data source name, e.g. "CoreProxy"
+ * @param {string} config.deployment proxy deployment, e.g. "system/CoreProxy.json"
+ * @param {string} config.initialDeployment initial proxy deployment, e.g. "system/InitialCoreProxy.json"
+ * @param {{ namespace: string, network: string }} manifest
+ */
+async function resolveStartBlock(config, { namespace, network }) {
+  const { dirname, deployment, initialDeployment } = config;
+  const { address } = readDeployment(dirname, namespace, deployment);
+  const initial = readDeployment(dirname, namespace, initialDeployment);
+
+  const storedBlock = initial.deployTxnBlockNumber ?? initial.blockNumber;
+  if (storedBlock !== undefined && storedBlock !== '') {
+    return { namespace, network, address, startBlock: Number(storedBlock) };
+  }
+
+  const ethers = require('ethers');
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl({ namespace, network }));
+  const receipt = await provider.getTransactionReceipt(initial.deployTxnHash);
+  if (!receipt) {
+    throw new Error(`Deploy transaction ${initial.deployTxnHash} not found on "${namespace}"`);
+  }
+  return { namespace, network, address, startBlock: receipt.blockNumber };
+}
+
+/**
+ * Manifests of the subgraph with the network of the configured data source
+ */
+function networks(config) {
+  return readManifests(config.dirname).map((manifest) => ({
+    ...manifest,
+    network: findDataSource(manifest, config.contract).network,
+  }));
+}
+
+async function findDeploymentBlock(config, namespace) {
+  const manifest = networks(config).find((item) => item.namespace === namespace);
+  if (!manifest) {
+    throw new Error(`Manifest subgraph.${namespace}.yaml not found`);
+  }
+  return resolveStartBlock(config, manifest);
+}
+
+async function findAll(config) {
+  return Promise.all(networks(config).map((manifest) => resolveStartBlock(config, manifest)));
+}
+
+// Keeps start blocks of the networks table in sync, manifests are generated from it
+function writeNetworks(dirname, data) {
+  const networksPath = path.join(dirname, 'networks.json');
+  if (!fs.existsSync(networksPath)) {
+    return;
+  }
+  const content = fs.readFileSync(networksPath, 'utf-8');
+  // JSON is valid YAML, node ranges allow to replace only the start block values
+  const document = YAML.parseDocument(content);
+  const edits = data
+    .map(({ namespace, startBlock }) => ({
+      node: document.getIn([namespace, 'startBlock'], true),
+      startBlock,
+    }))
+    .filter(({ node, startBlock }) => node && Number(node.value) !== startBlock);
+  if (!edits.length) {
+    return;
+  }
+  fs.writeFileSync(
+    networksPath,
+    edits
+      .sort((a, b) => b.node.range[0] - a.node.range[0])
+      .reduce(
+        (result, { node, startBlock }) =>
+          `${result.slice(0, node.range[0])}${startBlock}${result.slice(node.range[1])}`,
+        content
+      )
+  );
+  console.log('Updated networks.json');
+}
+
+// Fields of the manifest data source that disagree with the deployment
+function compare(manifest, contract, { address, startBlock }) {
+  const { source } = findDataSource(manifest, contract);
+  return [
+    ['address', source.address, address],
+    ['startBlock', source.startBlock, startBlock],
+  ]
+    .filter(([, found, expected]) => String(found).toLowerCase() !== String(expected).toLowerCase())
+    .map(([field, found, expected]) => ({ field, found, expected }));
+}
+
+/**
+ * `startBlock.js [namespace] [--write | --check]`
+ *   prints address and start block for one or all namespaces
+ *   --write updates `source.address` and `source.startBlock` in subgraph manifests
+ *   --check fails when subgraph manifests disagree with deployments
+ */
+async function cli(config) {
+  const args = process.argv.slice(2);
+  const [namespace] = args.filter((arg) => !arg.startsWith('--'));
+  const isWrite = args.includes('--write');
+  const isCheck = args.includes('--check');
+  const { contract } = config;
+
+  const manifests = networks(config).filter((item) => !namespace || item.namespace === namespace);
+  if (!manifests.length) {
+    throw new Error(`Manifest subgraph.${namespace}.yaml not found`);
+  }
+  const data = await Promise.all(
+    manifests.map(async (manifest) => ({
+      manifest,
+      ...(await resolveStartBlock(config, manifest)),
+    }))
+  );
+
+  if (!isWrite && !isCheck) {
+    if (namespace) {
+      const [{ address, startBlock }] = data;
+      console.log({ [contract]: { address, startBlock } });
+      return;
+    }
+    console.log(
+      Object.fromEntries(
+        data.map(({ namespace, address, startBlock }) => [
+          namespace,
+          { [contract]: { address, startBlock } },
+        ])
+      )
+    );
+    return;
+  }
+
+  const outdated = data
+    .map(({ manifest, address, startBlock }) => ({
+      manifest,
+      address,
+      startBlock,
+      changes: compare(manifest, contract, { address, startBlock }),
+    }))
+    .filter(({ changes }) => changes.length);
+
+  outdated.forEach(({ manifest, changes }) =>
+    changes.forEach(({ field, found, expected }) =>
+      console.log(
+        `${path.basename(manifest.file)}: ${contract}.source.${field} ${found} -> ${expected}`
+      )
+    )
+  );
+
+  if (isWrite) {
+    outdated.forEach(({ manifest, address, startBlock }) => {
+      fs.writeFileSync(
+        manifest.file,
+        updateDataSourceSource(manifest, contract, { address, startBlock })
+      );
+      console.log(`Updated ${path.basename(manifest.file)}`);
+    });
+    writeNetworks(config.dirname, data);
+    return;
+  }
+
+  if (outdated.length) {
+    throw new Error(
+      `Outdated manifests: ${outdated.length}, run "node ./startBlock.js --write" to update`
+    );
+  }
+  console.log(`All ${data.length} manifests match deployments`);
+}
+
+module.exports = { rpcUrl, resolveStartBlock, findDeploymentBlock, findAll, compare, cli };